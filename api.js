@@ -0,0 +1,285 @@
+// ==================== CLIENTE API DEL WORKER ====================
+//
+// Todas las llamadas al worker de Odoo pasan por llamarApi: arma la URL
+// según el entorno, agrega el token de sesión, aplica un timeout, reintenta
+// las llamadas idempotentes y convierte las respuestas con error en
+// errores tipados que ambos tabs manejan igual.
+
+const API_ENTORNOS = {
+    // Worker de prueba local: node dev/mock-worker.js
+    dev: "http://localhost:8787",
+    staging: "https://validar-direccion-odoo-staging.javiera-silva-6f7.workers.dev",
+    prod: "https://validar-direccion-odoo.javiera-silva-6f7.workers.dev"
+};
+
+const API_ENTORNO_DEFECTO = "prod";
+
+const API_TIMEOUT_MS = 15000;
+
+// Reintentos de llamadas idempotentes ante fallas de red o del servidor: 1s, 2s...
+const API_REINTENTOS = 2;
+const API_ESPERA_REINTENTO_MS = 1000;
+
+// Fuera de producción se muestra el entorno en el header para no confundirse
+document.addEventListener("DOMContentLoaded", () => {
+    const entorno = nombreEntornoApi();
+    const indicador = document.getElementById("entorno-indicador");
+
+    indicador.textContent = entorno.toUpperCase();
+    indicador.title = API_ENTORNOS[entorno];
+    indicador.classList.toggle("hidden", entorno === API_ENTORNO_DEFECTO);
+});
+
+// ==================== ERRORES ====================
+
+/**
+ * Error base de las llamadas al worker
+ * @param {string} mensaje - Texto para mostrar al usuario
+ * @param {object} detalles - { httpStatus, respuesta }
+ *   respuesta: cuerpo JSON del worker, si lo hubo
+ */
+class ErrorApi extends Error {
+    constructor(mensaje, { httpStatus = null, respuesta = null } = {}) {
+        super(mensaje);
+        this.name = this.constructor.name;
+        this.httpStatus = httpStatus;
+        this.respuesta = respuesta;
+        this.step = respuesta?.step || null;
+        this.odooError = respuesta?.odoo_error || null;
+    }
+}
+
+// Sin red, o el worker no respondió
+class ErrorConexion extends ErrorApi {
+    constructor(mensaje = t("api.sinConexion"), detalles) {
+        super(mensaje, detalles);
+    }
+}
+
+// Se cuenta como error de conexión: con clave de idempotencia se puede reenviar sin duplicar
+class ErrorTiempoAgotado extends ErrorConexion {
+    constructor(mensaje = t("api.tiempoAgotado"), detalles) {
+        super(mensaje, detalles);
+    }
+}
+
+// La llamada se canceló desde la aplicación (ej: el usuario cambió el RUT)
+class ErrorCancelado extends ErrorApi {
+    constructor(mensaje = t("api.cancelada"), detalles) {
+        super(mensaje, detalles);
+    }
+}
+
+// Token vencido o inválido (HTTP 401)
+class ErrorSesion extends ErrorApi {
+    constructor(mensaje = t("sesion.expiro"), detalles) {
+        super(mensaje, detalles);
+    }
+}
+
+// Error 5xx o respuesta que no es JSON
+class ErrorServidor extends ErrorApi {}
+
+// El worker procesó la llamada y respondió status distinto de "ok"
+class ErrorOdoo extends ErrorApi {}
+
+// El RUT ya existe en Odoo (step verificando_rut_duplicado)
+class ErrorRutDuplicado extends ErrorOdoo {
+    constructor(mensaje, detalles) {
+        super(mensaje, detalles);
+        this.partnerId = this.respuesta?.partner_id || null;
+        this.partnerName = this.respuesta?.partner_name || "";
+    }
+}
+
+// Equifax no respondió o rechazó la consulta (step consultando_equifax)
+class ErrorEquifax extends ErrorOdoo {
+    constructor(mensaje, detalles) {
+        super(mensaje, detalles);
+        this.equifaxStatus = this.respuesta?.equifax_status || null;
+    }
+}
+
+/**
+ * Convierte una respuesta del worker con status distinto de "ok" en su error tipado
+ * @param {object} data - Cuerpo JSON de la respuesta
+ * @param {number} httpStatus
+ * @returns {ErrorOdoo}
+ */
+function errorDesdeRespuesta(data, httpStatus) {
+    const mensaje = data.error || t("api.errorOdoo");
+    const detalles = { httpStatus, respuesta: data };
+
+    if (data.step === "verificando_rut_duplicado" && data.partner_id) {
+        return new ErrorRutDuplicado(mensaje, detalles);
+    }
+    if (data.step === "consultando_equifax") {
+        return new ErrorEquifax(mensaje, detalles);
+    }
+    return new ErrorOdoo(mensaje, detalles);
+}
+
+// ==================== ENTORNO ====================
+
+/**
+ * Entorno activo: ?entorno=... en la URL, luego localStorage "api-entorno"
+ * y por último producción
+ * @returns {string} "dev" | "staging" | "prod"
+ */
+function nombreEntornoApi() {
+    const nombre = new URLSearchParams(window.location.search).get("entorno")
+        || localStorage.getItem("api-entorno")
+        || API_ENTORNO_DEFECTO;
+
+    return API_ENTORNOS[nombre] ? nombre : API_ENTORNO_DEFECTO;
+}
+
+/**
+ * @param {string} ruta - Ej: "/crear-contacto"
+ * @returns {string} URL completa en el entorno activo
+ */
+function urlApi(ruta) {
+    return `${API_ENTORNOS[nombreEntornoApi()]}${ruta}`;
+}
+
+// ==================== LLAMADAS ====================
+
+/**
+ * POST al worker. Devuelve la respuesta solo si status es "ok"; en otro caso
+ * lanza el error tipado correspondiente.
+ * @param {string} ruta - Ej: "/", "/crear-contacto"
+ * @param {object} cuerpo
+ * @param {object} opciones - { timeoutMs, idempotencyKey, idempotente, reintentos, signal, autenticar }
+ *   idempotente: se puede repetir sin efectos duplicados (por defecto, si lleva idempotencyKey)
+ *   signal: AbortSignal para cancelar la llamada
+ *   autenticar: false solo para el login
+ * @returns {Promise<object>} Respuesta del worker
+ */
+async function llamarApi(ruta, cuerpo, opciones = {}) {
+    const {
+        timeoutMs = API_TIMEOUT_MS,
+        idempotencyKey = null,
+        idempotente = Boolean(idempotencyKey),
+        reintentos = idempotente ? API_REINTENTOS : 0,
+        signal = null,
+        autenticar = true
+    } = opciones;
+
+    for (let intento = 0; ; intento++) {
+        try {
+            return await ejecutarLlamadaApi(ruta, cuerpo, { timeoutMs, idempotencyKey, signal, autenticar });
+        } catch (e) {
+            const reintentable = e instanceof ErrorConexion || e instanceof ErrorServidor;
+            // Sin red no tiene sentido esperar: quien llama decide si encolar
+            if (!reintentable || intento >= reintentos || !navigator.onLine) throw e;
+
+            await esperarApi(API_ESPERA_REINTENTO_MS * 2 ** intento, signal);
+        }
+    }
+}
+
+/**
+ * Un intento de llamada, sin reintentos
+ * @param {string} ruta
+ * @param {object} cuerpo
+ * @param {object} opciones - { timeoutMs, idempotencyKey, signal, autenticar }
+ * @returns {Promise<object>}
+ */
+async function ejecutarLlamadaApi(ruta, cuerpo, { timeoutMs, idempotencyKey, signal, autenticar }) {
+    const headers = { "Content-Type": "application/json" };
+
+    if (autenticar) {
+        const token = sesionActual()?.token;
+        if (!token) {
+            cerrarSesion(t("sesion.ingresar"));
+            throw new ErrorSesion();
+        }
+        headers["Authorization"] = `Bearer ${token}`;
+    }
+
+    if (idempotencyKey) {
+        headers["Idempotency-Key"] = idempotencyKey;
+    }
+
+    if (signal?.aborted) throw new ErrorCancelado();
+
+    const controlador = new AbortController();
+    let agotado = false;
+    const timer = setTimeout(() => {
+        agotado = true;
+        controlador.abort();
+    }, timeoutMs);
+    const cancelar = () => controlador.abort();
+    signal?.addEventListener("abort", cancelar);
+
+    let res;
+    let texto;
+    try {
+        res = await fetch(urlApi(ruta), {
+            method: "POST",
+            headers,
+            body: JSON.stringify(cuerpo),
+            signal: controlador.signal
+        });
+        texto = await res.text();
+    } catch (e) {
+        if (agotado) throw new ErrorTiempoAgotado();
+        if (signal?.aborted) throw new ErrorCancelado();
+        throw new ErrorConexion();
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", cancelar);
+    }
+
+    if (res.status === 401 && autenticar) {
+        cerrarSesion(t("sesion.expiro"));
+        throw new ErrorSesion(undefined, { httpStatus: 401 });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(texto);
+    } catch (e) {
+        throw new ErrorServidor(
+            t(res.ok ? "api.formatoInesperado" : "api.errorHttp", { status: res.status }),
+            { httpStatus: res.status }
+        );
+    }
+
+    if (res.ok && data.status === "ok") return data;
+
+    // 5xx sin paso del worker: falla de infraestructura, se puede reintentar
+    if (res.status >= 500 && !data.step) {
+        throw new ErrorServidor(data.error || t("api.errorHttp", { status: res.status }), {
+            httpStatus: res.status,
+            respuesta: data
+        });
+    }
+
+    throw errorDesdeRespuesta(data, res.status);
+}
+
+/**
+ * Espera entre reintentos; se corta si la llamada se cancela
+ * @param {number} ms
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<void>}
+ */
+function esperarApi(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new ErrorCancelado());
+            return;
+        }
+
+        const cancelar = () => {
+            clearTimeout(timer);
+            reject(new ErrorCancelado());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", cancelar);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", cancelar, { once: true });
+    });
+}
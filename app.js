@@ -1,5 +1,13 @@
 // ==================== CREAR DIRECCIÓN ====================
-async function enviarDireccion() {
+
+// Dirección elegida, complemento y confirmación del pin
+const estadoDireccion = crearEstadoDireccion();
+
+/**
+ * Crea la dirección seleccionada en Odoo
+ * @param {boolean} omitirDuplicados - true para crear aunque existan direcciones parecidas
+ */
+async function enviarDireccion(omitirDuplicados = false) {
     const msgBox = document.getElementById("msg-direccion");
     const btn = document.getElementById("btn-crear-direccion");
     
@@ -12,80 +20,100 @@ async function enviarDireccion() {
     const btnText = btn.querySelector(".btn-text");
     const btnLoader = btn.querySelector(".btn-loader");
 
-    // Validación: verificar que haya seleccionado una dirección
-    if (!window.direccionProcesada) {
-        msgBox.innerHTML = "⚠️ Primero selecciona una dirección del autocompletado";
-        msgBox.className = "msg warning";
-        return;
-    }
-
-    // Validación: verificar campos obligatorios
-    const { street, comuna, region } = window.direccionProcesada;
-    if (!street || !comuna || !region) {
-        msgBox.innerHTML = "⚠️ La dirección seleccionada no tiene información completa. Intenta con otra dirección.";
+    // Validación: dirección completa, con comuna del catálogo y pin confirmado si es aproximada
+    const { direccion, complemento, pinConfirmado, validaciones } = estadoDireccion.obtener();
+    if (!validaciones.direccion.valid) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(validaciones.direccion)}`);
         msgBox.className = "msg warning";
+        if (validaciones.direccion.campo === "comuna") {
+            document.getElementById("comuna-manual").focus();
+        }
         return;
     }
 
-    // Obtener información complementaria (street2)
-    const complemento = document.getElementById("complemento").value.trim();
+    const dataToSend = construirEnvioDireccion({ direccion, complemento, pinConfirmado });
 
-    // Agregar el complemento al objeto que se envía
-    const dataToSend = {
-        ...window.direccionProcesada,
-        street2: complemento
-    };
+    const ruta = "/";
+    const idempotencyKey = generarClaveIdempotencia();
 
     // Deshabilitar botón y mostrar loading
     btn.disabled = true;
     btnText.classList.add("hidden");
     btnLoader.classList.add("active");
-    
-    msgBox.innerHTML = "🔄 Validando y creando en Odoo...";
-    msgBox.className = "msg loading";
+    ocultarDuplicadosDireccion();
 
     try {
-        const res = await fetch("https://validar-direccion-odoo.javiera-silva-6f7.workers.dev/", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(dataToSend)
-        });
+        // Revisar si la dirección ya existe antes de crearla
+        if (!omitirDuplicados) {
+            renderizarHtml(msgBox, `🔍 ${t("direccion.buscandoDuplicados")}`);
+            msgBox.className = "msg loading";
 
-        const data = await res.json();
-
-        if (data.status === "ok") {
-            msgBox.innerHTML = `✅ <strong>¡Dirección creada exitosamente!</strong><br>ID en Odoo: ${data.id}`;
-            msgBox.className = "msg success";
-
-            // Limpiar formulario después de 3 segundos
-            setTimeout(() => {
-                document.getElementById("direccion").value = "";
-                document.getElementById("complemento").value = "";
-                document.getElementById("direccion-info").classList.add("hidden");
-                document.getElementById("complemento-wrapper").classList.add("hidden");
-                document.getElementById("map-preview").classList.add("hidden");
-                window.direccionProcesada = null;
-                msgBox.innerHTML = "";
-                msgBox.className = "msg";
-            }, 3000);
-        } else {
-            let errorMsg = "❌ <strong>Error al crear la dirección</strong><br>";
-            
-            if (data.error) {
-                errorMsg += data.error;
-            }
-            
-            if (data.odoo_error) {
-                errorMsg += `<br><small>Detalles: ${JSON.stringify(data.odoo_error)}</small>`;
+            let candidatos = [];
+            try {
+                candidatos = await buscarDireccionesDuplicadas(dataToSend);
+            } catch (e) {
+                // Si la búsqueda falla no se bloquea la creación
+                console.error("Error:", e);
             }
 
-            msgBox.innerHTML = errorMsg;
-            msgBox.className = "msg error";
+            if (candidatos.length > 0) {
+                mostrarDuplicadosDireccion(candidatos);
+                renderizarHtml(msgBox, `⚠️ ${t("direccion.hayDuplicados")}`);
+                msgBox.className = "msg warning";
+                return;
+            }
         }
+
+        renderizarHtml(msgBox, `🔄 ${t("direccion.creando")}`);
+        msgBox.className = "msg loading";
+
+        const data = await enviarCreacion(ruta, dataToSend, {
+            accion: "crear_direccion",
+            idempotencyKey
+        });
+
+        renderizarHtml(msgBox, html`✅ <strong>${t("direccion.creada")}</strong><br>${t("general.idOdoo", { id: data.id })}`);
+        msgBox.className = "msg success";
+
+        // Limpiar formulario después de 3 segundos
+        setTimeout(limpiarFormularioDireccion, 3000);
     } catch (e) {
-        msgBox.innerHTML = `❌ <strong>Error de conexión</strong><br>No se pudo conectar con el servidor. Verifica tu conexión a internet.`;
-        msgBox.className = "msg error";
         console.error("Error:", e);
+
+        // Odoo rechazó la dirección
+        if (e instanceof ErrorOdoo) {
+            renderizarHtml(msgBox, html`
+                ❌ <strong>${t("direccion.errorCrear")}</strong><br>${e.message}
+                ${e.odooError && html`<br><small>${t("general.detalles", { detalles: JSON.stringify(e.odooError) })}</small>`}
+            `);
+            msgBox.className = "msg error";
+            return;
+        }
+
+        // Sesión vencida: el formulario queda intacto para reenviar después del login
+        if (e instanceof ErrorSesion) {
+            renderizarHtml(msgBox, html`⚠️ <strong>${t("sesion.expirada")}</strong><br>${t("direccion.sesionExpirada")}`);
+            msgBox.className = "msg warning";
+            return;
+        }
+
+        // Sin conexión: guardar en la cola para reenviar automáticamente
+        const encolado = esErrorDeConexion(e) && await encolarEnvio({
+            id: idempotencyKey,
+            tipo: "direccion",
+            ruta,
+            payload: dataToSend,
+            descripcion: dataToSend.formatted
+        });
+
+        if (encolado) {
+            renderizarHtml(msgBox, html`📤 <strong>${t("cola.sinConexion")}</strong><br>${t("direccion.enCola")}`);
+            msgBox.className = "msg warning";
+            setTimeout(limpiarFormularioDireccion, 3000);
+        } else {
+            renderizarHtml(msgBox, html`❌ <strong>${t(e instanceof ErrorConexion ? "api.errorConexion" : "api.errorServidor")}</strong><br>${e.message}`);
+            msgBox.className = "msg error";
+        }
     } finally {
         btn.disabled = false;
         btnText.classList.remove("hidden");
@@ -93,6 +121,32 @@ async function enviarDireccion() {
     }
 }
 
+/**
+ * Datos que se envían a Odoo para la dirección elegida, con el complemento (street2)
+ * @param {object} estado - { direccion, complemento, pinConfirmado }
+ * @returns {object}
+ */
+function construirEnvioDireccion({ direccion, complemento, pinConfirmado }) {
+    return {
+        ...direccion,
+        street2: complemento,
+        street2_parts: parsearComplemento(complemento).partes,
+        pin_confirmed: pinConfirmado,
+        manual_entry: Boolean(direccion.manual_entry)
+    };
+}
+
+function limpiarFormularioDireccion() {
+    const msgBox = document.getElementById("msg-direccion");
+
+    document.getElementById("direccion").value = "";
+    estadoDireccion.reiniciar();
+    reiniciarIngresoManual(document.getElementById("direccion").closest(".form-section"));
+    ocultarDuplicadosDireccion();
+    msgBox.innerHTML = "";
+    msgBox.className = "msg";
+}
+
 // Permitir enviar con Enter
 document.addEventListener("DOMContentLoaded", () => {
     const input = document.getElementById("direccion");
@@ -100,7 +154,7 @@ document.addEventListener("DOMContentLoaded", () => {
     
     if (input) {
         input.addEventListener("keypress", (e) => {
-            if (e.key === "Enter" && window.direccionProcesada) {
+            if (e.key === "Enter" && estadoDireccion.obtener().direccion) {
                 e.preventDefault();
                 complemento.focus();
             }
@@ -109,7 +163,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (complemento) {
         complemento.addEventListener("keypress", (e) => {
-            if (e.key === "Enter" && window.direccionProcesada) {
+            if (e.key === "Enter" && estadoDireccion.obtener().direccion) {
                 e.preventDefault();
                 enviarDireccion();
             }
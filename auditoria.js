@@ -0,0 +1,162 @@
+// ==================== AUDITORÍA ====================
+//
+// Cada creación o actualización en Odoo deja un registro con quién la hizo,
+// cuándo, qué se envió, cómo terminó y los IDs que devolvió Odoo.
+// El worker escribe el registro al atender el envío, con el usuario del
+// token de sesión; el cliente solo los consulta. Supervisores y
+// administradores los revisan en el tab Auditoría filtrando por usuario y fecha.
+
+// Acción → clave del texto
+const ACCIONES_AUDITORIA = {
+    crear_direccion: "auditoria.accion.crearDireccion",
+    crear_contacto: "auditoria.accion.crearContacto",
+    actualizar_contacto: "auditoria.accion.actualizarContacto",
+    resolver_revision: "auditoria.accion.resolverRevision"
+};
+
+// Registros de la última búsqueda, para redibujarlos al cambiar de idioma
+let registrosAuditoria = null;
+
+document.addEventListener("DOMContentLoaded", () => {
+    const hoy = fechaLocalIso(new Date());
+    document.getElementById("auditoria-desde").value = hoy;
+    document.getElementById("auditoria-hasta").value = hoy;
+
+    alCambiarIdioma(() => {
+        if (registrosAuditoria) renderizarAuditoria(registrosAuditoria);
+    });
+});
+
+// ==================== ENVÍO ====================
+
+/**
+ * Envía una creación al worker, que deja el registro de auditoría, y guarda
+ * el historial local con la respuesta, sea exitosa o un error de Odoo.
+ * Los errores de conexión no quedan en el historial: el envío queda en la
+ * cola y se guarda cuando se reenvía.
+ * @param {string} ruta - Ej: "/crear-contacto"
+ * @param {object} payload
+ * @param {object} opciones - { accion, idempotencyKey, timeoutMs, historial }
+ *   accion: clave de ACCIONES_AUDITORIA
+ *   historial: false para lo que no se puede reabrir en un formulario
+ * @returns {Promise<object>} Respuesta del worker (lanza ErrorApi si falla)
+ */
+async function enviarCreacion(ruta, payload, { accion, idempotencyKey, timeoutMs, historial = true }) {
+    // Sin await: el historial no debe atrasar ni bloquear la creación
+    const registrar = (data) => {
+        if (historial) guardarEnHistorial({ accion, payload, data });
+    };
+
+    try {
+        const data = await llamarApi(ruta, payload, { idempotencyKey, timeoutMs });
+        registrar(data);
+        return data;
+    } catch (e) {
+        if (e instanceof ErrorOdoo) registrar(e.respuesta);
+        throw e;
+    }
+}
+
+/**
+ * Fecha YYYY-MM-DD en la zona horaria del navegador (para inputs date)
+ * @param {Date} fecha
+ * @returns {string}
+ */
+function fechaLocalIso(fecha) {
+    const dos = (n) => String(n).padStart(2, "0");
+    return `${fecha.getFullYear()}-${dos(fecha.getMonth() + 1)}-${dos(fecha.getDate())}`;
+}
+
+// ==================== VISTA DE SUPERVISORES ====================
+
+async function buscarAuditoria() {
+    const msgBox = document.getElementById("msg-auditoria");
+    const btn = document.getElementById("btn-buscar-auditoria");
+    const usuario = document.getElementById("auditoria-usuario").value.trim();
+    const desde = document.getElementById("auditoria-desde").value;
+    const hasta = document.getElementById("auditoria-hasta").value;
+
+    if (desde && hasta && desde > hasta) {
+        renderizarHtml(msgBox, `⚠️ ${t("auditoria.fechasInvalidas")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    btn.disabled = true;
+    renderizarHtml(msgBox, `🔄 ${t("auditoria.buscando")}`);
+    msgBox.className = "msg loading";
+
+    try {
+        // Los límites van en hora local: "hasta" incluye el día completo
+        const data = await llamarApi("/buscar-auditoria", {
+            usuario,
+            desde: desde ? new Date(`${desde}T00:00:00`).toISOString() : null,
+            hasta: hasta ? new Date(`${hasta}T23:59:59.999`).toISOString() : null
+        }, { idempotente: true });
+
+        renderizarAuditoria(data.registros || []);
+        msgBox.innerHTML = "";
+        msgBox.className = "msg";
+    } catch (e) {
+        console.error("Error:", e);
+        renderizarHtml(msgBox, `❌ ${e.message}`);
+        msgBox.className = "msg error";
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * @param {Array<object>} registros - Registros de auditoría del worker
+ */
+function renderizarAuditoria(registros) {
+    const resultado = document.getElementById("auditoria-resultado");
+    const filas = document.getElementById("auditoria-filas");
+    const resumen = document.getElementById("auditoria-resumen");
+
+    registrosAuditoria = registros;
+    resultado.classList.remove("hidden");
+
+    const errores = registros.filter(r => r.resultado !== "ok").length;
+    renderizarHtml(resumen, html`
+        <span>${tHtml("auditoria.registros", { n: registros.length })}</span>
+        <span>${tHtml("auditoria.okErrores", { ok: registros.length - errores, n: errores })}</span>
+    `);
+
+    // Sugerencias para el filtro de usuario con los que aparecen en el resultado
+    const emails = [...new Set(registros.map(r => r.usuario?.email).filter(Boolean))];
+    renderizarHtml(document.getElementById("auditoria-usuarios"), html`${emails.map(email => html`<option value="${email}"></option>`)}`);
+
+    if (registros.length === 0) {
+        renderizarHtml(filas, html`<tr><td colspan="5" class="auditoria-vacia">${t("auditoria.sinRegistros")}</td></tr>`);
+        return;
+    }
+
+    const ordenados = registros.slice().sort((a, b) => b.fecha.localeCompare(a.fecha));
+
+    renderizarHtml(filas, html`${ordenados.map(r => {
+        const ids = Object.entries(r.odoo_ids || {}).map(([campo, valor]) => `${campo}: ${[].concat(valor).join(", ")}`);
+
+        return html`
+            <tr class="${r.resultado === "ok" ? "valid" : "invalid"}">
+                <td>${new Date(r.fecha).toLocaleString(localeIdioma())}</td>
+                <td>
+                    ${r.usuario?.nombre || r.usuario?.email || ""}
+                    <br><small>${NOMBRES_ROL[r.usuario?.rol] ? t(NOMBRES_ROL[r.usuario.rol]) : ""}</small>
+                </td>
+                <td>
+                    ${ACCIONES_AUDITORIA[r.accion] ? t(ACCIONES_AUDITORIA[r.accion]) : r.accion}
+                    <details class="auditoria-payload">
+                        <summary>${t("auditoria.verPayload")}</summary>
+                        <pre>${JSON.stringify(r.payload, null, 2)}</pre>
+                    </details>
+                </td>
+                <td>
+                    <span class="tabla-estado">${r.resultado === "ok" ? "✓ OK" : `✗ ${t("general.error")}`}</span>
+                    ${r.error && html`<small>${r.error}</small>`}
+                </td>
+                <td><small>${ids.length ? ids.map((id, i) => html`${i > 0 && html`<br>`}${id}`) : "—"}</small></td>
+            </tr>
+        `;
+    })}`);
+}
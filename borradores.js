@@ -0,0 +1,319 @@
+// ==================== BORRADORES DE CONTACTO ====================
+//
+// El formulario de contacto se guarda solo mientras se llena, para no
+// perderlo al cambiar de tab o recargar. Hay un borrador por RUT (mientras
+// el RUT no es válido el borrador lleva una clave "sin-rut-...") y se
+// guarda con la misma forma que el payload de /crear-contacto, así que se
+// retoma igual que un envío del historial (reabrirContacto).
+//
+// Los borradores viven en localStorage: se guardan de forma síncrona al
+// cerrar la página y otras pestañas del navegador ven los cambios. Cada
+// usuario tiene su propia clave, que se borra cuando cierra su sesión.
+
+const BORRADORES_STORAGE = "maihue-borradores";
+const BORRADOR_SIN_RUT = "sin-rut";
+const BORRADORES_MAX = 20;
+
+// Espera después del último cambio antes de guardar
+const BORRADOR_ESPERA_MS = 800;
+
+// Clave del borrador que corresponde al formulario actual
+let claveBorradorActual = null;
+let temporizadorBorrador = null;
+
+document.addEventListener("DOMContentLoaded", () => {
+    if (!document.getElementById("borradores-contacto")) return;
+
+    renderizarBorradores();
+
+    window.addEventListener("pagehide", guardarBorradorContacto);
+
+    // Borradores guardados o descartados en otra pestaña
+    window.addEventListener("storage", (e) => {
+        if (e.key === claveBorradoresStorage(usuarioActual())) renderizarBorradores();
+    });
+
+    alCambiarIdioma(renderizarBorradores);
+});
+
+// ==================== ALMACENAMIENTO ====================
+
+/**
+ * @param {object|null} usuario - { email }
+ * @returns {string|null} Clave de localStorage del usuario, ej: "maihue-borradores:vendedor@maihue.cl"
+ */
+function claveBorradoresStorage(usuario) {
+    return usuario ? `${BORRADORES_STORAGE}:${usuario.email}` : null;
+}
+
+/**
+ * @returns {object} Borradores del usuario de la sesión por clave: { clave, rut, fecha, payload }
+ */
+function leerBorradores() {
+    const claveStorage = claveBorradoresStorage(usuarioActual());
+    if (!claveStorage) return {};
+
+    try {
+        return JSON.parse(localStorage.getItem(claveStorage)) || {};
+    } catch (e) {
+        console.error("Error:", e);
+        return {};
+    }
+}
+
+/**
+ * @param {object} borradores - Borradores por clave
+ */
+function escribirBorradores(borradores) {
+    // Sin sesión no hay de quién guardarlos
+    const claveStorage = claveBorradoresStorage(usuarioActual());
+    if (!claveStorage) return;
+
+    // Se conservan solo los más recientes
+    const recientes = Object.values(borradores)
+        .sort((a, b) => b.fecha.localeCompare(a.fecha))
+        .slice(0, BORRADORES_MAX);
+
+    try {
+        localStorage.setItem(claveStorage, JSON.stringify(
+            Object.fromEntries(recientes.map(b => [b.clave, b]))
+        ));
+    } catch (e) {
+        // Almacenamiento lleno o deshabilitado: el formulario sigue funcionando
+        console.error("Error:", e);
+    }
+}
+
+/**
+ * @param {string} clave
+ */
+function eliminarBorrador(clave) {
+    const borradores = leerBorradores();
+    if (!borradores[clave]) return;
+
+    delete borradores[clave];
+    escribirBorradores(borradores);
+}
+
+/**
+ * Borra del navegador los borradores de un usuario, al cerrar su sesión
+ * @param {object} usuario - { email }
+ */
+function eliminarBorradoresUsuario(usuario) {
+    clearTimeout(temporizadorBorrador);
+    claveBorradorActual = null;
+    localStorage.removeItem(claveBorradoresStorage(usuario));
+    renderizarBorradores();
+}
+
+// ==================== AUTOGUARDADO ====================
+
+/**
+ * Guarda el borrador un momento después del último cambio. Se llama desde
+ * actualizarResumen, por donde pasa cada cambio del formulario.
+ */
+function programarGuardadoBorrador() {
+    clearTimeout(temporizadorBorrador);
+    temporizadorBorrador = setTimeout(guardarBorradorContacto, BORRADOR_ESPERA_MS);
+}
+
+/**
+ * Número tal como está escrito, con su código de país aunque esté incompleto
+ * @param {object} telefono - Resultado de telefonoConE164
+ * @returns {string|null}
+ */
+function telefonoBorrador(telefono) {
+    return telefono.numero ? normalizarTelefonoE164(telefono.numero, telefono.pais) : null;
+}
+
+/**
+ * Estado del formulario de contacto con la forma del payload de /crear-contacto
+ * @returns {object}
+ */
+function capturarFormularioContacto() {
+    const { rut, unidadId, unidadNombre, email, telefono, telefonoSecundario } = obtenerCamposContacto();
+
+    // Solo las direcciones elegidas del autocompletado se pueden retomar
+    const direcciones = obtenerDireccionesContacto().filter(d => d.direccion);
+    const personas = obtenerPersonasContacto().map(p => ({
+        ...p,
+        telefono: { ...p.telefono, e164: telefonoBorrador(p.telefono) }
+    }));
+
+    return construirPayloadContacto({
+        rut,
+        unidadId,
+        unidadNombre,
+        email,
+        telefono: telefonoBorrador(telefono),
+        telefonoSecundario: telefonoBorrador(telefonoSecundario),
+        empresa: requiereDatosEmpresa(unidadId) ? obtenerDatosEmpresa() : null,
+        direcciones,
+        personas
+    });
+}
+
+/**
+ * @param {object} payload - Resultado de capturarFormularioContacto
+ * @returns {boolean} true si no hay nada que valga la pena guardar
+ */
+function borradorVacio(payload) {
+    return !payload.rut
+        && !payload.email
+        && !payload.telefono
+        && !payload.telefono_secundario
+        && !payload.razon_social
+        && payload.direcciones.length === 0
+        && payload.contactos.length === 0;
+}
+
+/**
+ * Guarda el formulario actual como borrador (sin esperar)
+ */
+function guardarBorradorContacto() {
+    clearTimeout(temporizadorBorrador);
+
+    if (document.getElementById("form-contacto").classList.contains("hidden")) return;
+
+    // Los contactos existentes ya están en Odoo: se editan directo, sin borrador
+    if (contactoExistente) {
+        if (claveBorradorActual) eliminarBorrador(claveBorradorActual);
+        soltarBorradorActual();
+        return;
+    }
+
+    const payload = capturarFormularioContacto();
+    const borradores = leerBorradores();
+    const rutValido = estadoContacto.obtener().validaciones.rut.valid;
+
+    // Al escribir o corregir el RUT el borrador cambia de clave
+    let clave = payload.rut;
+    if (!rutValido) {
+        clave = claveBorradorActual?.startsWith(BORRADOR_SIN_RUT)
+            ? claveBorradorActual
+            : `${BORRADOR_SIN_RUT}-${Date.now()}`;
+    }
+    if (claveBorradorActual && claveBorradorActual !== clave) {
+        delete borradores[claveBorradorActual];
+    }
+
+    if (borradorVacio(payload)) {
+        delete borradores[clave];
+        claveBorradorActual = null;
+    } else {
+        borradores[clave] = {
+            clave,
+            rut: rutValido ? payload.rut : "",
+            fecha: new Date().toISOString(),
+            payload
+        };
+        claveBorradorActual = clave;
+    }
+
+    escribirBorradores(borradores);
+    renderizarBorradores();
+}
+
+/**
+ * El formulario se limpió: lo que se escriba después es un borrador nuevo.
+ * El borrador anterior queda en la lista para retomarlo.
+ */
+function soltarBorradorActual() {
+    clearTimeout(temporizadorBorrador);
+    claveBorradorActual = null;
+    renderizarBorradores();
+}
+
+/**
+ * El contacto se envió (o quedó en cola): su borrador ya no hace falta
+ * @param {string} rut - RUT limpio o formateado
+ */
+function descartarBorradorEnviado(rut) {
+    clearTimeout(temporizadorBorrador);
+    eliminarBorrador(formatearRut(limpiarRut(rut)));
+    if (claveBorradorActual) eliminarBorrador(claveBorradorActual);
+    claveBorradorActual = null;
+    renderizarBorradores();
+}
+
+// ==================== LISTA ====================
+
+function renderizarBorradores() {
+    const card = document.getElementById("borradores-contacto");
+    if (!card) return;
+
+    // El borrador del formulario actual no se ofrece para retomar
+    const borradores = Object.values(leerBorradores())
+        .filter(b => b.clave !== claveBorradorActual)
+        .sort((a, b) => b.fecha.localeCompare(a.fecha));
+
+    card.classList.toggle("hidden", borradores.length === 0);
+
+    renderizarHtml(document.getElementById("borradores-lista"), html`${borradores.map(b => {
+        const { payload } = b;
+        const detalle = [
+            payload.unidad_negocio_id ? payload.unidad_negocio_nombre : "",
+            payload.email,
+            payload.direccion?.formatted || ""
+        ].filter(Boolean).join(" · ");
+
+        return html`
+            <div class="borrador-item">
+                <div>
+                    <strong>${b.rut || t("borradores.sinRut")}</strong>
+                    ${detalle && html`<small>${detalle}</small>`}
+                    <small>${t("borradores.guardado", { fecha: new Date(b.fecha).toLocaleString(localeIdioma()) })}</small>
+                </div>
+                <div class="borrador-acciones">
+                    <button class="btn-primary-small" data-clave="${b.clave}" onclick="continuarBorrador(this.dataset.clave)">${t("borradores.continuar")}</button>
+                    <button class="btn-secondary-small" data-clave="${b.clave}" onclick="descartarBorrador(this.dataset.clave)" title="${t("borradores.descartar")}">✕</button>
+                </div>
+            </div>
+        `;
+    })}`);
+}
+
+/**
+ * Carga un borrador en el formulario de contacto. El formulario actual
+ * queda guardado como su propio borrador.
+ * @param {string} clave
+ */
+function continuarBorrador(clave) {
+    guardarBorradorContacto();
+
+    const borrador = leerBorradores()[clave];
+    if (!borrador) {
+        renderizarBorradores();
+        return;
+    }
+
+    reabrirContacto(borrador.payload);
+    claveBorradorActual = clave;
+    renderizarBorradores();
+}
+
+/**
+ * @param {string} clave
+ */
+function descartarBorrador(clave) {
+    eliminarBorrador(clave);
+    renderizarBorradores();
+}
+
+// ==================== DESDE CREAR DIRECCIÓN ====================
+
+/**
+ * Lleva la dirección elegida en "Crear Dirección" a un contacto nuevo
+ */
+function usarDireccionEnContacto() {
+    const { direccion, complemento } = estadoDireccion.obtener();
+    if (!direccion) return;
+
+    guardarBorradorContacto();
+
+    reabrirContacto({
+        direcciones: [construirPayloadDireccion({ direccion, complemento })]
+    });
+
+    document.getElementById("rut").focus();
+}
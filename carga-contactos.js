@@ -0,0 +1,448 @@
+// ==================== CARGA MASIVA DE CONTACTOS ====================
+
+// Columnas reconocidas en el archivo y sus nombres alternativos
+const COLUMNAS_CARGA_CONTACTOS = {
+    rut: ["rut"],
+    unidad: ["unidaddenegocio", "unidadnegocio", "unidad", "tipo"],
+    email: ["email", "correo", "mail"],
+    telefono: ["telefono", "celular", "fono", "phone"],
+    telefonoSecundario: ["telefonosecundario", "telefono2", "fonofijo", "telefonofijo"],
+    razonSocial: ["razonsocial", "nombreempresa", "empresa"],
+    giro: ["giro", "actividad"],
+    rutRepresentante: ["rutrepresentante", "rutrepresentantelegal", "representantelegal"],
+    direccion: ["direccion", "address", "direcciondeservicio"],
+    complemento: ["complemento", "street2", "depto", "informacioncomplementaria"]
+};
+
+// Grupos de resultado (clave del título), en el mismo orden y con los mismos tipos que mostrarResultado
+const GRUPOS_RESULTADO_CONTACTO = {
+    success: "cargaContactos.grupo.success",
+    error_duplicado: "cargaContactos.grupo.duplicado",
+    error_equifax: "cargaContactos.grupo.equifax",
+    error: "cargaContactos.grupo.error"
+};
+
+// Filas cargadas desde el archivo
+let cargaContactosFilas = [];
+
+document.addEventListener("DOMContentLoaded", () => {
+    const archivoInput = document.getElementById("archivo-contactos");
+
+    if (!archivoInput) return;
+
+    archivoInput.addEventListener("change", async () => {
+        const archivo = archivoInput.files[0];
+        if (!archivo) return;
+
+        mostrarNombreArchivo(document.getElementById("archivo-contactos-nombre"), archivo.name);
+        await cargarArchivoContactos(archivo);
+
+        archivoInput.value = "";
+    });
+
+    alCambiarIdioma(() => {
+        renderizarFilasContactos();
+        if (!document.getElementById("carga-contactos-reporte").classList.contains("hidden")) {
+            renderizarReporteContactos();
+        }
+    });
+});
+
+// ==================== LECTURA Y VALIDACIÓN ====================
+
+/**
+ * Lee la planilla, valida cada fila y geocodifica las direcciones válidas
+ * @param {File} archivo
+ */
+async function cargarArchivoContactos(archivo) {
+    const msgBox = document.getElementById("msg-carga-contactos");
+
+    renderizarHtml(msgBox, `🔄 ${t("carga.leyendo")}`);
+    msgBox.className = "msg loading";
+
+    let registros;
+    try {
+        registros = (await leerArchivoTabular(archivo, COLUMNAS_CARGA_CONTACTOS))
+            .filter(registro => Object.values(registro).some(Boolean));
+    } catch (e) {
+        renderizarHtml(msgBox, html`❌ <strong>${t("carga.errorLectura")}</strong><br>${e.message}`);
+        msgBox.className = "msg error";
+        console.error("Error:", e);
+        return;
+    }
+
+    if (registros.length === 0) {
+        renderizarHtml(msgBox, `⚠️ ${t("cargaContactos.sinFilas")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    cargaContactosFilas = registros.map((registro, i) => validarFilaContacto(registro, i + 1));
+
+    document.getElementById("carga-contactos-revision").classList.remove("hidden");
+    document.getElementById("carga-contactos-reporte").classList.add("hidden");
+    document.getElementById("btn-descargar-reporte-contactos").classList.add("hidden");
+    renderizarFilasContactos();
+
+    renderizarHtml(msgBox, `🔄 ${t("cargaContactos.validandoDirecciones")}`);
+    msgBox.className = "msg loading";
+
+    const porGeocodificar = cargaContactosFilas.filter(f => f.estado === "validando");
+    await procesarConConcurrencia(porGeocodificar, CARGA_MASIVA_CONCURRENCIA, geocodificarFilaContacto);
+
+    msgBox.innerHTML = "";
+    msgBox.className = "msg";
+}
+
+/**
+ * Valida RUT, unidad de negocio, datos de empresa, email y teléfono de una
+ * fila con los mismos validadores del formulario
+ * @param {object} registro - Fila leída del archivo
+ * @param {number} numero - Número de fila
+ * @returns {object} Fila con sus errores ({ error: clave, datos }, se muestran con mensajeError)
+ */
+function validarFilaContacto(registro, numero) {
+    const rut = limpiarRut(registro.rut || "");
+    const unidad = resolverUnidadNegocio(registro.unidad || "");
+    const email = (registro.email || "").trim();
+    const telefono = leerTelefonoFila(registro.telefono || "");
+    const telefonoSecundario = leerTelefonoFila(registro.telefonoSecundario || "");
+    const empresa = unidad && requiereDatosEmpresa(unidad.id)
+        ? {
+            razonSocial: (registro.razonSocial || "").trim(),
+            giro: (registro.giro || "").trim(),
+            rutRepresentante: limpiarRut(registro.rutRepresentante || "")
+        }
+        : null;
+    const errores = [];
+
+    const rutValidacion = validarRut(rut);
+    if (!rutValidacion.valid) {
+        errores.push({
+            error: "cargaContactos.rutInvalido",
+            datos: { motivo: rutValidacion.error ? rutValidacion : { error: "cargaContactos.motivoInvalido" } }
+        });
+    }
+
+    if (!unidad) {
+        errores.push({ error: "cargaContactos.unidadDesconocida" });
+    }
+
+    if (empresa) {
+        errores.push(...validarDatosEmpresa(empresa));
+    }
+
+    const emailValidacion = validarEmail(email);
+    if (!emailValidacion.valid) {
+        errores.push({
+            error: "cargaContactos.emailInvalido",
+            datos: { motivo: emailValidacion.error ? emailValidacion : { error: "cargaContactos.motivoRequerido" } }
+        });
+    }
+
+    if (!telefono.validacion.valid) {
+        errores.push({
+            error: "telefono.principalInvalido",
+            datos: { motivo: telefono.validacion.error ? telefono.validacion : { error: "cargaContactos.motivoRequerido" } }
+        });
+    }
+
+    if (telefonoSecundario.numero && !telefonoSecundario.validacion.valid) {
+        errores.push({ error: "telefono.secundarioInvalido", datos: { motivo: telefonoSecundario.validacion } });
+    }
+
+    if (!registro.direccion) {
+        errores.push({ error: "cargaContactos.direccionRequerida" });
+    }
+
+    return {
+        fila: numero,
+        rut,
+        unidadId: unidad?.id || "",
+        unidadNombre: unidad?.nombre || registro.unidad || "",
+        email,
+        // Si no es válido queda el texto del archivo, para mostrarlo en la revisión
+        telefono: telefono.e164 || (registro.telefono || "").trim(),
+        telefonoSecundario: telefonoSecundario.e164,
+        empresa,
+        consulta: registro.direccion || "",
+        complemento: registro.complemento || "",
+        direccion: null,
+        errores,
+        estado: errores.length ? "invalida" : "validando",
+        respuesta: null
+    };
+}
+
+/**
+ * Teléfono de una celda: con "+código" se reconoce el país; sin él se asume Chile
+ * @param {string} texto - Ej: "+56 9 1234 5678", "912345678", "+54 11 2345 6789"
+ * @returns {object} { numero, validacion, e164 }
+ */
+function leerTelefonoFila(texto) {
+    const { pais, numero } = separarTelefono(texto);
+    const validacion = validarTelefono(numero, pais);
+
+    return { numero, validacion, e164: validacion.valid ? normalizarTelefonoE164(numero, pais) : null };
+}
+
+/**
+ * Busca la unidad de negocio por ID o por nombre en el select del formulario
+ * @param {string} valor - Ej: "34", "Empresa"
+ * @returns {object|null} { id, nombre }
+ */
+function resolverUnidadNegocio(valor) {
+    const select = document.getElementById("unidad-negocio");
+    const buscado = valor.trim().toLowerCase();
+
+    if (!select || !buscado) return null;
+
+    const opcion = Array.from(select.options).find(o =>
+        o.value && (o.value === buscado || o.text.toLowerCase() === buscado)
+    );
+
+    return opcion ? { id: opcion.value, nombre: opcion.text } : null;
+}
+
+/**
+ * Geocodifica la dirección de una fila de contacto
+ * @param {object} fila
+ */
+async function geocodificarFilaContacto(fila) {
+    try {
+        const direccion = await geocodificarTexto(fila.consulta);
+
+        if (!direccion.street || !direccion.comuna || !direccion.region) {
+            fila.errores.push({ error: "cargaContactos.direccionIncompleta" });
+        } else if (!direccion.comuna_code) {
+            fila.errores.push({ error: "cargaContactos.comunaNoReconocida" });
+        } else {
+            fila.direccion = direccion;
+        }
+    } catch (e) {
+        fila.errores.push({ error: "cargaContactos.direccionNoEncontrada" });
+        console.error("Error:", e);
+    }
+
+    fila.estado = fila.errores.length ? "invalida" : "lista";
+    renderizarFilasContactos();
+}
+
+// ==================== TABLA DE REVISIÓN ====================
+
+function renderizarFilasContactos() {
+    const tbody = document.getElementById("carga-contactos-filas");
+    const resumen = document.getElementById("carga-contactos-resumen");
+
+    const estados = {
+        validando: { clase: "", icono: "🔄" },
+        invalida: { clase: "invalid", icono: "✗" },
+        lista: { clase: "valid", icono: "✓" },
+        enviando: { clase: "", icono: "🔄" },
+        success: { clase: "valid", icono: "✓" },
+        error_duplicado: { clase: "invalid", icono: "⚠️" },
+        error_equifax: { clase: "invalid", icono: "✗" },
+        error: { clase: "invalid", icono: "✗" }
+    };
+
+    renderizarHtml(tbody, html`${cargaContactosFilas.map(fila => {
+        const estado = estados[fila.estado];
+        const detalle = fila.respuesta ? [describirRespuestaContacto(fila)] : fila.errores.map(mensajeError);
+
+        return html`
+            <tr class="${estado.clase}">
+                <td>${fila.fila}</td>
+                <td>
+                    <strong>${fila.rut ? formatearRut(fila.rut) : "—"}</strong>
+                    <small>${fila.empresa?.razonSocial || fila.unidadNombre}</small>
+                </td>
+                <td>
+                    ${fila.email}
+                    <small>${fila.telefono}</small>
+                </td>
+                <td>${fila.direccion?.formatted || fila.consulta}</td>
+                <td>
+                    <span class="tabla-estado">${estado.icono} ${t(`cargaContactos.estado.${fila.estado}`)}</span>
+                    <small>${detalle.map((linea, i) => html`${i > 0 && html`<br>`}${linea}`)}</small>
+                </td>
+            </tr>
+        `;
+    })}`);
+
+    const validas = cargaContactosFilas.filter(f => f.estado === "lista").length;
+    const invalidas = cargaContactosFilas.filter(f => f.estado === "invalida").length;
+
+    renderizarHtml(resumen, html`
+        <span>${tHtml("carga.filas", { n: cargaContactosFilas.length })}</span>
+        <span>${tHtml("cargaContactos.validas", { n: validas })}</span>
+        <span>${tHtml("cargaContactos.invalidas", { n: invalidas })}</span>
+    `);
+}
+
+/**
+ * Texto corto con el resultado de una fila enviada
+ * @param {object} fila
+ * @returns {string}
+ */
+function describirRespuestaContacto(fila) {
+    const data = fila.respuesta;
+
+    switch (fila.estado) {
+        case "success":
+            return t("cola.idContacto", { id: data.contact_id });
+        case "error_duplicado":
+            return t("cargaContactos.existeComo", {
+                nombre: data.partner_name || t("cargaContactos.contacto"),
+                id: data.partner_id
+            });
+        case "error_equifax":
+            return data.equifax_status || data.error || t("cargaContactos.errorEquifax");
+        default:
+            return data.error || t("general.errorInesperado");
+    }
+}
+
+// ==================== ENVÍO A ODOO ====================
+
+async function enviarCargaContactos() {
+    const msgBox = document.getElementById("msg-carga-contactos");
+    const btn = document.getElementById("btn-enviar-contactos");
+    const btnText = btn.querySelector(".btn-text");
+    const btnLoader = btn.querySelector(".btn-loader");
+    const progreso = document.getElementById("carga-contactos-progreso");
+    const barra = document.getElementById("carga-contactos-progreso-barra");
+
+    if (cargaContactosFilas.some(f => f.estado === "validando")) {
+        renderizarHtml(msgBox, `⚠️ ${t("cargaContactos.esperarValidacion")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    const validas = cargaContactosFilas.filter(f => f.estado === "lista");
+
+    if (validas.length === 0) {
+        renderizarHtml(msgBox, `⚠️ ${t("cargaContactos.nadaValido")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    btn.disabled = true;
+    btnText.classList.add("hidden");
+    btnLoader.classList.add("active");
+
+    progreso.classList.remove("hidden");
+    barra.style.width = "0%";
+
+    renderizarHtml(msgBox, `🔄 ${t("cargaContactos.creando", { n: validas.length })}`);
+    msgBox.className = "msg loading";
+
+    // En orden y de a uno: cada contacto pasa por Equifax en el worker
+    for (let i = 0; i < validas.length; i++) {
+        await enviarFilaContacto(validas[i]);
+        barra.style.width = `${Math.round(((i + 1) / validas.length) * 100)}%`;
+    }
+
+    msgBox.innerHTML = "";
+    msgBox.className = "msg";
+
+    renderizarReporteContactos();
+    document.getElementById("btn-descargar-reporte-contactos").classList.remove("hidden");
+
+    btn.disabled = false;
+    btnText.classList.remove("hidden");
+    btnLoader.classList.remove("active");
+}
+
+/**
+ * Envía una fila a /crear-contacto con el mismo formato que crearContacto()
+ * @param {object} fila
+ */
+async function enviarFilaContacto(fila) {
+    fila.estado = "enviando";
+    renderizarFilasContactos();
+
+    const dataToSend = construirPayloadContacto({
+        rut: fila.rut,
+        unidadId: fila.unidadId,
+        unidadNombre: fila.unidadNombre,
+        email: fila.email,
+        telefono: fila.telefono,
+        telefonoSecundario: fila.telefonoSecundario,
+        empresa: fila.empresa,
+        direcciones: [{ direccion: fila.direccion, complemento: fila.complemento }]
+    });
+
+    try {
+        fila.respuesta = await enviarCreacion("/crear-contacto", dataToSend, {
+            accion: "crear_contacto",
+            timeoutMs: CREAR_CONTACTO_TIMEOUT_MS
+        });
+        fila.estado = "success";
+    } catch (e) {
+        // Sin respuesta del worker (conexión, timeout, sesión) queda solo el mensaje
+        fila.respuesta = e.respuesta || { error: e.message };
+        fila.estado = clasificarErrorContacto(e);
+        console.error("Error:", e);
+    }
+
+    renderizarFilasContactos();
+}
+
+// ==================== REPORTE ====================
+
+function renderizarReporteContactos() {
+    const reporte = document.getElementById("carga-contactos-reporte");
+    const enviadas = cargaContactosFilas.filter(f => f.respuesta);
+
+    renderizarHtml(reporte, html`${Object.keys(GRUPOS_RESULTADO_CONTACTO).map(tipo => {
+        const filas = enviadas.filter(f => f.estado === tipo);
+        if (filas.length === 0) return null;
+
+        return html`
+            <div class="reporte-grupo ${tipo}">
+                <div class="reporte-grupo-titulo">
+                    ${t(GRUPOS_RESULTADO_CONTACTO[tipo])} <span>${filas.length}</span>
+                </div>
+                ${filas.map(f => html`
+                    <div class="resumen-row">
+                        <span class="resumen-label">${t("cargaContactos.fila", { n: f.fila })} · ${formatearRut(f.rut)}</span>
+                        <span class="resumen-value">${describirRespuestaContacto(f)}</span>
+                    </div>
+                `)}
+            </div>
+        `;
+    })}`);
+
+    reporte.classList.remove("hidden");
+}
+
+function descargarReporteContactos() {
+    const encabezados = [
+        "fila", "rut", "unidad_negocio", "razon_social", "giro", "rut_representante", "email", "telefono", "telefono_secundario", "direccion",
+        "resultado", "contact_id", "service_address_id", "scoring_status", "partner_id_existente", "error"
+    ];
+
+    const filas = cargaContactosFilas.map(f => {
+        const data = f.respuesta || {};
+        return [
+            f.fila,
+            f.rut ? formatearRut(f.rut) : "",
+            data.unidad_negocio_final || f.unidadNombre,
+            f.empresa?.razonSocial || "",
+            f.empresa?.giro || "",
+            f.empresa?.rutRepresentante ? formatearRut(f.empresa.rutRepresentante) : "",
+            f.email,
+            f.telefono || "",
+            f.telefonoSecundario || "",
+            f.direccion?.formatted || f.consulta,
+            f.estado,
+            data.contact_id || "",
+            data.service_address_id || "",
+            data.scoring_status || "",
+            f.estado === "error_duplicado" ? data.partner_id : "",
+            f.errores.map(mensajeError).join(" | ") || (f.estado !== "success" ? data.error || "" : "")
+        ];
+    });
+
+    descargarCsv("reporte-contactos", encabezados, filas);
+}
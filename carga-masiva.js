@@ -0,0 +1,676 @@
+// ==================== CARGA MASIVA DE DIRECCIONES ====================
+
+// Máximo de filas procesándose en paralelo (geocodificación y envío a Odoo)
+const CARGA_MASIVA_CONCURRENCIA = 3;
+
+// Cantidad de filas por lote al enviar a Odoo
+const CARGA_MASIVA_TAMANO_LOTE = 10;
+
+// Columnas reconocidas en el archivo y sus nombres alternativos
+const COLUMNAS_CARGA_DIRECCIONES = {
+    direccion: ["direccion", "address", "direccioncompleta"],
+    calle: ["calle", "street", "via"],
+    numero: ["numero", "number", "nro", "num"],
+    comuna: ["comuna", "ciudad"],
+    region: ["region"],
+    complemento: ["complemento", "street2", "depto", "informacioncomplementaria"]
+};
+
+// Error de validarSeleccionDireccion → clave del texto en la tabla
+const ERRORES_FILA_CARGA = {
+    "direccion.incompleta": "carga.incompleta",
+    "direccion.sinComuna": "carga.comunaNoReconocida"
+};
+
+// Filas cargadas desde el archivo
+let cargaMasivaFilas = [];
+
+document.addEventListener("DOMContentLoaded", () => {
+    const archivoInput = document.getElementById("archivo-direcciones");
+
+    if (!archivoInput) return;
+
+    archivoInput.addEventListener("change", async () => {
+        const archivo = archivoInput.files[0];
+        if (!archivo) return;
+
+        mostrarNombreArchivo(document.getElementById("archivo-direcciones-nombre"), archivo.name);
+        await cargarArchivoDirecciones(archivo);
+
+        // Permitir volver a seleccionar el mismo archivo
+        archivoInput.value = "";
+    });
+
+    alCambiarIdioma(renderizarFilasCarga);
+});
+
+// ==================== LECTURA DEL ARCHIVO ====================
+
+/**
+ * Lee un archivo CSV o XLSX, geocodifica cada fila y muestra la tabla de revisión
+ * @param {File} archivo
+ */
+async function cargarArchivoDirecciones(archivo) {
+    const msgBox = document.getElementById("msg-carga-masiva");
+
+    renderizarHtml(msgBox, `🔄 ${t("carga.leyendo")}`);
+    msgBox.className = "msg loading";
+
+    let registros;
+    try {
+        registros = (await leerArchivoTabular(archivo, COLUMNAS_CARGA_DIRECCIONES))
+            .filter(registro => registro.direccion || registro.calle);
+    } catch (e) {
+        renderizarHtml(msgBox, html`❌ <strong>${t("carga.errorLectura")}</strong><br>${e.message}`);
+        msgBox.className = "msg error";
+        console.error("Error:", e);
+        return;
+    }
+
+    if (registros.length === 0) {
+        renderizarHtml(msgBox, `⚠️ ${t("carga.sinDirecciones")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    // La clave de idempotencia es de la fila: los reenvíos no duplican la dirección en Odoo
+    cargaMasivaFilas = registros.map((registro, i) => ({
+        fila: i + 1,
+        consulta: construirConsultaDireccion(registro),
+        complemento: registro.complemento || "",
+        comuna: registro.comuna || "",
+        direccion: null,
+        pinConfirmado: false,
+        omitirDuplicados: false,
+        duplicados: [],
+        idempotencyKey: generarClaveIdempotencia(),
+        geocodificacion: 0,
+        estado: "pendiente",
+        odooId: null,
+        error: null
+    }));
+
+    document.getElementById("carga-masiva-revision").classList.remove("hidden");
+    document.getElementById("btn-descargar-resultados").classList.add("hidden");
+    document.getElementById("carga-masiva-progreso").classList.add("hidden");
+    renderizarFilasCarga();
+
+    renderizarHtml(msgBox, `🔄 ${t("carga.geocodificando", { n: cargaMasivaFilas.length })}`);
+    msgBox.className = "msg loading";
+
+    await procesarConConcurrencia(cargaMasivaFilas, CARGA_MASIVA_CONCURRENCIA, geocodificarFila);
+
+    msgBox.innerHTML = "";
+    msgBox.className = "msg";
+}
+
+/**
+ * Convierte un archivo CSV o XLSX en una lista de objetos con claves normalizadas
+ * @param {File} archivo
+ * @param {object} columnas - Clave → lista de encabezados aceptados
+ * @returns {Promise<Array<object>>}
+ */
+async function leerArchivoTabular(archivo, columnas) {
+    const nombre = archivo.name.toLowerCase();
+    let matriz;
+
+    if (nombre.endsWith(".xlsx") || nombre.endsWith(".xls")) {
+        if (!window.XLSX) {
+            throw new Error(t("carga.sinLectorExcel"));
+        }
+        const libro = XLSX.read(await archivo.arrayBuffer(), { type: "array" });
+        const hoja = libro.Sheets[libro.SheetNames[0]];
+        matriz = XLSX.utils.sheet_to_json(hoja, { header: 1, raw: false, defval: "" });
+    } else {
+        matriz = parsearCsv(await archivo.text());
+    }
+
+    const [encabezados = [], ...filas] = matriz;
+    const claves = encabezados.map(encabezado => normalizarEncabezado(encabezado, columnas));
+
+    return filas.map(fila => {
+        const registro = {};
+        claves.forEach((clave, i) => {
+            if (clave) registro[clave] = String(fila[i] ?? "").trim();
+        });
+        return registro;
+    });
+}
+
+/**
+ * Parsea texto CSV separado por coma o punto y coma (Excel en español usa ";")
+ * Soporta valores entre comillas con separadores y saltos de línea
+ * @param {string} texto
+ * @returns {Array<Array<string>>}
+ */
+function parsearCsv(texto) {
+    texto = texto.replace(/^\uFEFF/, "");
+
+    const primeraLinea = texto.split(/\r?\n/, 1)[0];
+    const separador = primeraLinea.split(";").length > primeraLinea.split(",").length ? ";" : ",";
+
+    const filas = [];
+    let fila = [];
+    let valor = "";
+    let entreComillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+
+        if (entreComillas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                valor += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                valor += c;
+            }
+        } else if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(valor);
+            valor = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && texto[i + 1] === "\n") i++;
+            fila.push(valor);
+            filas.push(fila);
+            fila = [];
+            valor = "";
+        } else {
+            valor += c;
+        }
+    }
+
+    if (valor !== "" || fila.length > 0) {
+        fila.push(valor);
+        filas.push(fila);
+    }
+
+    return filas.filter(f => f.some(v => v.trim() !== ""));
+}
+
+/**
+ * Normaliza un encabezado de columna a una de las claves conocidas
+ * @param {string} encabezado
+ * @param {object} columnas - Clave → lista de encabezados aceptados
+ * @returns {string|null}
+ */
+function normalizarEncabezado(encabezado, columnas) {
+    const limpio = String(encabezado)
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]/g, "");
+
+    return Object.keys(columnas).find(clave => columnas[clave].includes(limpio)) || null;
+}
+
+/**
+ * Arma el texto a geocodificar a partir de una fila del archivo
+ * @param {object} registro
+ * @returns {string}
+ */
+function construirConsultaDireccion(registro) {
+    if (registro.direccion) return registro.direccion;
+
+    return [
+        `${registro.calle || ""} ${registro.numero || ""}`.trim(),
+        registro.comuna,
+        registro.region
+    ].filter(Boolean).join(", ");
+}
+
+// ==================== GEOCODIFICACIÓN ====================
+
+/**
+ * Geocodifica un texto libre dentro de Chile con el proveedor activo
+ * @param {string} consulta
+ * @returns {Promise<object>} Dirección normalizada
+ */
+async function geocodificarTexto(consulta) {
+    const direccion = await proveedorDirecciones().geocodificar(consulta);
+
+    if (!direccion) {
+        throw new Error(t("carga.sinResultados", { consulta }));
+    }
+
+    return direccion;
+}
+
+/**
+ * Geocodifica una fila y la deja con el mismo formato que initAutocomplete
+ * @param {object} fila
+ */
+async function geocodificarFila(fila) {
+    // Cada corrección deja obsoleta la geocodificación anterior de la fila
+    const geocodificacion = ++fila.geocodificacion;
+
+    fila.estado = "geocodificando";
+    fila.direccion = null;
+    fila.error = null;
+    // La confirmación del pin y la revisión de duplicados eran de la dirección anterior
+    fila.pinConfirmado = false;
+    fila.omitirDuplicados = false;
+    fila.duplicados = [];
+    renderizarFilasCarga();
+
+    let direccion = null;
+    try {
+        direccion = await geocodificarTexto(fila.consulta);
+    } catch (e) {
+        console.error("Error:", e);
+    }
+
+    // Mientras se esperaba, la fila se corrigió otra vez o se quitó de la tabla
+    if (geocodificacion !== fila.geocodificacion || !cargaMasivaFilas.includes(fila)) return;
+
+    if (direccion) {
+        // La comuna del archivo sirve de respaldo si el proveedor no la entrega
+        fila.direccion = normalizarDireccionCatalogo(direccion, [fila.comuna]);
+        evaluarFilaCarga(fila);
+    } else {
+        fila.estado = "incompleta";
+        fila.error = t("carga.noEncontrada");
+    }
+
+    renderizarFilasCarga();
+}
+
+/**
+ * Estado de una fila geocodificada con las mismas reglas que Crear Dirección:
+ * completa, con comuna del catálogo y con el pin confirmado si es aproximada
+ * @param {object} fila
+ */
+function evaluarFilaCarga(fila) {
+    const { direccion: validacion } = validarSeleccionDireccion(fila);
+
+    if (validacion.valid) {
+        fila.estado = "lista";
+    } else if (validacion.error === "direccion.confirmarPin") {
+        fila.estado = "confirmar";
+    } else {
+        fila.estado = "incompleta";
+    }
+
+    fila.error = ERRORES_FILA_CARGA[validacion.error] ? t(ERRORES_FILA_CARGA[validacion.error]) : null;
+}
+
+// ==================== TABLA DE REVISIÓN ====================
+
+function renderizarFilasCarga() {
+    const tbody = document.getElementById("carga-masiva-filas");
+    const resumen = document.getElementById("carga-masiva-resumen");
+
+    const estados = {
+        pendiente: { clase: "", icono: "⏳" },
+        geocodificando: { clase: "", icono: "🔄" },
+        lista: { clase: "valid", icono: "✓" },
+        incompleta: { clase: "invalid", icono: "⚠️" },
+        confirmar: { clase: "", icono: "📍" },
+        enviando: { clase: "", icono: "🔄" },
+        duplicada: { clase: "invalid", icono: "⚠️" },
+        creada: { clase: "valid", icono: "✓" },
+        existente: { clase: "valid", icono: "🔗" },
+        error: { clase: "invalid", icono: "✗" }
+    };
+
+    renderizarHtml(tbody, html`${cargaMasivaFilas.map(fila => {
+        const estado = estados[fila.estado];
+        const editable = ["lista", "incompleta", "confirmar", "duplicada"].includes(fila.estado);
+
+        let detalle = fila.direccion?.formatted || "";
+        if (fila.direccion?.confidence === "low") detalle += ` (${t("carga.aproximada")})`;
+        if (fila.odooId) detalle = t("general.idOdoo", { id: fila.odooId });
+        if (fila.error) detalle = fila.error;
+
+        return html`
+            <tr class="${estado.clase}">
+                <td>${fila.fila}</td>
+                <td>
+                    <input type="text" value="${fila.consulta}" ${editable ? "" : "disabled"}
+                           onchange="corregirFilaCarga(${fila.fila}, this.value)">
+                </td>
+                <td>
+                    <input type="text" value="${fila.complemento}" ${editable ? "" : "disabled"}
+                           onchange="actualizarComplementoCarga(${fila.fila}, this.value)">
+                    <small>${describirPartesComplemento(parsearComplemento(fila.complemento).partes)}</small>
+                </td>
+                <td>
+                    <span class="tabla-estado">${estado.icono} ${t(`carga.estado.${fila.estado}`)}</span>
+                    <small>${detalle}</small>
+                    ${editable && fila.direccion && requiereConfirmarPin(fila.direccion) && renderizarConfirmacionPinCarga(fila)}
+                    ${fila.estado === "duplicada" && renderizarDuplicadosCarga(fila)}
+                </td>
+                <td>
+                    ${editable && html`<button class="btn-icono" title="${t("carga.quitarFila")}" onclick="quitarFilaCarga(${fila.fila})">✕</button>`}
+                </td>
+            </tr>
+        `;
+    })}`);
+
+    const contar = (...estadosFila) => cargaMasivaFilas.filter(f => estadosFila.includes(f.estado)).length;
+    const creadas = contar("creada", "existente");
+    const errores = contar("error");
+
+    renderizarHtml(resumen, html`
+        <span>${tHtml("carga.filas", { n: cargaMasivaFilas.length })}</span>
+        <span>${tHtml("carga.listas", { n: contar("lista") })}</span>
+        <span>${tHtml("carga.porRevisar", { n: contar("incompleta", "confirmar", "duplicada") })}</span>
+        ${(creadas || errores) && html`<span>${tHtml("carga.creadasErrores", { creadas, n: errores })}</span>`}
+    `);
+}
+
+/**
+ * Confirmación del pin de una fila aproximada, con el punto en el mapa
+ * @param {object} fila
+ * @returns {HtmlSeguro}
+ */
+function renderizarConfirmacionPinCarga(fila) {
+    const { lat, lng } = fila.direccion;
+    const mapa = `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+
+    return html`
+        <label class="carga-confirmar-pin">
+            <input type="checkbox" ${fila.pinConfirmado ? "checked" : ""}
+                   onchange="confirmarPinCarga(${fila.fila}, this.checked)">
+            <span>${t("carga.confirmarPin")} · <a href="${mapa}" target="_blank" rel="noopener">${t("carga.verMapa")}</a></span>
+        </label>
+    `;
+}
+
+/**
+ * Direcciones existentes que coinciden con una fila y qué hacer con ella
+ * @param {object} fila
+ * @returns {HtmlSeguro}
+ */
+function renderizarDuplicadosCarga(fila) {
+    return html`
+        <div class="carga-duplicados">
+            ${fila.duplicados.map(c => html`
+                <div class="carga-duplicado">
+                    <small>
+                        ${t("general.idOdoo", { id: c.id })} · ${c.formatted || `${c.street} ${c.number || ""}, ${c.comuna}`}
+                        · ${mensajeError(c.motivo)}
+                    </small>
+                    <button class="btn-link" onclick="usarExistenteCarga(${fila.fila}, ${Number(c.id)})">${t("duplicados.usar")}</button>
+                </div>
+            `)}
+            <button class="btn-link" onclick="crearIgualCarga(${fila.fila})">${t("duplicados.crearIgual")}</button>
+        </div>
+    `;
+}
+
+function buscarFilaCarga(numero) {
+    return cargaMasivaFilas.find(f => f.fila === numero);
+}
+
+function corregirFilaCarga(numero, consulta) {
+    const fila = buscarFilaCarga(numero);
+    if (!fila) return;
+
+    fila.consulta = consulta.trim();
+    geocodificarFila(fila);
+}
+
+function actualizarComplementoCarga(numero, complemento) {
+    const fila = buscarFilaCarga(numero);
+    if (!fila) return;
+
+    fila.complemento = complemento.trim();
+    renderizarFilasCarga();
+}
+
+function confirmarPinCarga(numero, confirmado) {
+    const fila = buscarFilaCarga(numero);
+    if (!fila?.direccion) return;
+
+    fila.pinConfirmado = confirmado;
+    evaluarFilaCarga(fila);
+    renderizarFilasCarga();
+}
+
+/**
+ * La fila coincide con una dirección que ya está en Odoo: se usa esa en vez de crearla
+ * @param {number} numero
+ * @param {number} id - ID de la dirección existente
+ */
+function usarExistenteCarga(numero, id) {
+    const fila = buscarFilaCarga(numero);
+    if (!fila) return;
+
+    fila.estado = "existente";
+    fila.odooId = id;
+    fila.duplicados = [];
+    renderizarFilasCarga();
+}
+
+function crearIgualCarga(numero) {
+    const fila = buscarFilaCarga(numero);
+    if (!fila) return;
+
+    fila.omitirDuplicados = true;
+    fila.duplicados = [];
+    evaluarFilaCarga(fila);
+    renderizarFilasCarga();
+}
+
+function quitarFilaCarga(numero) {
+    cargaMasivaFilas = cargaMasivaFilas.filter(f => f.fila !== numero);
+    renderizarFilasCarga();
+
+    if (cargaMasivaFilas.length === 0) {
+        document.getElementById("carga-masiva-revision").classList.add("hidden");
+        traducirElemento(document.getElementById("archivo-direcciones-nombre"), "carga.seleccionarArchivo");
+    }
+}
+
+// ==================== ENVÍO A ODOO ====================
+
+async function enviarCargaMasiva() {
+    const msgBox = document.getElementById("msg-carga-masiva");
+    const btn = document.getElementById("btn-enviar-carga");
+    const btnText = btn.querySelector(".btn-text");
+    const btnLoader = btn.querySelector(".btn-loader");
+    const progreso = document.getElementById("carga-masiva-progreso");
+    const barra = document.getElementById("carga-masiva-progreso-barra");
+
+    // Una fila que se sigue geocodificando todavía no se sabe si está lista
+    if (cargaMasivaFilas.some(f => ["pendiente", "geocodificando"].includes(f.estado))) {
+        renderizarHtml(msgBox, `⚠️ ${t("carga.esperarGeocodificacion")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    // Reintentar también las filas que fallaron en un envío anterior
+    const confirmadas = cargaMasivaFilas.filter(f => ["lista", "error"].includes(f.estado) && f.direccion);
+
+    if (confirmadas.length === 0) {
+        renderizarHtml(msgBox, `⚠️ ${t("carga.nadaListo")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    if (cargaMasivaFilas.some(f => f.estado === "incompleta")) {
+        renderizarHtml(msgBox, `⚠️ ${t("carga.corregirFilas")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    if (cargaMasivaFilas.some(f => f.estado === "confirmar")) {
+        renderizarHtml(msgBox, `⚠️ ${t("carga.confirmarUbicaciones")}`);
+        msgBox.className = "msg warning";
+        return;
+    }
+
+    btn.disabled = true;
+    btnText.classList.add("hidden");
+    btnLoader.classList.add("active");
+
+    progreso.classList.remove("hidden");
+    barra.style.width = "0%";
+
+    renderizarHtml(msgBox, `🔄 ${t("carga.creando", { n: confirmadas.length })}`);
+    msgBox.className = "msg loading";
+
+    let procesadas = 0;
+
+    for (let i = 0; i < confirmadas.length; i += CARGA_MASIVA_TAMANO_LOTE) {
+        const lote = confirmadas.slice(i, i + CARGA_MASIVA_TAMANO_LOTE);
+
+        await procesarConConcurrencia(lote, CARGA_MASIVA_CONCURRENCIA, async (fila) => {
+            await enviarFilaCarga(fila);
+            procesadas++;
+            barra.style.width = `${Math.round((procesadas / confirmadas.length) * 100)}%`;
+        });
+    }
+
+    const creadas = confirmadas.filter(f => f.estado === "creada").length;
+    const duplicadas = confirmadas.filter(f => f.estado === "duplicada").length;
+    const errores = confirmadas.filter(f => f.estado === "error").length;
+
+    if (errores === 0 && duplicadas === 0) {
+        renderizarHtml(msgBox, html`✅ <strong>${t("carga.creadas", { n: creadas })}</strong>`);
+        msgBox.className = "msg success";
+    } else {
+        renderizarHtml(msgBox, html`
+            ⚠️ <strong>${t("carga.creadasConErrores", { creadas, n: errores })}</strong>
+            ${errores > 0 && html`<br>${t("carga.reenviarErrores")}`}
+            ${duplicadas > 0 && html`<br>${t("carga.revisarDuplicadas", { n: duplicadas })}`}
+        `);
+        msgBox.className = "msg warning";
+    }
+
+    document.getElementById("btn-descargar-resultados").classList.remove("hidden");
+
+    btn.disabled = false;
+    btnText.classList.remove("hidden");
+    btnLoader.classList.remove("active");
+}
+
+/**
+ * Envía una fila al worker de Odoo con el mismo formato que enviarDireccion().
+ * Antes revisa si la dirección ya existe, salvo que el usuario haya pedido
+ * crearla de todas formas.
+ * @param {object} fila
+ */
+async function enviarFilaCarga(fila) {
+    fila.estado = "enviando";
+    fila.error = null;
+    renderizarFilasCarga();
+
+    const dataToSend = {
+        ...fila.direccion,
+        street2: fila.complemento,
+        street2_parts: parsearComplemento(fila.complemento).partes,
+        pin_confirmed: fila.pinConfirmado,
+        manual_entry: Boolean(fila.direccion.manual_entry)
+    };
+
+    try {
+        if (!fila.omitirDuplicados) {
+            let candidatos = [];
+            try {
+                candidatos = await buscarDireccionesDuplicadas(dataToSend);
+            } catch (e) {
+                // Si la búsqueda falla no se bloquea la creación
+                console.error("Error:", e);
+            }
+
+            if (candidatos.length > 0) {
+                fila.estado = "duplicada";
+                fila.duplicados = candidatos;
+                renderizarFilasCarga();
+                return;
+            }
+        }
+
+        const data = await enviarCreacion("/", dataToSend, {
+            accion: "crear_direccion",
+            idempotencyKey: fila.idempotencyKey
+        });
+
+        fila.estado = "creada";
+        fila.odooId = data.id;
+    } catch (e) {
+        fila.estado = "error";
+        fila.error = e.message;
+        if (e.odooError) {
+            fila.error += ` (${JSON.stringify(e.odooError)})`;
+        }
+        console.error("Error:", e);
+    }
+
+    renderizarFilasCarga();
+}
+
+// ==================== DESCARGA DE RESULTADOS ====================
+
+function descargarResultadosCarga() {
+    const encabezados = ["fila", "direccion", "complemento", "direccion_odoo", "estado", "odoo_id", "error"];
+
+    const filas = cargaMasivaFilas.map(f => [
+        f.fila,
+        f.consulta,
+        f.complemento,
+        f.direccion?.formatted || "",
+        f.estado,
+        f.odooId || "",
+        f.error || ""
+    ]);
+
+    descargarCsv("resultados-direcciones", encabezados, filas);
+}
+
+/**
+ * Descarga una tabla como CSV separado por punto y coma, listo para abrir en Excel
+ * @param {string} nombre - Prefijo del nombre de archivo (se agrega la fecha)
+ * @param {Array<string>} encabezados
+ * @param {Array<Array>} filas
+ */
+function descargarCsv(nombre, encabezados, filas) {
+    const csv = [encabezados, ...filas]
+        .map(fila => fila.map(valor => `"${String(valor).replace(/"/g, '""')}"`).join(";"))
+        .join("\r\n");
+
+    // BOM para que Excel reconozca los acentos
+    const blob = new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" });
+    const enlace = document.createElement("a");
+    enlace.href = URL.createObjectURL(blob);
+    enlace.download = `${nombre}-${new Date().toISOString().slice(0, 10)}.csv`;
+    enlace.click();
+    URL.revokeObjectURL(enlace.href);
+}
+
+// ==================== UTILIDADES ====================
+
+/**
+ * Muestra el nombre del archivo elegido en lugar del texto "Seleccionar archivo"
+ * @param {HTMLElement} elemento
+ * @param {string} nombre
+ */
+function mostrarNombreArchivo(elemento, nombre) {
+    // El nombre del archivo no se traduce al cambiar de idioma
+    delete elemento.dataset.i18n;
+    elemento.textContent = nombre;
+}
+
+/**
+ * Ejecuta una función async sobre cada elemento con un máximo de tareas en paralelo
+ * @param {Array} items
+ * @param {number} limite - Máximo de tareas simultáneas
+ * @param {Function} fn - Función async que recibe cada item
+ */
+async function procesarConConcurrencia(items, limite, fn) {
+    let siguiente = 0;
+
+    const trabajador = async () => {
+        while (siguiente < items.length) {
+            const item = items[siguiente++];
+            await fn(item);
+        }
+    };
+
+    const trabajadores = Array.from({ length: Math.min(limite, items.length) }, trabajador);
+    await Promise.all(trabajadores);
+}
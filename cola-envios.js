@@ -0,0 +1,383 @@
+// ==================== COLA DE ENVÍOS (OFFLINE) ====================
+//
+// Cada usuario tiene su propia cola, que se borra cuando cierra su sesión:
+// lo que dejó pendiente nunca sale con el token de otro usuario.
+
+const COLA_DB_NOMBRE = "maihue-cola";
+const COLA_STORE = "envios";
+
+// Reintentos con espera exponencial: 5s, 10s, 20s... hasta 5 minutos
+const COLA_ESPERA_BASE_MS = 5000;
+const COLA_ESPERA_MAX_MS = 5 * 60 * 1000;
+
+// Acción de auditoría según el tipo de envío
+const ACCIONES_COLA = {
+    direccion: "crear_direccion",
+    contacto: "crear_contacto"
+};
+
+let colaDb = null;
+let colaProcesando = false;
+let colaTimer = null;
+
+document.addEventListener("DOMContentLoaded", async () => {
+    window.addEventListener("online", () => {
+        reiniciarEsperasCola().then(procesarCola);
+    });
+
+    const btnCola = document.getElementById("btn-cola");
+    if (btnCola) {
+        btnCola.addEventListener("click", () => {
+            document.getElementById("cola-panel").classList.toggle("hidden");
+        });
+    }
+
+    alCambiarIdioma(renderizarCola);
+
+    try {
+        // Un envío que quedó "enviando" al recargar la página vuelve a pendiente
+        await reiniciarEsperasCola();
+        await renderizarCola();
+        procesarCola();
+    } catch (e) {
+        console.error("Error:", e);
+    }
+});
+
+// ==================== INDEXEDDB ====================
+
+/**
+ * @param {object} usuario - { email }
+ * @returns {string} Nombre de la base del usuario, ej: "maihue-cola:vendedor@maihue.cl"
+ */
+function nombreColaDb(usuario) {
+    return `${COLA_DB_NOMBRE}:${usuario.email}`;
+}
+
+/**
+ * Abre (o crea) la base de datos de la cola del usuario de la sesión
+ * @returns {Promise<IDBDatabase>}
+ */
+function abrirColaDb() {
+    const usuario = usuarioActual();
+    if (!usuario) return Promise.reject(new Error(t("sesion.ingresar")));
+
+    const nombre = nombreColaDb(usuario);
+    if (colaDb?.name === nombre) return Promise.resolve(colaDb);
+
+    // Cambió el usuario desde la última vez
+    colaDb?.close();
+    colaDb = null;
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(nombre, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(COLA_STORE, { keyPath: "id" });
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Otra pestaña cerró la sesión y está borrando la base
+            db.onversionchange = () => {
+                db.close();
+                if (colaDb === db) colaDb = null;
+            };
+            colaDb = db;
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta una operación sobre el store de la cola
+ * @param {string} modo - "readonly" | "readwrite"
+ * @param {Function} operacion - Recibe el store y devuelve un IDBRequest
+ * @returns {Promise<any>}
+ */
+async function operacionCola(modo, operacion) {
+    const db = await abrirColaDb();
+
+    return new Promise((resolve, reject) => {
+        const request = operacion(db.transaction(COLA_STORE, modo).objectStore(COLA_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @returns {Promise<Array<object>>} Envíos del usuario de la sesión (ninguno sin sesión)
+ */
+async function obtenerEnviosCola() {
+    return usuarioActual() ? operacionCola("readonly", store => store.getAll()) : [];
+}
+
+function guardarEnvioCola(envio) {
+    return operacionCola("readwrite", store => store.put(envio));
+}
+
+function eliminarEnvioCola(id) {
+    return operacionCola("readwrite", store => store.delete(id));
+}
+
+/**
+ * Borra del navegador la cola de un usuario, al cerrar su sesión
+ * @param {object} usuario - { email }
+ * @returns {Promise<void>}
+ */
+async function eliminarColaUsuario(usuario) {
+    clearTimeout(colaTimer);
+    colaDb?.close();
+    colaDb = null;
+
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(nombreColaDb(usuario));
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+
+    await renderizarCola();
+}
+
+// ==================== ENCOLAR ====================
+
+/**
+ * Genera la clave de idempotencia de un envío. Se manda desde el primer
+ * intento para que el worker no duplique si el envío original sí llegó.
+ * @returns {string}
+ */
+function generarClaveIdempotencia() {
+    if (window.crypto?.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Guarda un envío fallido u offline para reenviarlo más tarde.
+ * @param {object} envio - { id, tipo, ruta, payload, descripcion }
+ *   ruta: ruta del worker (ej: "/crear-contacto"); la URL se arma al reenviar
+ * @returns {Promise<boolean>} false si el navegador no permite guardar la cola
+ */
+async function encolarEnvio({ id, tipo, ruta, payload, descripcion }) {
+    try {
+        await guardarEnvioCola({
+            id,
+            tipo,
+            ruta,
+            payload,
+            descripcion,
+            estado: "pendiente",
+            intentos: 0,
+            proximoIntento: Date.now() + COLA_ESPERA_BASE_MS,
+            ultimoError: null,
+            resultado: null,
+            creado: new Date().toISOString()
+        });
+    } catch (e) {
+        console.error("Error:", e);
+        return false;
+    }
+
+    await renderizarCola();
+    programarCola();
+    return true;
+}
+
+/**
+ * Indica si un error de llamarApi corresponde a un problema de conexión
+ * (sin red o timeout), es decir, si vale la pena encolar el envío
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function esErrorDeConexion(error) {
+    return error instanceof ErrorConexion || (!navigator.onLine && !(error instanceof ErrorOdoo));
+}
+
+// ==================== REENVÍO ====================
+
+/**
+ * Reenvía los envíos pendientes cuyo tiempo de espera ya se cumplió
+ */
+async function procesarCola() {
+    // Sin sesión el worker rechazaría los envíos: se esperan al próximo login
+    const usuario = usuarioActual();
+    if (colaProcesando || !navigator.onLine || !usuario) return;
+    colaProcesando = true;
+
+    try {
+        const envios = await obtenerEnviosCola();
+        const listos = envios
+            .filter(e => e.estado === "pendiente" && e.proximoIntento <= Date.now())
+            .sort((a, b) => a.creado.localeCompare(b.creado));
+
+        for (const envio of listos) {
+            // Si la sesión cambió a mitad de camino, el resto queda para su dueño
+            if (usuarioActual()?.email !== usuario.email) break;
+            await reenviar(envio);
+        }
+    } finally {
+        colaProcesando = false;
+    }
+
+    await renderizarCola();
+    programarCola();
+}
+
+/**
+ * Reenvía un elemento de la cola y actualiza su estado
+ * @param {object} envio
+ */
+async function reenviar(envio) {
+    envio.estado = "enviando";
+    envio.intentos++;
+    await guardarEnvioCola(envio);
+    await renderizarCola();
+
+    try {
+        // Los envíos guardados antes del cliente API tienen la URL completa
+        const ruta = envio.ruta || new URL(envio.url).pathname;
+
+        const data = await enviarCreacion(ruta, envio.payload, {
+            accion: ACCIONES_COLA[envio.tipo],
+            idempotencyKey: envio.id
+        });
+
+        envio.estado = "enviado";
+        envio.resultado = envio.tipo === "contacto"
+            ? t("cola.idContacto", { id: data.contact_id })
+            : t("general.idOdoo", { id: data.id });
+        envio.ultimoError = null;
+    } catch (e) {
+        console.error("Error:", e);
+
+        if (e instanceof ErrorOdoo) {
+            // El servidor respondió: no tiene sentido reintentar solo
+            envio.estado = "error";
+            envio.ultimoError = e.message;
+        } else {
+            const espera = Math.min(COLA_ESPERA_BASE_MS * 2 ** (envio.intentos - 1), COLA_ESPERA_MAX_MS);
+            envio.estado = "pendiente";
+            envio.proximoIntento = Date.now() + espera;
+            envio.ultimoError = e instanceof ErrorConexion ? t("cola.sinConexion") : e.message;
+        }
+    }
+
+    await guardarEnvioCola(envio);
+}
+
+/**
+ * Programa el próximo reintento según el envío pendiente más cercano
+ */
+async function programarCola() {
+    clearTimeout(colaTimer);
+
+    const pendientes = (await obtenerEnviosCola()).filter(e => e.estado === "pendiente");
+    if (pendientes.length === 0) return;
+
+    const proximo = Math.min(...pendientes.map(e => e.proximoIntento));
+    colaTimer = setTimeout(procesarCola, Math.max(proximo - Date.now(), 0));
+}
+
+/**
+ * Al recuperar la conexión, los pendientes se reintentan de inmediato
+ */
+async function reiniciarEsperasCola() {
+    if (colaProcesando) return;
+
+    const envios = await obtenerEnviosCola();
+
+    for (const envio of envios.filter(e => ["pendiente", "enviando"].includes(e.estado))) {
+        envio.estado = "pendiente";
+        envio.proximoIntento = Date.now();
+        await guardarEnvioCola(envio);
+    }
+}
+
+// ==================== ACCIONES DEL PANEL ====================
+
+async function reintentarEnvioCola(id) {
+    const envios = await obtenerEnviosCola();
+    const envio = envios.find(e => e.id === id);
+    if (!envio) return;
+
+    envio.estado = "pendiente";
+    envio.proximoIntento = Date.now();
+    await guardarEnvioCola(envio);
+
+    procesarCola();
+}
+
+async function descartarEnvioCola(id) {
+    await eliminarEnvioCola(id);
+    await renderizarCola();
+    programarCola();
+}
+
+async function limpiarEnviadosCola() {
+    const envios = await obtenerEnviosCola();
+
+    for (const envio of envios.filter(e => e.estado === "enviado")) {
+        await eliminarEnvioCola(envio.id);
+    }
+
+    await renderizarCola();
+}
+
+// ==================== PANEL ====================
+
+async function renderizarCola() {
+    const btnCola = document.getElementById("btn-cola");
+    const contador = document.getElementById("cola-contador");
+    const lista = document.getElementById("cola-lista");
+
+    if (!lista) return;
+
+    const envios = (await obtenerEnviosCola()).sort((a, b) => b.creado.localeCompare(a.creado));
+    const porEnviar = envios.filter(e => e.estado !== "enviado").length;
+
+    contador.textContent = porEnviar;
+    btnCola.classList.toggle("hidden", envios.length === 0);
+    btnCola.classList.toggle("con-pendientes", porEnviar > 0);
+
+    if (envios.length === 0) {
+        renderizarHtml(lista, html`<p class="cola-vacia">${t("cola.vacia")}</p>`);
+        return;
+    }
+
+    const estados = {
+        pendiente: "⏳",
+        enviando: "🔄",
+        error: "✗",
+        enviado: "✓"
+    };
+
+    // El id va en data-id: interpolado dentro del onclick sería código
+    renderizarHtml(lista, html`${envios.map(envio => {
+        let detalle = envio.resultado || envio.ultimoError || "";
+        if (envio.estado === "pendiente" && envio.intentos > 0) {
+            const hora = new Date(envio.proximoIntento).toLocaleTimeString(localeIdioma());
+            detalle = `${detalle} · ${t("cola.reintento", { hora })}`;
+        }
+
+        return html`
+            <div class="cola-item ${envio.estado}">
+                <div class="cola-item-info">
+                    <span class="cola-item-tipo">${envio.tipo === "contacto" ? "👤" : "📍"}</span>
+                    <div>
+                        <strong>${envio.descripcion}</strong>
+                        <small>${estados[envio.estado]} ${t(`cola.estado.${envio.estado}`)} ${detalle}</small>
+                    </div>
+                </div>
+                <div class="cola-item-acciones">
+                    ${["pendiente", "error"].includes(envio.estado) && html`
+                        <button class="btn-icono" title="${t("cola.reintentar")}" data-id="${envio.id}" onclick="reintentarEnvioCola(this.dataset.id)">↻</button>
+                    `}
+                    ${envio.estado !== "enviando" && html`
+                        <button class="btn-icono" title="${t("general.descartar")}" data-id="${envio.id}" onclick="descartarEnvioCola(this.dataset.id)">✕</button>
+                    `}
+                </div>
+            </div>
+        `;
+    })}`);
+}
@@ -0,0 +1,99 @@
+// ==================== COMPLEMENTO ESTRUCTURADO ====================
+//
+// Separa el complemento ("Depto 501 Torre A") en partes que los repartidores
+// puedan usar. Se envía en street2_parts junto al street2 original.
+
+// Campo → clave del nombre y abreviaciones aceptadas (de la más larga a la más corta).
+// Las abreviaciones son las que se escriben en Chile, no dependen del idioma.
+const PATRONES_COMPLEMENTO = {
+    depto: { etiqueta: "complemento.depto", alias: ["departamento", "depto", "dpto", "dept", "dto"] },
+    oficina: { etiqueta: "complemento.oficina", alias: ["oficina", "ofic", "of"] },
+    torre: { etiqueta: "complemento.torre", alias: ["torre", "tr"] },
+    block: { etiqueta: "complemento.block", alias: ["bloque", "block", "blok", "blk", "bl"] },
+    casa: { etiqueta: "complemento.casa", alias: ["casa"] },
+    local: { etiqueta: "complemento.local", alias: ["local", "loc"] },
+    piso: { etiqueta: "complemento.piso", alias: ["piso"] },
+    lote: { etiqueta: "complemento.lote", alias: ["lote", "lt"] },
+    parcela: { etiqueta: "complemento.parcela", alias: ["parcela", "parc"] }
+};
+
+// "501", "12-B", "4A", "A", "A-12"; admite "N°", "Nro." o "#" antes del valor.
+// Sin dígitos solo se aceptan 1 o 2 letras, para no tomar "Casa Blanca" como casa,
+// y nunca artículos ni preposiciones ("Torre de Babel", "Casa El Roble").
+const PALABRAS_NO_VALOR = ["de", "del", "la", "el", "los", "las", "y"];
+const VALOR_COMPLEMENTO = String.raw`\.?\s*(?:(?:n|nro|num)\s*[°º.]\s*|#\s*)?([0-9][a-z0-9]*(?:-[a-z0-9]+)?|(?!(?:${PALABRAS_NO_VALOR.join("|")})\b)[a-z]{1,2}(?:-?[0-9]+)?)\b`;
+
+// "5° piso", "3er piso", "12vo piso"
+const PISO_ORDINAL = /\b(\d{1,3})\s*(?:°|º|er|ro|do|to|vo|no|mo)\s*piso\b/i;
+
+/**
+ * Separa un complemento en depto, oficina, torre, block, casa, local,
+ * piso, lote y parcela. Lo que no se reconoce queda en resto.
+ * @param {string} texto - Complemento tal como lo escribió el usuario
+ * @returns {object} { partes: { depto: "501", torre: "A", ... }, resto }
+ */
+function parsearComplemento(texto) {
+    let pendiente = String(texto || "");
+    const partes = {};
+
+    const extraer = (campo, regex) => {
+        const match = pendiente.match(regex);
+        if (!match || partes[campo]) return;
+
+        partes[campo] = match[1].toUpperCase();
+        pendiente = pendiente.slice(0, match.index) + " " + pendiente.slice(match.index + match[0].length);
+    };
+
+    extraer("piso", PISO_ORDINAL);
+
+    for (const [campo, { alias }] of Object.entries(PATRONES_COMPLEMENTO)) {
+        // La abreviación no puede ser el comienzo de otra palabra: "Loc" en "Local de comida"
+        extraer(campo, new RegExp(String.raw`\b(?:${alias.join("|")})(?![a-z])${VALOR_COMPLEMENTO}`, "i"));
+    }
+
+    const resto = pendiente
+        .replace(/[,;/]+/g, " ")
+        .replace(/\s+-\s+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    return { partes, resto };
+}
+
+/**
+ * Texto corto de las partes reconocidas, ej: "Depto 501 · Torre A"
+ * @param {object} partes
+ * @returns {string}
+ */
+function describirPartesComplemento(partes) {
+    return Object.keys(PATRONES_COMPLEMENTO)
+        .filter(campo => partes[campo])
+        .map(campo => `${t(PATRONES_COMPLEMENTO[campo].etiqueta)} ${partes[campo]}`)
+        .join(" · ");
+}
+
+/**
+ * Muestra bajo el input las partes reconocidas del complemento para que
+ * el usuario confirme que se entendió bien
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} contenedor - Elemento .complemento-partes
+ */
+function habilitarParseoComplemento(input, contenedor) {
+    const renderizar = () => {
+        const { partes, resto } = parsearComplemento(input.value);
+        const campos = Object.keys(PATRONES_COMPLEMENTO).filter(campo => partes[campo]);
+
+        contenedor.classList.toggle("hidden", campos.length === 0);
+        renderizarHtml(contenedor, html`
+            <span class="complemento-partes-titulo">${t("complemento.entendimos")}</span>
+            ${campos.map(campo => html`
+                <span class="complemento-parte"><small>${t(PATRONES_COMPLEMENTO[campo].etiqueta)}</small> ${partes[campo]}</span>
+            `)}
+            ${resto && html`<span class="complemento-parte resto">${resto}</span>`}
+        `);
+    };
+
+    input.addEventListener("input", renderizar);
+    alCambiarIdioma(renderizar);
+    renderizar();
+}
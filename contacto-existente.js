@@ -0,0 +1,298 @@
+// ==================== CONTACTO EXISTENTE (BÚSQUEDA POR RUT) ====================
+
+// Partner de Odoo encontrado para el RUT ingresado (null si el RUT es nuevo)
+let contactoExistente = null;
+
+// Último RUT consultado, para no repetir la búsqueda en cada tecla
+let ultimoRutConsultado = "";
+
+// Búsqueda en curso; se cancela si el RUT cambia antes de que responda
+let busquedaRutControlador = null;
+
+// Lo que el usuario había escrito antes de precargar el contacto existente,
+// para devolverlo al salir del modo edición
+let camposAntesDeEdicion = null;
+
+document.addEventListener("DOMContentLoaded", () => {
+    alCambiarIdioma(() => {
+        if (contactoExistente) renderizarContactoExistente();
+    });
+});
+
+/**
+ * Busca un contacto existente en Odoo por RUT
+ * @param {string} rut - RUT limpio (solo números y K)
+ * @param {AbortSignal} [signal] - Para cancelar la búsqueda
+ * @returns {Promise<object|null>} Partner encontrado o null
+ */
+async function buscarContactoPorRut(rut, signal) {
+    const data = await llamarApi("/buscar-contacto", { rut: formatearRut(rut) }, {
+        idempotente: true,
+        signal
+    });
+
+    return data.encontrado ? data.partner : null;
+}
+
+/**
+ * Se llama cada vez que el RUT del formulario cambia. Con un RUT válido
+ * consulta Odoo y, si ya existe, pasa el formulario a modo edición.
+ * @param {string} rut - RUT limpio
+ * @param {boolean} valido - Resultado de validarRut
+ */
+async function verificarRutExistente(rut, valido) {
+    if (rut === ultimoRutConsultado && valido) return;
+
+    // El usuario cambió el RUT: la búsqueda anterior ya no sirve
+    busquedaRutControlador?.abort();
+    busquedaRutControlador = null;
+
+    if (!valido) {
+        ultimoRutConsultado = "";
+        if (estadoContacto.obtener().buscandoRut) estadoContacto.actualizar({ buscandoRut: false });
+        if (contactoExistente) salirModoEdicion();
+        return;
+    }
+
+    ultimoRutConsultado = rut;
+    estadoContacto.actualizar({ buscandoRut: true });
+
+    const controlador = new AbortController();
+    busquedaRutControlador = controlador;
+
+    let partner = null;
+    try {
+        partner = await buscarContactoPorRut(rut, controlador.signal);
+    } catch (e) {
+        if (e instanceof ErrorCancelado) return;
+        console.error("Error:", e);
+    }
+
+    busquedaRutControlador = null;
+    estadoContacto.actualizar({ buscandoRut: false });
+
+    if (partner) {
+        entrarModoEdicion(partner);
+    } else if (contactoExistente) {
+        salirModoEdicion();
+    }
+}
+
+/**
+ * Precarga el formulario con los datos del contacto existente
+ * @param {object} partner - { id, name, email, telefono, telefono_secundario, unidad_negocio_id, razon_social, giro, rut_representante, direcciones, contactos }
+ *   contactos: personas de contacto (hijos) ya registradas: { id, nombre, funcion }
+ */
+function entrarModoEdicion(partner) {
+    // Si se pasa de un contacto existente a otro, se conserva lo del usuario
+    if (!contactoExistente) {
+        const { email, unidadId, telefono, telefonoSecundario } = estadoContacto.obtener();
+        camposAntesDeEdicion = { email, unidadId, telefono, telefonoSecundario, empresa: obtenerDatosEmpresa() };
+    }
+
+    contactoExistente = partner;
+
+    const unidadId = partner.unidad_negocio_id ? String(partner.unidad_negocio_id) : "";
+
+    estadoContacto.actualizar({ email: partner.email || "", unidadId });
+    cargarTelefono("telefono", "telefono-pais", partner.telefono || "");
+    cargarTelefono("telefono-secundario", "telefono-secundario-pais", partner.telefono_secundario || "");
+    document.getElementById("unidad-negocio").disabled = true;
+
+    cargarDatosEmpresa({
+        razonSocial: partner.razon_social || "",
+        giro: partner.giro || "",
+        rutRepresentante: partner.rut_representante || ""
+    });
+
+    renderizarContactoExistente();
+
+    document.getElementById("contacto-existente").classList.remove("hidden");
+    traducirElemento(document.querySelector("#btn-crear-contacto .btn-text"), "existente.btnActualizar");
+    traducirElemento(document.getElementById("direccion-contacto-label"), "existente.agregarDirecciones");
+
+    actualizarResumen();
+}
+
+/**
+ * Datos del contacto existente: qué se puede cambiar y lo ya registrado
+ */
+function renderizarContactoExistente() {
+    const partner = contactoExistente;
+    const direcciones = partner.direcciones || [];
+    const personas = partner.contactos || [];
+    const conEmpresa = requiereDatosEmpresa(partner.unidad_negocio_id || "");
+
+    renderizarHtml(document.getElementById("contacto-existente-content"), html`
+        <div><strong>${partner.name}</strong> · ID #${partner.id}</div>
+        <p>${t(conEmpresa ? "existente.editableEmpresa" : "existente.editable")}</p>
+        ${direcciones.length > 0 && html`
+            <small>${t("existente.direcciones")}</small>
+            <ul>
+                ${direcciones.map(d => html`<li>${d.formatted || d.street}</li>`)}
+            </ul>
+        `}
+        ${personas.length > 0 && html`
+            <small>${t("existente.personas")}</small>
+            <ul>
+                ${personas.map(p => html`<li>${p.nombre} (${FUNCIONES_PERSONA[p.funcion] ? t(FUNCIONES_PERSONA[p.funcion]) : p.funcion || ""})</li>`)}
+            </ul>
+        `}
+    `);
+}
+
+/**
+ * Vuelve el formulario al modo de creación, con los campos que tenía antes
+ * de precargar el contacto existente
+ */
+function salirModoEdicion() {
+    contactoExistente = null;
+
+    if (camposAntesDeEdicion) {
+        const { email, unidadId, telefono, telefonoSecundario, empresa } = camposAntesDeEdicion;
+        camposAntesDeEdicion = null;
+
+        estadoContacto.actualizar({ email, unidadId, telefono, telefonoSecundario });
+        cargarDatosEmpresa(empresa);
+    }
+
+    document.getElementById("unidad-negocio").disabled = false;
+    actualizarSugerenciaUnidad();
+    document.getElementById("contacto-existente").classList.add("hidden");
+    traducirElemento(document.querySelector("#btn-crear-contacto .btn-text"), "contacto.btnCrear");
+    traducirElemento(document.getElementById("direccion-contacto-label"), "contacto.direcciones");
+
+    actualizarResumen();
+}
+
+/**
+ * Desde la pantalla de RUT duplicado: volver al formulario con el contacto cargado
+ * @param {string} rut - RUT formateado
+ */
+function editarContactoExistente(rut) {
+    volverAFormulario();
+
+    const rutInput = document.getElementById("rut");
+    rutInput.value = rut;
+    rutInput.dispatchEvent(new Event("input"));
+}
+
+// ==================== ACTUALIZAR CONTACTO ====================
+
+/**
+ * Actualiza el contacto existente y le agrega las personas y direcciones nuevas
+ */
+async function actualizarContactoExistente() {
+    const msgBox = document.getElementById("msg-contacto");
+    const btn = document.getElementById("btn-crear-contacto");
+    const btnText = btn.querySelector(".btn-text");
+    const btnLoader = btn.querySelector(".btn-loader");
+
+    const { rut, unidadId, email, telefono, telefonoSecundario } = obtenerCamposContacto();
+    const { validaciones } = estadoContacto.obtener();
+    const direcciones = obtenerDireccionesContacto();
+    const personas = obtenerPersonasContacto();
+
+    // ==================== VALIDACIONES ====================
+
+    if (!validaciones.email.valid) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(validaciones.email) || t("email.requerido")}`);
+        msgBox.className = "msg warning";
+        document.getElementById("email").focus();
+        return;
+    }
+
+    const telefonosValidacion = validarTelefonosContacto(telefono, telefonoSecundario);
+    if (telefonosValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(telefonosValidacion)}`);
+        msgBox.className = "msg warning";
+        document.getElementById(telefonosValidacion.inputId).focus();
+        return;
+    }
+
+    const empresa = requiereDatosEmpresa(unidadId) ? obtenerDatosEmpresa() : null;
+    const empresaError = empresa && estadoEmpresa.obtener().validaciones.errores[0];
+    if (empresaError) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(empresaError)}`);
+        msgBox.className = "msg warning";
+        document.getElementById(empresaError.campo).focus();
+        return;
+    }
+
+    // Las direcciones son opcionales al actualizar
+    const direccionesValidacion = validarDireccionesContacto(direcciones, true);
+    if (direccionesValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(direccionesValidacion)}`);
+        msgBox.className = "msg warning";
+        direccionesValidacion.input?.focus();
+        return;
+    }
+
+    const personasValidacion = validarPersonasContacto(personas, direcciones);
+    if (personasValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(personasValidacion)}`);
+        msgBox.className = "msg warning";
+        personasValidacion.input?.focus();
+        return;
+    }
+
+    const partner = contactoExistente;
+
+    const dataToSend = {
+        partner_id: partner.id,
+        rut: formatearRut(rut),
+        email,
+        telefono: telefono.e164,
+        telefono_secundario: telefonoSecundario.e164,
+        ...(empresa ? construirPayloadEmpresa(empresa) : {}),
+        // Mismo formato que /crear-contacto para las direcciones
+        direcciones: direcciones.filter(d => d.direccion).map(construirPayloadDireccion),
+        contactos: construirPayloadPersonas(personas, direcciones.filter(d => d.direccion))
+    };
+
+    // ==================== ENVIAR ====================
+
+    btn.disabled = true;
+    btnText.classList.add("hidden");
+    btnLoader.classList.add("active");
+
+    renderizarHtml(msgBox, `🔄 ${t("existente.actualizando")}`);
+    msgBox.className = "msg loading";
+
+    try {
+        const data = await enviarCreacion("/actualizar-contacto", dataToSend, {
+            accion: "actualizar_contacto"
+        });
+
+        mostrarResultado({
+            tipo: "actualizado",
+            rut: formatearRut(rut),
+            nombre: partner.name,
+            email,
+            telefono: telefono.e164,
+            telefonoSecundario: telefonoSecundario.e164,
+            direcciones: listarDireccionesCreadas(dataToSend.direcciones, data),
+            personas: listarPersonasCreadas(dataToSend.contactos, data),
+            contactId: partner.id
+        });
+    } catch (e) {
+        console.error("Error:", e);
+
+        // Sesión vencida: el formulario queda intacto para reenviar después del login
+        if (e instanceof ErrorSesion) return;
+
+        mostrarResultado({
+            tipo: "error",
+            rut: formatearRut(rut),
+            error: e.message,
+            step: e.step,
+            odooError: e.odooError
+        });
+    } finally {
+        btn.disabled = false;
+        btnText.classList.remove("hidden");
+        btnLoader.classList.remove("active");
+        msgBox.innerHTML = "";
+        msgBox.className = "msg";
+    }
+}
@@ -1,309 +1,206 @@
-// ==================== VALIDACIÓN DE RUT ====================
+// ==================== ESTADO DEL FORMULARIO ====================
 
-/**
- * Formatea un RUT chileno al formato XXXXXXXX-X
- * @param {string} rut - RUT sin formato
- * @returns {string} RUT formateado
- */
-function formatearRut(rut) {
-    // Eliminar todo excepto números y K
-    let valor = rut.replace(/[^0-9kK]/g, '').toUpperCase();
-    
-    if (valor.length < 2) return valor;
-    
-    // Separar cuerpo y dígito verificador
-    let cuerpo = valor.slice(0, -1);
-    let dv = valor.slice(-1);
-    
-    // Formatear con guión
-    return `${cuerpo}-${dv}`;
-}
+const TELEFONO_VACIO = { numero: "", pais: PAIS_TELEFONO_DEFECTO };
 
-/**
- * Valida un RUT chileno usando el algoritmo módulo 11
- * También valida que el cuerpo tenga entre 7 y 8 dígitos
- * @param {string} rut - RUT a validar (con o sin formato)
- * @returns {object} { valid: boolean, error: string | null }
- */
-function validarRut(rut) {
-    // Limpiar RUT
-    let valor = rut.replace(/[^0-9kK]/g, '').toUpperCase();
-    
-    if (valor.length < 2) {
-        return { valid: false, error: null }; // Aún escribiendo
-    }
-    
-    let cuerpo = valor.slice(0, -1);
-    let dvIngresado = valor.slice(-1);
-    
-    // Validar que el cuerpo sea numérico
-    if (!/^\d+$/.test(cuerpo)) {
-        return { valid: false, error: "El RUT debe contener solo números" };
-    }
-    
-    // Validar longitud del cuerpo (7-8 dígitos)
-    if (cuerpo.length < 7) {
-        return { valid: false, error: "RUT muy corto (mínimo 7 dígitos)" };
-    }
-    
-    if (cuerpo.length > 8) {
-        return { valid: false, error: "RUT muy largo (máximo 8 dígitos)" };
-    }
-    
-    // Validar que no sean todos los dígitos iguales (ej: 11111111, 77777777)
-    if (/^(\d)\1+$/.test(cuerpo)) {
-        return { valid: false, error: "RUT inválido (números repetidos)" };
-    }
-    
-    // Calcular dígito verificador
-    let suma = 0;
-    let multiplicador = 2;
-    
-    for (let i = cuerpo.length - 1; i >= 0; i--) {
-        suma += parseInt(cuerpo[i]) * multiplicador;
-        multiplicador = multiplicador === 7 ? 2 : multiplicador + 1;
-    }
-    
-    let resto = suma % 11;
-    let dvCalculado = 11 - resto;
-    
-    let dvEsperado;
-    if (dvCalculado === 11) {
-        dvEsperado = '0';
-    } else if (dvCalculado === 10) {
-        dvEsperado = 'K';
-    } else {
-        dvEsperado = dvCalculado.toString();
-    }
-    
-    if (dvIngresado !== dvEsperado) {
-        return { valid: false, error: "Dígito verificador incorrecto" };
-    }
-    
-    return { valid: true, error: null };
-}
+// Campos principales del contacto. Las direcciones y las personas tienen
+// un estado por bloque (direcciones-contacto.js, personas-contacto.js) y los
+// datos de empresa el suyo (estadoEmpresa, datos-empresa.js).
+//   rut: limpio (solo números y K)
+//   telefono, telefonoSecundario: { numero, pais } (número nacional)
+//   buscandoRut: consulta en curso a Odoo (contacto-existente.js)
+const estadoContacto = crearEstadoFormulario({
+    rut: "",
+    unidadId: "",
+    email: "",
+    telefono: TELEFONO_VACIO,
+    telefonoSecundario: TELEFONO_VACIO,
+    buscandoRut: false
+}, validarCamposContacto);
 
 /**
- * Limpia un RUT dejando solo números y K
- * @param {string} rut 
- * @returns {string}
+ * @param {object} valores - Campos de estadoContacto
+ * @returns {object} Resultado de cada validador: { rut, email, telefono, telefonoSecundario }
  */
-function limpiarRut(rut) {
-    return rut.replace(/[^0-9kK]/g, '').toUpperCase();
+function validarCamposContacto({ rut, email, telefono, telefonoSecundario }) {
+    return {
+        rut: validarRut(rut),
+        email: validarEmail(email),
+        telefono: validarTelefono(telefono.numero, telefono.pais),
+        telefonoSecundario: validarTelefono(telefonoSecundario.numero, telefonoSecundario.pais)
+    };
 }
 
-// ==================== VALIDACIÓN DE EMAIL ====================
-
 /**
- * Valida formato de email
- * @param {string} email 
- * @returns {object} { valid: boolean, error: string | null }
+ * Campos principales del contacto, leídos del estado
+ * @returns {object} { rut, unidadId, unidadNombre, email, telefono, telefonoSecundario }
+ *   telefono, telefonoSecundario: { numero, pais, validacion, e164 }, igual que telefonoConE164
  */
-function validarEmail(email) {
-    if (!email || email.trim() === '') {
-        return { valid: false, error: null }; // Vacío, sin error
-    }
-    
-    const emailTrimmed = email.trim();
-    
-    // Regex para validación de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    
-    if (!emailRegex.test(emailTrimmed)) {
-        // Dar feedback más específico
-        if (!emailTrimmed.includes('@')) {
-            return { valid: false, error: "Falta el símbolo @" };
-        }
-        if (!emailTrimmed.includes('.')) {
-            return { valid: false, error: "Falta el dominio (ej: .com, .cl)" };
-        }
-        return { valid: false, error: "Formato de email inválido" };
-    }
-    
-    return { valid: true, error: null };
-}
+function obtenerCamposContacto() {
+    const { rut, unidadId, email, telefono, telefonoSecundario, validaciones } = estadoContacto.obtener();
+    const opcionUnidad = [...document.getElementById("unidad-negocio").options].find(o => o.value === unidadId);
 
-// ==================== VALIDACIÓN DE TELÉFONO ====================
-
-/**
- * Formatea teléfono a solo 9 dígitos
- * @param {string} telefono 
- * @returns {string}
- */
-function formatearTelefono(telefono) {
-    // Solo permitir dígitos, máximo 9
-    return telefono.replace(/\D/g, '').slice(0, 9);
+    return {
+        rut,
+        unidadId,
+        unidadNombre: unidadId ? opcionUnidad?.text || "" : "",
+        email: email.trim(),
+        telefono: telefonoConE164(telefono, validaciones.telefono),
+        telefonoSecundario: telefonoConE164(telefonoSecundario, validaciones.telefonoSecundario)
+    };
 }
 
 /**
- * Valida teléfono chileno (9 dígitos)
- * @param {string} telefono 
- * @returns {object} { valid: boolean, error: string | null }
+ * @param {object} telefono - { numero, pais }, como se guarda en el estado
+ * @param {object} validacion - Resultado de validarTelefono
+ * @returns {object} { numero, pais, validacion, e164 }
+ *   e164: null si el número no es válido
  */
-function validarTelefono(telefono) {
-    const soloDigitos = telefono.replace(/\D/g, '');
-    
-    if (soloDigitos.length === 0) {
-        return { valid: false, error: null }; // Vacío, sin error
-    }
-    
-    if (soloDigitos.length < 9) {
-        return { valid: false, error: `Faltan ${9 - soloDigitos.length} dígitos` };
-    }
-    
-    if (soloDigitos.length === 9) {
-        return { valid: true, error: null };
-    }
-    
-    return { valid: false, error: "Máximo 9 dígitos" };
+function telefonoConE164(telefono, validacion) {
+    return {
+        ...telefono,
+        validacion,
+        e164: validacion.valid ? normalizarTelefonoE164(telefono.numero, telefono.pais) : null
+    };
 }
 
 // ==================== EVENTOS DEL FORMULARIO ====================
 
 document.addEventListener("DOMContentLoaded", () => {
-    initRutValidation();
-    initEmailValidation();
-    initTelefonoValidation();
-    initResumenListeners();
+    if (!document.getElementById("rut")) return;
+
+    estadoContacto.suscribir(sincronizarCamposContacto);
+    estadoContacto.suscribir(marcarCamposContacto);
+    estadoContacto.suscribir(actualizarResumen);
+
+    initCamposContacto();
     initKeyboardNavigation();
+    marcarCamposContacto(estadoContacto.obtener());
+    
+    // Países, hints y resumen en el idioma nuevo
+    alCambiarIdioma(() => {
+        document.querySelectorAll("#form-contacto select.telefono-pais").forEach(llenarSelectorPaises);
+        marcarCamposContacto(estadoContacto.obtener());
+        actualizarResumen();
+    });
 });
 
-function initRutValidation() {
+/**
+ * Los inputs escriben en estadoContacto; el formato del RUT y del teléfono
+ * se aplica al escribir
+ */
+function initCamposContacto() {
     const rutInput = document.getElementById("rut");
-    const rutHint = document.getElementById("rut-hint");
-    
-    if (!rutInput) return;
+    const unidadSelect = document.getElementById("unidad-negocio");
+    const emailInput = document.getElementById("email");
     
     rutInput.addEventListener("input", (e) => {
-        let valor = e.target.value;
-        let limpio = limpiarRut(valor);
+        const limpio = limpiarRut(e.target.value);
         
         // Formatear si tiene al menos 2 caracteres
         if (limpio.length >= 2) {
             e.target.value = formatearRut(limpio);
         }
         
-        // Validar
-        const resultado = validarRut(limpio);
-        
-        if (limpio.length >= 8) { // Mínimo para validar (7 dígitos + DV)
-            if (resultado.valid) {
-                rutInput.classList.remove("invalid");
-                rutInput.classList.add("valid");
-                rutHint.textContent = "✓ RUT válido";
-                rutHint.classList.remove("invalid");
-                rutHint.classList.add("valid");
-            } else {
-                rutInput.classList.remove("valid");
-                rutInput.classList.add("invalid");
-                rutHint.textContent = `✗ ${resultado.error || "RUT inválido"}`;
-                rutHint.classList.remove("valid");
-                rutHint.classList.add("invalid");
-            }
-        } else if (limpio.length > 0) {
-            // Escribiendo pero aún no completo
-            rutInput.classList.remove("valid", "invalid");
-            rutHint.textContent = `Ingresando... (${limpio.length}/8-9 caracteres)`;
-            rutHint.classList.remove("valid", "invalid");
-        } else {
-            rutInput.classList.remove("valid", "invalid");
-            rutHint.textContent = "Ingresa el RUT sin puntos";
-            rutHint.classList.remove("valid", "invalid");
-        }
+        estadoContacto.actualizar({ rut: limpio });
         
-        actualizarResumen();
+        // Si el RUT ya existe en Odoo, precargar el contacto para editarlo
+        verificarRutExistente(limpio, estadoContacto.obtener().validaciones.rut.valid);
     });
     
-    rutInput.addEventListener("blur", () => {
-        if (rutInput.value.trim() === "") {
-            rutInput.classList.remove("valid", "invalid");
-            rutHint.textContent = "Ingresa el RUT sin puntos";
-            rutHint.classList.remove("valid", "invalid");
-        }
-    });
+    unidadSelect.addEventListener("change", () => estadoContacto.actualizar({ unidadId: unidadSelect.value }));
+    emailInput.addEventListener("input", () => estadoContacto.actualizar({ email: emailInput.value }));
+    
+    initCampoTelefono("telefono", "telefono-pais", (telefono) => estadoContacto.actualizar({ telefono }));
+    initCampoTelefono("telefono-secundario", "telefono-secundario-pais", (telefonoSecundario) => estadoContacto.actualizar({ telefonoSecundario }));
 }
 
-function initEmailValidation() {
-    const emailInput = document.getElementById("email");
-    const emailHint = getOrCreateHint(emailInput, "email-hint");
+/**
+ * Formato y selector de país de un teléfono. Si se pega un número con
+ * "+código", el país se elige solo y el input queda con el número nacional.
+ * @param {string} inputId
+ * @param {string} paisId - Id del select de país
+ * @param {function} alCambiar - Recibe { numero, pais } en cada cambio
+ */
+function initCampoTelefono(inputId, paisId, alCambiar) {
+    const telefonoInput = document.getElementById(inputId);
+    const paisSelect = document.getElementById(paisId);
     
-    if (!emailInput) return;
+    if (!telefonoInput) return;
     
-    emailInput.addEventListener("input", () => {
-        const valor = emailInput.value;
-        const resultado = validarEmail(valor);
-        
-        if (valor.trim() === "") {
-            emailInput.classList.remove("valid", "invalid");
-            emailHint.textContent = "";
-            emailHint.classList.remove("valid", "invalid");
-        } else if (resultado.valid) {
-            emailInput.classList.remove("invalid");
-            emailInput.classList.add("valid");
-            emailHint.textContent = "✓ Email válido";
-            emailHint.classList.remove("invalid");
-            emailHint.classList.add("valid");
-        } else if (resultado.error) {
-            emailInput.classList.remove("valid");
-            emailInput.classList.add("invalid");
-            emailHint.textContent = `✗ ${resultado.error}`;
-            emailHint.classList.remove("valid");
-            emailHint.classList.add("invalid");
+    llenarSelectorPaises(paisSelect);
+    paisSelect.value = PAIS_TELEFONO_DEFECTO;
+    
+    const cambiar = () => alCambiar({ numero: telefonoInput.value, pais: paisSelect.value });
+    
+    telefonoInput.addEventListener("input", (e) => {
+        // Mientras se escribe "+" y el código, se espera a reconocer el país
+        const paisDetectado = detectarPaisTelefono(e.target.value);
+        if (paisDetectado) {
+            paisSelect.value = paisDetectado;
+        } else if (e.target.value.trim().startsWith("+")) {
+            return;
         }
         
-        actualizarResumen();
+        e.target.value = formatearTelefono(e.target.value, paisSelect.value);
+        cambiar();
     });
     
-    emailInput.addEventListener("blur", () => {
-        if (emailInput.value.trim() === "") {
-            emailInput.classList.remove("valid", "invalid");
-            emailHint.textContent = "";
-            emailHint.classList.remove("valid", "invalid");
-        }
+    paisSelect.addEventListener("change", () => {
+        telefonoInput.value = formatearTelefono(telefonoInput.value, paisSelect.value);
+        cambiar();
     });
 }
 
-function initTelefonoValidation() {
-    const telefonoInput = document.getElementById("telefono");
-    const telefonoHint = getOrCreateHint(telefonoInput, "telefono-hint");
-    
-    if (!telefonoInput) return;
+/**
+ * Opciones de país de un selector de teléfono, con el nombre del país en el
+ * idioma activo. Mantiene el país elegido.
+ * @param {HTMLSelectElement} paisSelect
+ */
+function llenarSelectorPaises(paisSelect) {
+    const nombres = new Intl.DisplayNames([localeIdioma()], { type: "region" });
+    const elegido = paisSelect.value;
+    
+    renderizarHtml(paisSelect, html`${Object.entries(PAISES_TELEFONO).map(([pais, { bandera, codigo }]) => html`
+        <option value="${pais}" title="${nombres.of(pais)}">${bandera} +${codigo}</option>
+    `)}`);
+    if (elegido) paisSelect.value = elegido;
+}
+
+/**
+ * Carga un teléfono guardado (E.164 o 9 dígitos) en su input y selector de país
+ * @param {string} inputId
+ * @param {string} paisId
+ * @param {string} telefono
+ */
+function cargarTelefono(inputId, paisId, telefono) {
+    const { pais, numero } = separarTelefono(telefono);
+    const telefonoInput = document.getElementById(inputId);
     
-    telefonoInput.addEventListener("input", (e) => {
-        // Formatear: solo dígitos, máximo 9
-        const formateado = formatearTelefono(e.target.value);
-        e.target.value = formateado;
-        
-        const resultado = validarTelefono(formateado);
-        
-        if (formateado === "") {
-            telefonoInput.classList.remove("valid", "invalid");
-            telefonoHint.textContent = "";
-            telefonoHint.classList.remove("valid", "invalid");
-        } else if (resultado.valid) {
-            telefonoInput.classList.remove("invalid");
-            telefonoInput.classList.add("valid");
-            telefonoHint.textContent = "✓ Teléfono válido";
-            telefonoHint.classList.remove("invalid");
-            telefonoHint.classList.add("valid");
-        } else if (resultado.error) {
-            telefonoInput.classList.remove("valid");
-            telefonoInput.classList.add("invalid");
-            telefonoHint.textContent = `✗ ${resultado.error}`;
-            telefonoHint.classList.remove("valid");
-            telefonoHint.classList.add("invalid");
-        }
-        
-        actualizarResumen();
-    });
+    document.getElementById(paisId).value = pais;
+    telefonoInput.value = telefono ? numero : "";
+    telefonoInput.dispatchEvent(new Event("input"));
+}
+
+/**
+ * Valida el teléfono principal (obligatorio) y el secundario (opcional)
+ * @param {object} principal - Resultado de telefonoConE164
+ * @param {object} secundario - Resultado de telefonoConE164
+ * @returns {object|null} { error, datos, inputId } del primer problema, o null
+ *   error: clave del mensaje
+ */
+function validarTelefonosContacto(principal, secundario) {
+    const motivo = (validacion) => validacion.error ? validacion : { error: "telefono.invalido" };
     
-    telefonoInput.addEventListener("blur", () => {
-        if (telefonoInput.value.trim() === "") {
-            telefonoInput.classList.remove("valid", "invalid");
-            telefonoHint.textContent = "";
-            telefonoHint.classList.remove("valid", "invalid");
-        }
-    });
+    if (!principal.numero) {
+        return { error: "telefono.requerido", inputId: "telefono" };
+    }
+    if (!principal.validacion.valid) {
+        return { error: "telefono.principalInvalido", datos: { motivo: motivo(principal.validacion) }, inputId: "telefono" };
+    }
+    if (secundario.numero && !secundario.validacion.valid) {
+        return { error: "telefono.secundarioInvalido", datos: { motivo: motivo(secundario.validacion) }, inputId: "telefono-secundario" };
+    }
+    return null;
 }
 
 /**
@@ -327,21 +224,92 @@ function getOrCreateHint(input, hintId) {
     return hint;
 }
 
-function initResumenListeners() {
-    const camposResumen = ["unidad-negocio", "complemento-contacto"];
-    camposResumen.forEach(id => {
-        const elem = document.getElementById(id);
-        if (elem) {
-            elem.addEventListener("input", actualizarResumen);
-            elem.addEventListener("change", actualizarResumen);
-        }
+// ==================== ESTADO → FORMULARIO ====================
+
+/**
+ * Lleva al formulario los valores que cambiaron por fuera de los inputs
+ * (limpiar, contacto existente, historial)
+ * @param {object} estado - Estado de estadoContacto
+ */
+function sincronizarCamposContacto(estado) {
+    const rutInput = document.getElementById("rut");
+    if (limpiarRut(rutInput.value) !== estado.rut) {
+        rutInput.value = estado.rut.length >= 2 ? formatearRut(estado.rut) : estado.rut;
+    }
+    
+    const unidadSelect = document.getElementById("unidad-negocio");
+    if (unidadSelect.value !== estado.unidadId) unidadSelect.value = estado.unidadId;
+    
+    const emailInput = document.getElementById("email");
+    if (emailInput.value !== estado.email) emailInput.value = estado.email;
+    
+    [
+        ["telefono", "telefono-pais", estado.telefono],
+        ["telefono-secundario", "telefono-secundario-pais", estado.telefonoSecundario]
+    ].forEach(([inputId, paisId, { numero, pais }]) => {
+        const telefonoInput = document.getElementById(inputId);
+        const paisSelect = document.getElementById(paisId);
+        
+        // Un "+código" a medio escribir todavía no llega al estado
+        if (document.activeElement === telefonoInput) return;
+        
+        if (telefonoInput.value !== numero) telefonoInput.value = numero;
+        if (paisSelect.value !== pais) paisSelect.value = pais;
     });
 }
 
+/**
+ * Hints y marcas de validación de los campos principales
+ * @param {object} estado - Estado de estadoContacto
+ */
+function marcarCamposContacto(estado) {
+    const { validaciones } = estado;
+    const emailInput = document.getElementById("email");
+    
+    marcarCampo(document.getElementById("rut"), document.getElementById("rut-hint"), marcaRut(estado, validaciones.rut));
+    marcarCampo(emailInput, getOrCreateHint(emailInput, "email-hint"), marcaEmail(validaciones.email));
+    marcarCampo(document.getElementById("telefono"), document.getElementById("telefono-hint"), marcaTelefono(estado.telefono, validaciones.telefono));
+    marcarCampo(document.getElementById("telefono-secundario"), document.getElementById("telefono-secundario-hint"), marcaTelefono(estado.telefonoSecundario, validaciones.telefonoSecundario));
+}
+
+/**
+ * @param {object} estado - { rut, buscandoRut }
+ * @param {object} validacion - Resultado de validarRut
+ * @returns {object} { estado, texto } para marcarCampo
+ */
+function marcaRut({ rut, buscandoRut }, validacion) {
+    if (!rut) {
+        return { texto: t("rut.ayuda") };
+    }
+    
+    // Mínimo para validar (7 dígitos + DV)
+    if (rut.length < 8) {
+        return { texto: t("rut.ingresando", { n: rut.length }) };
+    }
+    
+    if (!validacion.valid) {
+        return { estado: "invalid", texto: `✗ ${mensajeError(validacion) || t("rut.invalido")}` };
+    }
+    
+    return { estado: "valid", texto: buscandoRut ? `🔍 ${t("rut.buscando")}` : `✓ ${t("rut.valido")}` };
+}
+
+/**
+ * @param {object} validacion - Resultado de validarEmail
+ * @returns {object} { estado, texto } para marcarCampo
+ */
+function marcaEmail(validacion) {
+    if (validacion.valid) {
+        return { estado: "valid", texto: `✓ ${t("email.valido")}` };
+    }
+    
+    return validacion.error ? { estado: "invalid", texto: `✗ ${mensajeError(validacion)}` } : {};
+}
+
 function initKeyboardNavigation() {
     const email = document.getElementById("email");
     const telefono = document.getElementById("telefono");
-    const direccionContacto = document.getElementById("direccion-contacto");
+    const telefonoSecundario = document.getElementById("telefono-secundario");
     
     if (email) {
         email.addEventListener("keypress", (e) => {
@@ -356,7 +324,16 @@ function initKeyboardNavigation() {
         telefono.addEventListener("keypress", (e) => {
             if (e.key === "Enter") {
                 e.preventDefault();
-                direccionContacto?.focus();
+                telefonoSecundario?.focus();
+            }
+        });
+    }
+    
+    if (telefonoSecundario) {
+        telefonoSecundario.addEventListener("keypress", (e) => {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                document.querySelector("#direcciones-contacto-lista .direccion-input")?.focus();
             }
         });
     }
@@ -365,67 +342,66 @@ function initKeyboardNavigation() {
 // ==================== RESUMEN ====================
 
 function actualizarResumen() {
+    // Cada cambio del formulario pasa por aquí
+    programarGuardadoBorrador();
+    
     const resumenCard = document.getElementById("resumen-contacto");
     const resumenContent = document.getElementById("resumen-content");
     
-    const rut = document.getElementById("rut")?.value || "";
-    const unidadSelect = document.getElementById("unidad-negocio");
-    const unidad = unidadSelect?.options[unidadSelect.selectedIndex]?.text || "";
-    const email = document.getElementById("email")?.value || "";
-    const telefono = document.getElementById("telefono")?.value || "";
-    const direccion = window.direccionContactoProcesada?.formatted || "";
-    const complemento = document.getElementById("complemento-contacto")?.value || "";
+    const { rut: rutLimpio, unidadId, unidadNombre: unidad, email, telefono, telefonoSecundario } = obtenerCamposContacto();
+    const { validaciones } = estadoContacto.obtener();
+    const telefonos = [
+        [t("campo.telefono"), telefono],
+        [t("campo.telefonoSecundario"), telefonoSecundario]
+    ];
+    const direcciones = obtenerDireccionesContacto().filter(d => d.direccion);
+    const personas = obtenerPersonasContacto().filter(p => p.nombre);
     
     // Mostrar resumen solo si hay RUT válido y unidad de negocio
-    const rutLimpio = limpiarRut(rut);
-    const rutValidacion = validarRut(rutLimpio);
-    
-    if (rutValidacion.valid && unidadSelect?.value) {
+    if (validaciones.rut.valid && unidadId) {
         resumenCard.classList.remove("hidden");
         
-        let html = `
-            <div class="resumen-row">
-                <span class="resumen-label">RUT</span>
-                <span class="resumen-value">${formatearRut(rutLimpio)}</span>
-            </div>
-            <div class="resumen-row">
-                <span class="resumen-label">Tipo</span>
-                <span class="resumen-value">${unidad}</span>
-            </div>
-        `;
+        // [etiqueta, valor] de cada fila; los valores se escapan al renderizar
+        const filas = [
+            [t("campo.rut"), formatearRut(rutLimpio)],
+            [t("resumen.tipo"), unidad]
+        ];
         
-        if (email && validarEmail(email).valid) {
-            html += `
-                <div class="resumen-row">
-                    <span class="resumen-label">Email</span>
-                    <span class="resumen-value">${email}</span>
-                </div>
-            `;
+        if (requiereDatosEmpresa(unidadId)) {
+            const { razonSocial, giro, rutRepresentante } = obtenerDatosEmpresa();
+            if (razonSocial) filas.push([t("empresa.razonSocial"), razonSocial]);
+            if (giro) filas.push([t("empresa.giro"), giro]);
+            if (validarRut(rutRepresentante).valid) filas.push([t("resumen.representante"), formatearRut(rutRepresentante)]);
         }
         
-        if (telefono && validarTelefono(telefono).valid) {
-            html += `
-                <div class="resumen-row">
-                    <span class="resumen-label">Teléfono</span>
-                    <span class="resumen-value">+56 ${telefono}</span>
-                </div>
-            `;
+        if (validaciones.email.valid) {
+            filas.push([t("campo.email"), email]);
         }
         
-        if (direccion) {
-            let direccionMostrar = direccion;
-            if (complemento) {
-                direccionMostrar += `, ${complemento}`;
-            }
-            html += `
-                <div class="resumen-row">
-                    <span class="resumen-label">Dirección</span>
-                    <span class="resumen-value">${direccionMostrar}</span>
-                </div>
-            `;
-        }
+        telefonos.forEach(([etiqueta, telefono]) => {
+            if (telefono.e164) filas.push([etiqueta, mostrarTelefono(telefono.e164)]);
+        });
         
-        resumenContent.innerHTML = html;
+        direcciones.forEach(({ direccion, complemento, etiqueta }) => {
+            filas.push([
+                `${t("campo.direccion")} (${t(ETIQUETAS_DIRECCION[etiqueta])})`,
+                complemento ? `${direccion.formatted}, ${complemento}` : direccion.formatted
+            ]);
+        });
+        
+        personas.forEach(({ nombre, funcion, email, telefono }) => {
+            filas.push([
+                `${t("campo.persona")} (${t(FUNCIONES_PERSONA[funcion])})`,
+                [nombre, email, telefono.e164 && mostrarTelefono(telefono.e164)].filter(Boolean).join(" · ")
+            ]);
+        });
+        
+        renderizarHtml(resumenContent, html`${filas.map(([etiqueta, valor]) => html`
+            <div class="resumen-row">
+                <span class="resumen-label">${etiqueta}</span>
+                <span class="resumen-value">${valor}</span>
+            </div>
+        `)}`);
     } else {
         resumenCard.classList.add("hidden");
     }
@@ -433,7 +409,82 @@ function actualizarResumen() {
 
 // ==================== CREAR CONTACTO ====================
 
+/**
+ * Arma una dirección de servicio con el formato que espera el worker
+ * @param {object} datos - { direccion, complemento, etiqueta, pinConfirmado }
+ * @returns {object}
+ */
+function construirPayloadDireccion({ direccion, complemento = "", etiqueta = "main", pinConfirmado = false }) {
+    return {
+        label: etiqueta,
+        street: direccion.street,
+        number: direccion.number || "",
+        comuna: direccion.comuna,
+        comuna_code: direccion.comuna_code,
+        region: direccion.region,
+        region_code: direccion.region_code,
+        postal: direccion.postal || "",
+        street2: complemento,
+        street2_parts: parsearComplemento(complemento).partes,
+        formatted: direccion.formatted,
+        lat: direccion.lat,
+        lng: direccion.lng,
+        location_type: direccion.location_type,
+        place_id: direccion.place_id,
+        confidence: direccion.confidence,
+        location_adjusted: direccion.location_adjusted || false,
+        manual_entry: Boolean(direccion.manual_entry),
+        pin_confirmed: pinConfirmado
+    };
+}
+
+/**
+ * Arma el cuerpo que espera /crear-contacto
+ * @param {object} datos - { rut, unidadId, unidadNombre, email, telefono, telefonoSecundario, empresa, direcciones, personas }
+ *   telefono, telefonoSecundario: en E.164 (el secundario es opcional)
+ *   empresa: { razonSocial, giro, rutRepresentante }, solo para Empresa y Horeca
+ *   direcciones: lista de { uid, direccion, complemento, etiqueta, pinConfirmado }
+ *   personas: resultado de obtenerPersonasContacto (se crean como contactos hijos)
+ * @returns {object}
+ */
+function construirPayloadContacto({ rut, unidadId, unidadNombre, email, telefono, telefonoSecundario = null, empresa = null, direcciones, personas = [] }) {
+    const payloadDirecciones = direcciones.map(construirPayloadDireccion);
+
+    return {
+        rut: formatearRut(rut),
+        unidad_negocio_id: parseInt(unidadId),
+        unidad_negocio_nombre: unidadNombre,
+        email: email,
+        telefono: telefono,
+        telefono_secundario: telefonoSecundario,
+        ...(empresa ? construirPayloadEmpresa(empresa) : {}),
+        // `direccion` se mantiene con la principal para compatibilidad con el worker
+        direccion: payloadDirecciones.find(d => d.label === "main") || payloadDirecciones[0],
+        direcciones: payloadDirecciones,
+        contactos: construirPayloadPersonas(personas, direcciones)
+    };
+}
+
+/**
+ * Tipo de resultado (el mismo que usa mostrarResultado) para un error de /crear-contacto
+ * @param {Error} error - Error lanzado por llamarApi
+ * @returns {string} "error_duplicado" | "error_equifax" | "error"
+ */
+function clasificarErrorContacto(error) {
+    if (error instanceof ErrorRutDuplicado) return "error_duplicado";
+    if (error instanceof ErrorEquifax) return "error_equifax";
+    return "error";
+}
+
+// La creación incluye la consulta a Equifax, que puede tardar más que el resto
+const CREAR_CONTACTO_TIMEOUT_MS = 30000;
+
 async function crearContacto() {
+    // RUT ya registrado: se actualiza el contacto en vez de crearlo
+    if (contactoExistente) {
+        return actualizarContactoExistente();
+    }
+    
     const msgBox = document.getElementById("msg-contacto");
     const btn = document.getElementById("btn-crear-contacto");
     const btnText = btn.querySelector(".btn-text");
@@ -443,22 +494,17 @@ async function crearContacto() {
     const rutInput = document.getElementById("rut");
     const unidadSelect = document.getElementById("unidad-negocio");
     const emailInput = document.getElementById("email");
-    const telefonoInput = document.getElementById("telefono");
-    const complementoInput = document.getElementById("complemento-contacto");
     
-    const rut = limpiarRut(rutInput?.value || "");
-    const unidadId = unidadSelect?.value;
-    const unidadNombre = unidadSelect?.options[unidadSelect.selectedIndex]?.text || "";
-    const email = emailInput?.value?.trim() || "";
-    const telefono = telefonoInput?.value?.trim() || "";
-    const complemento = complementoInput?.value?.trim() || "";
+    const { rut, unidadId, unidadNombre, email, telefono, telefonoSecundario } = obtenerCamposContacto();
+    const { validaciones } = estadoContacto.obtener();
+    let direcciones = obtenerDireccionesContacto();
+    const personas = obtenerPersonasContacto();
     
     // ==================== VALIDACIONES ====================
     
     // Validar RUT
-    const rutValidacion = validarRut(rut);
-    if (!rutValidacion.valid) {
-        msgBox.innerHTML = `⚠️ ${rutValidacion.error || "Ingresa un RUT válido"}`;
+    if (!validaciones.rut.valid) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(validaciones.rut) || t("rut.requerido")}`);
         msgBox.className = "msg warning";
         rutInput?.focus();
         return;
@@ -466,152 +512,183 @@ async function crearContacto() {
     
     // Validar unidad de negocio
     if (!unidadId) {
-        msgBox.innerHTML = "⚠️ Selecciona una unidad de negocio";
+        renderizarHtml(msgBox, `⚠️ ${t("contacto.unidadRequerida")}`);
         msgBox.className = "msg warning";
         unidadSelect?.focus();
         return;
     }
     
+    // Validar datos de empresa (Empresa y Horeca)
+    const empresa = requiereDatosEmpresa(unidadId) ? obtenerDatosEmpresa() : null;
+    const empresaError = empresa && estadoEmpresa.obtener().validaciones.errores[0];
+    if (empresaError) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(empresaError)}`);
+        msgBox.className = "msg warning";
+        document.getElementById(empresaError.campo).focus();
+        return;
+    }
+    
     // Validar email
-    const emailValidacion = validarEmail(email);
     if (!email) {
-        msgBox.innerHTML = "⚠️ Ingresa un email";
+        renderizarHtml(msgBox, `⚠️ ${t("email.requerido")}`);
         msgBox.className = "msg warning";
         emailInput?.focus();
         return;
     }
-    if (!emailValidacion.valid) {
-        msgBox.innerHTML = `⚠️ ${emailValidacion.error}`;
+    if (!validaciones.email.valid) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(validaciones.email)}`);
         msgBox.className = "msg warning";
         emailInput?.focus();
         return;
     }
     
-    // Validar teléfono
-    const telefonoValidacion = validarTelefono(telefono);
-    if (!telefono) {
-        msgBox.innerHTML = "⚠️ Ingresa un número de teléfono";
-        msgBox.className = "msg warning";
-        telefonoInput?.focus();
-        return;
-    }
-    if (!telefonoValidacion.valid) {
-        msgBox.innerHTML = `⚠️ El teléfono debe tener 9 dígitos`;
+    // Validar teléfonos (el secundario es opcional)
+    const telefonosValidacion = validarTelefonosContacto(telefono, telefonoSecundario);
+    if (telefonosValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(telefonosValidacion)}`);
         msgBox.className = "msg warning";
-        telefonoInput?.focus();
+        document.getElementById(telefonosValidacion.inputId).focus();
         return;
     }
     
-    // Validar dirección
-    if (!window.direccionContactoProcesada) {
-        msgBox.innerHTML = "⚠️ Selecciona una dirección del autocompletado";
+    // Validar direcciones (completas y con el pin confirmado si son aproximadas)
+    const direccionesValidacion = validarDireccionesContacto(direcciones);
+    if (direccionesValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(direccionesValidacion)}`);
         msgBox.className = "msg warning";
-        document.getElementById("direccion-contacto")?.focus();
+        direccionesValidacion.input?.focus();
         return;
     }
     
-    const { street, number, comuna, region, postal } = window.direccionContactoProcesada;
-    if (!street || !comuna || !region) {
-        msgBox.innerHTML = "⚠️ La dirección seleccionada no tiene información completa. Intenta con otra dirección.";
+    // Validar personas de contacto
+    const personasValidacion = validarPersonasContacto(personas, direcciones);
+    if (personasValidacion) {
+        renderizarHtml(msgBox, `⚠️ ${mensajeError(personasValidacion)}`);
         msgBox.className = "msg warning";
+        personasValidacion.input?.focus();
         return;
     }
     
     // ==================== PREPARAR DATOS ====================
     
-    const dataToSend = {
-        rut: formatearRut(rut),
-        unidad_negocio_id: parseInt(unidadId),
-        unidad_negocio_nombre: unidadNombre,
-        email: email,
-        telefono: telefono,
-        direccion: {
-            street: street,
-            number: number || "",
-            comuna: comuna,
-            region: region,
-            postal: postal || "",
-            street2: complemento,
-            formatted: window.direccionContactoProcesada.formatted
-        }
-    };
+    // Bloques vacíos no se envían
+    direcciones = direcciones.filter(d => d.direccion);
+    
+    const dataToSend = construirPayloadContacto({
+        rut,
+        unidadId,
+        unidadNombre,
+        email,
+        telefono: telefono.e164,
+        telefonoSecundario: telefonoSecundario.e164,
+        empresa,
+        direcciones,
+        personas
+    });
     
     // ==================== ENVIAR ====================
     
+    const ruta = "/crear-contacto";
+    const idempotencyKey = generarClaveIdempotencia();
+    
     btn.disabled = true;
     btnText.classList.add("hidden");
     btnLoader.classList.add("active");
     
-    msgBox.innerHTML = "🔄 Validando RUT y creando contacto en Odoo...";
+    renderizarHtml(msgBox, `🔄 ${t("contacto.creando")}`);
     msgBox.className = "msg loading";
     
     try {
-        const res = await fetch("https://validar-direccion-odoo.javiera-silva-6f7.workers.dev/crear-contacto", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(dataToSend)
+        const data = await enviarCreacion(ruta, dataToSend, {
+            accion: "crear_contacto",
+            idempotencyKey,
+            timeoutMs: CREAR_CONTACTO_TIMEOUT_MS
+        });
+        
+        descartarBorradorEnviado(rut);
+        
+        // ÉXITO - Mostrar pantalla de confirmación
+        mostrarResultado({
+            tipo: "success",
+            rut: formatearRut(rut),
+            nombre: data.nombre || empresa?.razonSocial || unidadNombre,
+            email: email,
+            telefono: telefono.e164,
+            telefonoSecundario: telefonoSecundario.e164,
+            direcciones: listarDireccionesCreadas(dataToSend.direcciones, data),
+            personas: listarPersonasCreadas(dataToSend.contactos, data),
+            contactId: data.contact_id,
+            scoringStatus: data.scoring_status || "approved",
+            scoringDetalle: data.scoring_detalle || null,
+            isMock: data.equifax_mock || false,
+            // Información de cambio de tipo
+            changedType: data.changed_type || false,
+            changedTo: data.changed_to || null,
+            unidadNegocioOriginal: data.unidad_negocio_original || unidadNombre,
+            unidadNegocioFinal: data.unidad_negocio_final || unidadNombre
         });
+    } catch (e) {
+        console.error("Error:", e);
         
-        const data = await res.json();
+        // Sesión vencida: el formulario queda intacto para reenviar después del login
+        if (e instanceof ErrorSesion) return;
         
-        if (data.status === "ok") {
-            // ÉXITO - Mostrar pantalla de confirmación
+        if (e instanceof ErrorRutDuplicado) {
+            // RUT ya existe
             mostrarResultado({
-                tipo: "success",
+                tipo: "error_duplicado",
                 rut: formatearRut(rut),
-                nombre: data.nombre || unidadNombre,
-                email: email,
-                telefono: telefono,
-                direccion: window.direccionContactoProcesada.formatted,
-                contactId: data.contact_id,
-                serviceAddressId: data.service_address_id,
-                scoringStatus: data.scoring_status || "approved",
-                isMock: data.equifax_mock || false,
-                // Información de cambio de tipo
-                changedType: data.changed_type || false,
-                changedTo: data.changed_to || null,
-                unidadNegocioOriginal: data.unidad_negocio_original || unidadNombre,
-                unidadNegocioFinal: data.unidad_negocio_final || unidadNombre
+                partnerName: e.partnerName,
+                partnerId: e.partnerId,
+                error: e.message
             });
-            
-        } else {
-            // ERROR
-            if (data.step === "verificando_rut_duplicado" && data.partner_id) {
-                // RUT ya existe
-                mostrarResultado({
-                    tipo: "error_duplicado",
-                    rut: formatearRut(rut),
-                    partnerName: data.partner_name,
-                    partnerId: data.partner_id,
-                    error: data.error
-                });
-            } else if (data.step === "consultando_equifax") {
-                // Error de Equifax
-                mostrarResultado({
-                    tipo: "error_equifax",
-                    rut: formatearRut(rut),
-                    error: data.error,
-                    equifaxStatus: data.equifax_status
-                });
-            } else {
-                // Otro error
-                mostrarResultado({
-                    tipo: "error",
-                    rut: formatearRut(rut),
-                    error: data.error,
-                    step: data.step,
-                    odooError: data.odoo_error
-                });
-            }
+            return;
         }
-    } catch (e) {
-        // Error de conexión
-        mostrarResultado({
-            tipo: "error",
-            rut: formatearRut(rut),
-            error: "No se pudo conectar con el servidor. Verifica tu conexión a internet."
+        
+        if (e instanceof ErrorEquifax) {
+            mostrarResultado({
+                tipo: "error_equifax",
+                rut: formatearRut(rut),
+                error: e.message,
+                equifaxStatus: e.equifaxStatus
+            });
+            return;
+        }
+        
+        if (e instanceof ErrorOdoo) {
+            mostrarResultado({
+                tipo: "error",
+                rut: formatearRut(rut),
+                error: e.message,
+                step: e.step,
+                odooError: e.odooError
+            });
+            return;
+        }
+        
+        // Sin conexión: guardar en la cola para reenviar automáticamente
+        const encolado = esErrorDeConexion(e) && await encolarEnvio({
+            id: idempotencyKey,
+            tipo: "contacto",
+            ruta,
+            payload: dataToSend,
+            descripcion: `${formatearRut(rut)} · ${dataToSend.direccion.formatted}`
         });
-        console.error("Error:", e);
+        
+        if (encolado) {
+            descartarBorradorEnviado(rut);
+            mostrarResultado({
+                tipo: "en_cola",
+                rut: formatearRut(rut)
+            });
+        } else {
+            // Error de conexión o del servidor
+            mostrarResultado({
+                tipo: "error",
+                rut: formatearRut(rut),
+                error: e.message
+            });
+        }
     } finally {
         btn.disabled = false;
         btnText.classList.remove("hidden");
@@ -621,91 +698,139 @@ async function crearContacto() {
     }
 }
 
+/**
+ * Relaciona cada dirección enviada con el ID de dirección de servicio creado
+ * @param {Array<object>} direcciones - Direcciones del payload
+ * @param {object} data - Respuesta del worker
+ * @returns {Array<object>} { formatted, etiqueta, id }
+ *   etiqueta: "main" | "delivery" | "invoice"
+ */
+function listarDireccionesCreadas(direcciones, data) {
+    // Workers anteriores devuelven solo service_address_id para una dirección
+    const ids = data.service_address_ids || [data.service_address_id];
+
+    return direcciones.map((d, i) => ({
+        formatted: d.street2 ? `${d.formatted}, ${d.street2}` : d.formatted,
+        etiqueta: d.label,
+        id: ids[i] || null
+    }));
+}
+
+/**
+ * Relaciona cada persona enviada con el ID del contacto hijo creado
+ * @param {Array<object>} contactos - Personas del payload
+ * @param {object} data - Respuesta del worker
+ * @returns {Array<object>} { nombre, funcion, id }
+ */
+function listarPersonasCreadas(contactos = [], data) {
+    const ids = data.child_ids || [];
+
+    return contactos.map((c, i) => ({
+        nombre: c.nombre,
+        funcion: c.funcion,
+        id: ids[i] || null
+    }));
+}
+
 // ==================== MOSTRAR RESULTADO ====================
 
+// Estados de Equifax con su propio mensaje; el resto muestra el error del worker
+const RESULTADOS_EQUIFAX = {
+    "Persona Difunta": { icono: "⚠️", clase: "warning", titulo: "equifax.difunta.titulo", subtitulo: "equifax.difunta.subtitulo" },
+    "Rut no existente": { icono: "❓", clase: "warning", titulo: "equifax.noExiste.titulo", subtitulo: "equifax.noExiste.subtitulo" },
+    "Reporte vacio": { icono: "📄", clase: "warning", titulo: "equifax.sinReporte.titulo", subtitulo: "equifax.sinReporte.subtitulo" }
+};
+
+// Último resultado mostrado, para redibujarlo al cambiar de idioma
+let ultimoResultado = null;
+
+document.addEventListener("DOMContentLoaded", () => {
+    alCambiarIdioma(() => {
+        if (ultimoResultado && !document.getElementById("resultado-contacto").classList.contains("hidden")) {
+            mostrarResultado(ultimoResultado);
+        }
+    });
+});
+
 function mostrarResultado(data) {
     const formCard = document.getElementById("form-contacto");
     const resultadoCard = document.getElementById("resultado-contacto");
     const resultadoContent = document.getElementById("resultado-content");
     
-    let html = '';
+    ultimoResultado = data;
+    
+    let contenido;
     
     if (data.tipo === "success") {
-        // Determinar badge de estado
-        let badgeClass = "approved";
-        let badgeText = "✓ Aprobado";
-        
-        if (data.scoringStatus === "discarded") {
-            badgeClass = "rejected";
-            badgeText = "✗ Descartado";
-        } else if (data.scoringStatus === "to_review") {
-            badgeClass = "review";
-            badgeText = "⏳ En revisión";
-        }
-        
         // Generar aviso de cambio de tipo si aplica
         let cambioTipoHtml = '';
         if (data.changedType && data.changedTo) {
-            cambioTipoHtml = `
+            cambioTipoHtml = html`
                 <div class="cambio-tipo-aviso">
                     <div class="cambio-tipo-icon">🔄</div>
                     <div class="cambio-tipo-content">
-                        <strong>Unidad de negocio corregida automáticamente</strong>
-                        <p>Se seleccionó <strong>${data.unidadNegocioOriginal}</strong> pero el RUT corresponde a <strong>${data.unidadNegocioFinal}</strong>.</p>
-                        <small>El contacto fue registrado como ${data.unidadNegocioFinal}.</small>
+                        <strong>${t("resultado.cambioTipo.titulo")}</strong>
+                        <p>${tHtml("resultado.cambioTipo.detalle", { original: data.unidadNegocioOriginal, final: data.unidadNegocioFinal })}</p>
+                        <small>${t("resultado.cambioTipo.registrado", { final: data.unidadNegocioFinal })}</small>
                     </div>
                 </div>
             `;
         }
         
-        html = `
+        contenido = html`
             <div class="resultado-container">
                 <div class="resultado-icon success">✓</div>
-                <h2 class="resultado-title">¡Contacto creado exitosamente!</h2>
-                <p class="resultado-subtitle">El contacto ha sido registrado en Odoo correctamente.</p>
+                <h2 class="resultado-title">${t("resultado.creado.titulo")}</h2>
+                <p class="resultado-subtitle">${t("resultado.creado.subtitulo")}</p>
                 
                 ${cambioTipoHtml}
                 
                 <div class="resultado-details">
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">RUT</span>
+                        <span class="resultado-detail-label">${t("campo.rut")}</span>
                         <span class="resultado-detail-value">${data.rut}</span>
                     </div>
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Nombre</span>
+                        <span class="resultado-detail-label">${t("campo.nombre")}</span>
                         <span class="resultado-detail-value">${data.nombre}</span>
                     </div>
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Unidad de Negocio</span>
+                        <span class="resultado-detail-label">${t("campo.unidadNegocio")}</span>
                         <span class="resultado-detail-value">${data.unidadNegocioFinal}</span>
                     </div>
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Email</span>
+                        <span class="resultado-detail-label">${t("campo.email")}</span>
                         <span class="resultado-detail-value">${data.email}</span>
                     </div>
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Teléfono</span>
-                        <span class="resultado-detail-value">+56 ${data.telefono}</span>
+                        <span class="resultado-detail-label">${t("campo.telefono")}</span>
+                        <span class="resultado-detail-value">${mostrarTelefono(data.telefono)}</span>
                     </div>
+                    ${data.telefonoSecundario ? html`
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Dirección</span>
-                        <span class="resultado-detail-value">${data.direccion}</span>
+                        <span class="resultado-detail-label">${t("campo.telefonoSecundario")}</span>
+                        <span class="resultado-detail-value">${mostrarTelefono(data.telefonoSecundario)}</span>
                     </div>
+                    ` : ''}
+                    ${renderizarFilasDirecciones(data.direcciones)}
+                    ${renderizarFilasPersonas(data.personas)}
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">ID Contacto</span>
+                        <span class="resultado-detail-label">${t("resultado.idContacto")}</span>
                         <span class="resultado-detail-value">#${data.contactId}</span>
                     </div>
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Evaluación Comercial</span>
+                        <span class="resultado-detail-label">${t("resultado.evaluacion")}</span>
                         <span class="resultado-detail-value">
-                            <span class="resultado-badge ${badgeClass}">${badgeText}</span>
+                            ${badgeScoring(data.scoringStatus)}
+                            ${data.scoringStatus === "to_review" ? html`<small class="resultado-detail-id">${t("resultado.enRevision")}</small>` : ''}
                         </span>
                     </div>
-                    ${data.isMock ? `
+                    ${renderizarDetalleScoring(data.scoringDetalle)}
+                    ${data.isMock ? html`
                     <div class="resultado-detail-row">
-                        <span class="resultado-detail-label">Modo</span>
+                        <span class="resultado-detail-label">${t("resultado.modo")}</span>
                         <span class="resultado-detail-value">
-                            <span class="resultado-badge mock">🔧 Desarrollo</span>
+                            <span class="resultado-badge mock">🔧 ${t("resultado.desarrollo")}</span>
                         </span>
                     </div>
                     ` : ''}
@@ -713,62 +838,93 @@ function mostrarResultado(data) {
                 
                 <div class="resultado-actions">
                     <button class="btn-primary-small" onclick="volverAFormulario()">
-                        Crear otro contacto
+                        ${t("resultado.crearOtro")}
                     </button>
                 </div>
             </div>
         `;
     } else if (data.tipo === "error_duplicado") {
-        html = `
+        contenido = html`
             <div class="resultado-container">
                 <div class="resultado-icon warning">⚠️</div>
-                <h2 class="resultado-title">RUT ya registrado</h2>
-                <p class="resultado-subtitle">Este RUT ya existe como contacto en Odoo.</p>
+                <h2 class="resultado-title">${t("resultado.duplicado.titulo")}</h2>
+                <p class="resultado-subtitle">${t("resultado.duplicado.subtitulo")}</p>
                 
                 <div class="error-rut-existente">
                     <div class="error-title">
-                        <span>ℹ️</span> Información del contacto existente
+                        <span>ℹ️</span> ${t("resultado.duplicado.info")}
                     </div>
                     <div class="error-detail">
-                        <strong>RUT:</strong> ${data.rut}<br>
-                        <strong>Nombre:</strong> ${data.partnerName}<br>
-                        <strong>ID:</strong> #${data.partnerId}
+                        <strong>${t("campo.rut")}:</strong> ${data.rut}<br>
+                        <strong>${t("campo.nombre")}:</strong> ${data.partnerName}<br>
+                        <strong>${t("campo.id")}:</strong> #${data.partnerId}
+                    </div>
+                </div>
+                
+                <div class="resultado-actions">
+                    <button class="btn-secondary" onclick="volverAFormulario()">
+                        ${t("resultado.ingresarOtro")}
+                    </button>
+                    <button class="btn-primary-small" data-rut="${data.rut}" onclick="editarContactoExistente(this.dataset.rut)">
+                        ${t("resultado.editarExistente")}
+                    </button>
+                </div>
+            </div>
+        `;
+    } else if (data.tipo === "actualizado") {
+        contenido = html`
+            <div class="resultado-container">
+                <div class="resultado-icon success">✓</div>
+                <h2 class="resultado-title">${t("resultado.actualizado.titulo")}</h2>
+                <p class="resultado-subtitle">${t("resultado.actualizado.subtitulo")}</p>
+                
+                <div class="resultado-details">
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("campo.rut")}</span>
+                        <span class="resultado-detail-value">${data.rut}</span>
+                    </div>
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("campo.nombre")}</span>
+                        <span class="resultado-detail-value">${data.nombre}</span>
+                    </div>
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("campo.email")}</span>
+                        <span class="resultado-detail-value">${data.email}</span>
+                    </div>
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("campo.telefono")}</span>
+                        <span class="resultado-detail-value">${mostrarTelefono(data.telefono)}</span>
+                    </div>
+                    ${data.telefonoSecundario ? html`
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("campo.telefonoSecundario")}</span>
+                        <span class="resultado-detail-value">${mostrarTelefono(data.telefonoSecundario)}</span>
+                    </div>
+                    ` : ''}
+                    ${renderizarFilasDirecciones(data.direcciones, "resultado.direccionAgregada")}
+                    ${renderizarFilasPersonas(data.personas, "resultado.personaAgregada")}
+                    <div class="resultado-detail-row">
+                        <span class="resultado-detail-label">${t("resultado.idContacto")}</span>
+                        <span class="resultado-detail-value">#${data.contactId}</span>
                     </div>
                 </div>
                 
                 <div class="resultado-actions">
                     <button class="btn-primary-small" onclick="volverAFormulario()">
-                        Ingresar otro contacto
+                        ${t("resultado.ingresarOtro")}
                     </button>
                 </div>
             </div>
         `;
     } else if (data.tipo === "error_equifax") {
-        // Determinar icono y título según el error
-        let iconClass = "error";
-        let iconSymbol = "✗";
-        let titulo = "Error en evaluación comercial";
-        let subtitulo = data.error || "No se pudo realizar la evaluación comercial";
+        // Icono y título según el estado de Equifax
+        const equifax = RESULTADOS_EQUIFAX[data.equifaxStatus];
+        const iconClass = equifax?.clase || "error";
+        const iconSymbol = equifax?.icono || "✗";
+        const titulo = t(equifax?.titulo || "equifax.error.titulo");
+        const subtitulo = equifax ? t(equifax.subtitulo) : data.error || t("equifax.error.subtitulo");
         
-        // Personalizar según el estado de Equifax
-        if (data.equifaxStatus === "Persona Difunta") {
-            iconSymbol = "⚠️";
-            iconClass = "warning";
-            titulo = "RUT no válido para registro";
-            subtitulo = "El RUT ingresado corresponde a una persona difunta.";
-        } else if (data.equifaxStatus === "Rut no existente") {
-            iconSymbol = "❓";
-            iconClass = "warning";
-            titulo = "RUT no encontrado";
-            subtitulo = "El RUT ingresado no existe en los registros de Equifax.";
-        } else if (data.equifaxStatus === "Reporte vacio") {
-            iconSymbol = "📄";
-            iconClass = "warning";
-            titulo = "Sin información comercial";
-            subtitulo = "No se encontró información comercial para este RUT.";
-        }
-        
-        html = `
+        contenido = html`
             <div class="resultado-container">
                 <div class="resultado-icon ${iconClass}">${iconSymbol}</div>
                 <h2 class="resultado-title">${titulo}</h2>
@@ -776,60 +932,122 @@ function mostrarResultado(data) {
                 
                 <div class="error-rut-existente">
                     <div class="error-title">
-                        <span>ℹ️</span> Información
+                        <span>ℹ️</span> ${t("resultado.informacion")}
+                    </div>
+                    <div class="error-detail">
+                        <strong>${t("equifax.rutConsultado")}:</strong> ${data.rut}<br>
+                        ${data.equifaxStatus ? html`<strong>${t("equifax.estado")}:</strong> ${data.equifaxStatus}` : ''}
+                    </div>
+                </div>
+                
+                <div class="resultado-actions">
+                    <button class="btn-primary-small" onclick="volverAFormulario()">
+                        ${t("resultado.ingresarOtro")}
+                    </button>
+                </div>
+            </div>
+        `;
+    } else if (data.tipo === "en_cola") {
+        contenido = html`
+            <div class="resultado-container">
+                <div class="resultado-icon warning">📤</div>
+                <h2 class="resultado-title">${t("resultado.enCola.titulo")}</h2>
+                <p class="resultado-subtitle">${t("resultado.enCola.subtitulo")}</p>
+                
+                <div class="error-rut-existente">
+                    <div class="error-title">
+                        <span>ℹ️</span> ${t("resultado.informacion")}
                     </div>
                     <div class="error-detail">
-                        <strong>RUT consultado:</strong> ${data.rut}<br>
-                        ${data.equifaxStatus ? `<strong>Estado Equifax:</strong> ${data.equifaxStatus}` : ''}
+                        <strong>${t("campo.rut")}:</strong> ${data.rut}<br>
+                        ${t("resultado.enCola.panel")}
                     </div>
                 </div>
                 
                 <div class="resultado-actions">
                     <button class="btn-primary-small" onclick="volverAFormulario()">
-                        Ingresar otro contacto
+                        ${t("resultado.crearOtro")}
                     </button>
                 </div>
             </div>
         `;
     } else {
         // Error genérico
-        html = `
+        contenido = html`
             <div class="resultado-container">
                 <div class="resultado-icon error">✗</div>
-                <h2 class="resultado-title">Error al crear contacto</h2>
-                <p class="resultado-subtitle">${data.error || "Ocurrió un error inesperado"}</p>
+                <h2 class="resultado-title">${t("resultado.error.titulo")}</h2>
+                <p class="resultado-subtitle">${data.error || t("general.errorInesperado")}</p>
                 
-                ${data.step ? `
+                ${data.step ? html`
                 <div class="error-rut-existente">
                     <div class="error-title">
-                        <span>🔍</span> Detalles del error
+                        <span>🔍</span> ${t("resultado.error.detalles")}
                     </div>
                     <div class="error-detail">
-                        <strong>Paso:</strong> ${data.step}<br>
-                        ${data.odooError ? `<strong>Detalle:</strong> ${JSON.stringify(data.odooError)}` : ''}
+                        <strong>${t("resultado.error.paso")}:</strong> ${data.step}<br>
+                        ${data.odooError ? html`<strong>${t("resultado.error.detalle")}:</strong> ${JSON.stringify(data.odooError)}` : ''}
                     </div>
                 </div>
                 ` : ''}
                 
                 <div class="resultado-actions">
                     <button class="btn-secondary" onclick="volverAFormulario(true)">
-                        Volver a intentar
+                        ${t("resultado.reintentar")}
                     </button>
                     <button class="btn-primary-small" onclick="volverAFormulario()">
-                        Nuevo contacto
+                        ${t("resultado.nuevo")}
                     </button>
                 </div>
             </div>
         `;
     }
     
-    resultadoContent.innerHTML = html;
+    renderizarHtml(resultadoContent, contenido);
     
     // Ocultar formulario, mostrar resultado
     formCard.classList.add("hidden");
     resultadoCard.classList.remove("hidden");
 }
 
+/**
+ * Filas del detalle de resultado con cada dirección de servicio y su ID
+ * @param {Array<object>} direcciones - { formatted, etiqueta, id }
+ *   etiqueta: "main" | "delivery" | "invoice"
+ * @param {string} titulo - Clave del texto de la etiqueta de cada fila
+ * @returns {Array<HtmlSeguro>}
+ */
+function renderizarFilasDirecciones(direcciones, titulo = "campo.direccion") {
+    return direcciones.map(d => html`
+        <div class="resultado-detail-row">
+            <span class="resultado-detail-label">${t(titulo)} (${t(ETIQUETAS_DIRECCION[d.etiqueta])})</span>
+            <span class="resultado-detail-value">
+                ${d.formatted}
+                ${d.id ? html`<small class="resultado-detail-id">${t("resultado.idDireccion", { id: d.id })}</small>` : ''}
+            </span>
+        </div>
+    `);
+}
+
+/**
+ * Filas del detalle de resultado con cada persona de contacto y su ID
+ * @param {Array<object>} personas - { nombre, funcion, id }
+ *   funcion: "compras" | "facturacion" | "recepcion" | "otro"
+ * @param {string} titulo - Clave del texto de la etiqueta de cada fila
+ * @returns {Array<HtmlSeguro>}
+ */
+function renderizarFilasPersonas(personas = [], titulo = "campo.persona") {
+    return personas.map(p => html`
+        <div class="resultado-detail-row">
+            <span class="resultado-detail-label">${t(titulo)} (${t(FUNCIONES_PERSONA[p.funcion])})</span>
+            <span class="resultado-detail-value">
+                ${p.nombre}
+                ${p.id ? html`<small class="resultado-detail-id">${t("resultado.idContactoHijo", { id: p.id })}</small>` : ''}
+            </span>
+        </div>
+    `);
+}
+
 // ==================== VOLVER A FORMULARIO ====================
 
 function volverAFormulario(mantenerDatos = false) {
@@ -850,47 +1068,24 @@ function volverAFormulario(mantenerDatos = false) {
 }
 
 function limpiarFormularioContacto() {
-    // Limpiar inputs
-    document.getElementById("rut").value = "";
-    document.getElementById("unidad-negocio").value = "";
-    document.getElementById("email").value = "";
-    document.getElementById("telefono").value = "";
-    document.getElementById("direccion-contacto").value = "";
-    document.getElementById("complemento-contacto").value = "";
-    
-    // Limpiar estados de RUT
-    const rutInput = document.getElementById("rut");
-    const rutHint = document.getElementById("rut-hint");
-    rutInput.classList.remove("valid", "invalid");
-    rutHint.textContent = "Ingresa el RUT sin puntos";
-    rutHint.classList.remove("valid", "invalid");
-    
-    // Limpiar estados de Email
-    const emailInput = document.getElementById("email");
-    const emailHint = document.getElementById("email-hint");
-    emailInput.classList.remove("valid", "invalid");
-    if (emailHint) {
-        emailHint.textContent = "";
-        emailHint.classList.remove("valid", "invalid");
-    }
-    
-    // Limpiar estados de Teléfono
-    const telefonoInput = document.getElementById("telefono");
-    const telefonoHint = document.getElementById("telefono-hint");
-    telefonoInput.classList.remove("valid", "invalid");
-    if (telefonoHint) {
-        telefonoHint.textContent = "";
-        telefonoHint.classList.remove("valid", "invalid");
-    }
+    // Limpiar campos (los hints se derivan del estado)
+    estadoContacto.reiniciar();
+    limpiarDatosEmpresa();
     
     // Ocultar elementos
-    document.getElementById("direccion-contacto-info").classList.add("hidden");
-    document.getElementById("complemento-contacto-wrapper").classList.add("hidden");
-    document.getElementById("map-preview-contacto").classList.add("hidden");
     document.getElementById("resumen-contacto").classList.add("hidden");
     
-    // Limpiar variable global
-    window.direccionContactoProcesada = null;
+    // Volver a una sola dirección vacía y sin personas de contacto
+    reiniciarDireccionesContacto();
+    reiniciarPersonasContacto();
+    
+    // Salir del modo edición de contacto existente, sin devolver lo de antes
+    ultimoRutConsultado = "";
+    camposAntesDeEdicion = null;
+    salirModoEdicion();
+    
+    // Lo que se escriba ahora es un borrador nuevo
+    soltarBorradorActual();
     
     // Limpiar mensaje
     const msgBox = document.getElementById("msg-contacto");
@@ -0,0 +1,227 @@
+// ==================== DATOS DE EMPRESA ====================
+//
+// Empresa y Horeca se registran con razón social, giro y el RUT del
+// representante legal. Si el RUT ingresado es de una persona jurídica y
+// la unidad elegida es Persona, se sugiere Empresa antes de enviar en vez
+// de esperar a que el worker la corrija (changed_type).
+
+const UNIDAD_EMPRESA_ID = "34";
+
+// Unidades de negocio que requieren los datos de empresa
+const UNIDADES_CON_EMPRESA = [UNIDAD_EMPRESA_ID, "1"];
+
+// Campos de empresa del formulario de contacto
+//   razonSocial, giro: sin espacios al inicio ni al final
+//   rutRepresentante: limpio (solo números y K)
+//   validaciones.errores: resultado de validarDatosEmpresa
+const estadoEmpresa = crearEstadoFormulario(
+    { razonSocial: "", giro: "", rutRepresentante: "" },
+    (datos) => ({ errores: validarDatosEmpresa(datos) })
+);
+
+document.addEventListener("DOMContentLoaded", () => {
+    const rutRepresentanteInput = document.getElementById("rut-representante");
+
+    if (!rutRepresentanteInput) return;
+
+    estadoContacto.suscribir((estado, anterior) => {
+        if (estado.unidadId !== anterior.unidadId) {
+            actualizarDatosEmpresa();
+        } else if (estado.rut !== anterior.rut) {
+            actualizarSugerenciaUnidad();
+        }
+    });
+
+    estadoEmpresa.suscribir(sincronizarDatosEmpresa);
+    estadoEmpresa.suscribir(marcarDatosEmpresa);
+    estadoEmpresa.suscribir(actualizarResumen);
+
+    rutRepresentanteInput.addEventListener("input", () => {
+        const limpio = limpiarRut(rutRepresentanteInput.value);
+        if (limpio.length >= 2) {
+            rutRepresentanteInput.value = formatearRut(limpio);
+        }
+        estadoEmpresa.actualizar({ rutRepresentante: limpio });
+    });
+
+    [["razon-social", "razonSocial"], ["giro", "giro"]].forEach(([id, campo]) => {
+        const input = document.getElementById(id);
+        input.addEventListener("input", () => estadoEmpresa.actualizar({ [campo]: input.value.trim() }));
+    });
+
+    marcarDatosEmpresa(estadoEmpresa.obtener());
+    alCambiarIdioma(() => marcarDatosEmpresa(estadoEmpresa.obtener()));
+});
+
+/**
+ * @param {string} unidadId - Valor del select de unidad de negocio
+ * @returns {boolean}
+ */
+function requiereDatosEmpresa(unidadId) {
+    return UNIDADES_CON_EMPRESA.includes(String(unidadId));
+}
+
+// ==================== SUGERENCIA DE UNIDAD ====================
+
+/**
+ * Muestra la sugerencia de Empresa cuando el RUT es de persona jurídica
+ * y la unidad elegida no lleva datos de empresa
+ */
+function actualizarSugerenciaUnidad() {
+    const { rut, unidadId, validaciones } = estadoContacto.obtener();
+
+    // En modo edición la unidad no se puede cambiar
+    const sugerir = validaciones.rut.valid
+        && esRutEmpresa(rut)
+        && !requiereDatosEmpresa(unidadId)
+        && !document.getElementById("unidad-negocio").disabled;
+
+    document.getElementById("sugerencia-unidad").classList.toggle("hidden", !sugerir);
+}
+
+function usarUnidadEmpresa() {
+    estadoContacto.actualizar({ unidadId: UNIDAD_EMPRESA_ID });
+
+    document.getElementById("razon-social").focus();
+}
+
+/**
+ * Muestra u oculta los campos de empresa según la unidad de negocio
+ */
+function actualizarDatosEmpresa() {
+    const { unidadId } = estadoContacto.obtener();
+    document.getElementById("datos-empresa").classList.toggle("hidden", !requiereDatosEmpresa(unidadId));
+    actualizarSugerenciaUnidad();
+}
+
+// ==================== VALORES ====================
+
+/**
+ * @returns {object} { razonSocial, giro, rutRepresentante }
+ *   rutRepresentante: limpio (solo números y K)
+ */
+function obtenerDatosEmpresa() {
+    const { razonSocial, giro, rutRepresentante } = estadoEmpresa.obtener();
+    return { razonSocial, giro, rutRepresentante };
+}
+
+/**
+ * Precarga los campos de empresa (contacto existente, historial)
+ * @param {object} datos - { razonSocial, giro, rutRepresentante }
+ *   rutRepresentante: con o sin formato
+ */
+function cargarDatosEmpresa({ razonSocial = "", giro = "", rutRepresentante = "" }) {
+    estadoEmpresa.actualizar({
+        razonSocial: razonSocial.trim(),
+        giro: giro.trim(),
+        rutRepresentante: limpiarRut(rutRepresentante)
+    });
+
+    actualizarDatosEmpresa();
+}
+
+function limpiarDatosEmpresa() {
+    cargarDatosEmpresa({});
+}
+
+// ==================== ESTADO → FORMULARIO ====================
+
+/**
+ * Lleva a los inputs los valores que cambiaron por fuera de ellos
+ * (limpiar, contacto existente, historial)
+ * @param {object} estado - Estado de estadoEmpresa
+ */
+function sincronizarDatosEmpresa({ razonSocial, giro, rutRepresentante }) {
+    // El estado guarda los textos sin los espacios que se están escribiendo
+    [["razon-social", razonSocial], ["giro", giro]].forEach(([id, valor]) => {
+        const input = document.getElementById(id);
+        if (input.value.trim() !== valor) input.value = valor;
+    });
+
+    const rutRepresentanteInput = document.getElementById("rut-representante");
+    if (limpiarRut(rutRepresentanteInput.value) !== rutRepresentante) {
+        rutRepresentanteInput.value = rutRepresentante.length >= 2 ? formatearRut(rutRepresentante) : rutRepresentante;
+    }
+}
+
+/**
+ * Hint y marca del RUT del representante. Razón social y giro solo se
+ * exigen al enviar.
+ * @param {object} estado - Estado de estadoEmpresa
+ */
+function marcarDatosEmpresa({ rutRepresentante, validaciones }) {
+    const error = validaciones.errores.find(e => e.campo === "rut-representante");
+
+    marcarCampo(
+        document.getElementById("rut-representante"),
+        document.getElementById("rut-representante-hint"),
+        marcaRutRepresentante(rutRepresentante, error)
+    );
+}
+
+/**
+ * @param {string} rut - RUT limpio
+ * @param {object} [error] - Error de validarDatosEmpresa para el RUT del representante
+ * @returns {object} { estado, texto } para marcarCampo
+ */
+function marcaRutRepresentante(rut, error) {
+    // Mínimo para validar (7 dígitos + DV)
+    if (rut.length < 8) {
+        return { texto: t("empresa.representanteAyuda") };
+    }
+
+    if (!error) {
+        return { estado: "valid", texto: `✓ ${t("rut.valido")}` };
+    }
+
+    const texto = error.error === "empresa.representanteEmpresa"
+        ? t("empresa.representanteDebeSerPersona")
+        : mensajeError(error.datos.motivo);
+    return { estado: "invalid", texto: `✗ ${texto}` };
+}
+
+/**
+ * Valida los datos de empresa con las mismas reglas en el formulario y en la carga masiva
+ * @param {object} datos - { razonSocial, giro, rutRepresentante }
+ * @returns {Array<object>} Errores { campo, error, datos } en el orden del formulario (vacío si está todo bien)
+ *   campo: "razon-social" | "giro" | "rut-representante"; error: clave del mensaje
+ */
+function validarDatosEmpresa({ razonSocial, giro, rutRepresentante }) {
+    const errores = [];
+
+    if (!razonSocial) {
+        errores.push({ campo: "razon-social", error: "empresa.razonSocialRequerida" });
+    }
+
+    if (!giro) {
+        errores.push({ campo: "giro", error: "empresa.giroRequerido" });
+    }
+
+    const rutValidacion = validarRut(rutRepresentante || "");
+    if (!rutRepresentante) {
+        errores.push({ campo: "rut-representante", error: "empresa.representanteRequerido" });
+    } else if (!rutValidacion.valid) {
+        errores.push({
+            campo: "rut-representante",
+            error: "empresa.representanteInvalido",
+            datos: { motivo: rutValidacion.error ? rutValidacion : { error: "rut.invalido" } }
+        });
+    } else if (esRutEmpresa(rutRepresentante)) {
+        errores.push({ campo: "rut-representante", error: "empresa.representanteEmpresa" });
+    }
+
+    return errores;
+}
+
+/**
+ * Campos de empresa en el formato que espera el worker
+ * @param {object} datos - { razonSocial, giro, rutRepresentante }
+ * @returns {object}
+ */
+function construirPayloadEmpresa({ razonSocial, giro, rutRepresentante }) {
+    return {
+        razon_social: razonSocial,
+        giro,
+        rut_representante: formatearRut(rutRepresentante)
+    };
+}
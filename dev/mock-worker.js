@@ -0,0 +1,495 @@
+// ==================== WORKER DE PRUEBA (ODOO / EQUIFAX) ====================
+//
+// Servidor local que reemplaza al worker de Cloudflare para desarrollar y
+// probar sin tocar Odoo ni Equifax. Responde con el mismo contrato que el
+// worker real y el escenario se elige con el RUT (ver ESCENARIOS_RUT).
+//
+// Uso:
+//   node dev/mock-worker.js            (puerto 8787, o PORT=xxxx)
+//   abrir http://localhost:8787/?entorno=dev
+//
+// También sirve los archivos de la aplicación, así que no hace falta otro
+// servidor. ?entorno=dev (o localStorage "api-entorno" = "dev") hace que el
+// cliente API apunte aquí. El estado vive en memoria y se pierde al reiniciar.
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { esRutEmpresa } = require("../validadores.js");
+
+const PUERTO = Number(process.env.PORT) || 8787;
+const RAIZ_APP = path.resolve(__dirname, "..");
+
+const UNIDADES_NEGOCIO = {
+    35: "Persona",
+    34: "Empresa",
+    1: "Horeca"
+};
+
+// Unidades que requieren razón social, giro y representante legal
+const UNIDADES_CON_EMPRESA = [34, 1];
+
+// Escenarios de /crear-contacto por RUT (sin puntos y con guion, como los envía el formulario).
+// Cualquier otro RUT válido se crea con scoring aprobado.
+const ESCENARIOS_RUT = {
+    "12345678-5": { scoring_status: "approved" },
+    "12222222-5": { scoring_status: "to_review" },
+    "13333333-9": { scoring_status: "discarded" },
+    "14444444-2": { duplicado: { partner_id: 4021, partner_name: "Comercial Los Aromos SpA" } },
+    "16666666-K": { equifax: { equifax_status: "timeout", error: "Equifax no respondió a tiempo" } },
+    "17777777-3": { odoo: { error: "No se pudo crear el contacto en Odoo", odoo_error: { code: 200, message: "Odoo Server Error" } } },
+    // Tarda más que el timeout del cliente, para probar la cola y los reintentos
+    "18888888-7": { demoraMs: 35000 },
+    // RUT de empresa: con unidad Persona se devuelve changed_type
+    "76543210-3": { scoring_status: "approved" }
+};
+
+// Contactos que ya existen en Odoo (búsqueda por RUT y modo edición)
+const contactos = {
+    "15555555-6": {
+        id: 3150,
+        name: "María José Pérez",
+        email: "mjperez@example.cl",
+        telefono: "+56987654321",
+        telefono_secundario: "+56222345678",
+        unidad_negocio_id: 35,
+        direcciones: [{ id: 8801, formatted: "Av. Providencia 1208, Providencia, Región Metropolitana, Chile" }],
+        contactos: [{ id: 3151, nombre: "Pedro Soto", funcion: "facturacion" }]
+    }
+};
+
+// Usuarios de prueba: cualquier contraseña no vacía sirve. El rol sale del email.
+const ROLES_EMAIL = {
+    "supervisor@maihue.cl": "supervisor",
+    "admin@maihue.cl": "admin"
+};
+
+const sesiones = {};
+const direcciones = [];
+const auditoria = [];
+const revisiones = [];
+const respuestasIdempotentes = {};
+
+let ultimoId = 9000;
+
+// ==================== RUTAS ====================
+
+// Las rutas que crean o modifican datos en Odoo dejan registro de auditoría
+const RUTAS = {
+    "/login": login,
+    "/": auditada("crear_direccion", crearDireccion),
+    "/crear-contacto": auditada("crear_contacto", crearContacto),
+    "/buscar-contacto": buscarContacto,
+    "/actualizar-contacto": auditada("actualizar_contacto", actualizarContacto),
+    "/buscar-direcciones": buscarDirecciones,
+    "/buscar-auditoria": buscarAuditoria,
+    "/revisiones-pendientes": revisionesPendientes,
+    "/resolver-revision": auditada("resolver_revision", resolverRevision)
+};
+
+// Campos de la respuesta que traen IDs de Odoo
+const CAMPOS_IDS_ODOO = ["id", "contact_id", "partner_id", "service_address_id", "service_address_ids", "child_ids"];
+
+// ==================== AUDITORÍA ====================
+
+/**
+ * Envuelve el manejador de una ruta para que registre cada llamada en la
+ * auditoría, con el usuario de la sesión: las exitosas, los errores que
+ * responde y los que lanza. Los reintentos con la misma clave de
+ * idempotencia no llegan aquí, así que no se registran dos veces.
+ * @param {string} accion - Ej: "crear_contacto"
+ * @param {function} manejador - (payload, sesion) => [estado, cuerpo]
+ * @returns {function}
+ */
+function auditada(accion, manejador) {
+    return async (payload, sesion) => {
+        let respuesta;
+        try {
+            respuesta = await manejador(payload, sesion);
+        } catch (e) {
+            registrarAuditoria({ accion, sesion, payload, cuerpo: { status: "error", error: e.message } });
+            throw e;
+        }
+
+        registrarAuditoria({ accion, sesion, payload, cuerpo: respuesta[1] });
+        return respuesta;
+    };
+}
+
+/**
+ * @param {object} datos - { accion, sesion, payload, cuerpo }
+ *   cuerpo: respuesta del manejador
+ */
+function registrarAuditoria({ accion, sesion, payload, cuerpo }) {
+    auditoria.push({
+        id: crypto.randomUUID(),
+        accion,
+        usuario: sesion,
+        fecha: new Date().toISOString(),
+        payload,
+        resultado: cuerpo.status === "ok" ? "ok" : "error",
+        error: cuerpo.error || null,
+        step: cuerpo.step || null,
+        odoo_ids: idsOdooRespuesta(cuerpo)
+    });
+}
+
+/**
+ * IDs de Odoo presentes en la respuesta
+ * @param {object} cuerpo
+ * @returns {object} ej: { contact_id: 812, service_address_ids: [913, 914] }
+ */
+function idsOdooRespuesta(cuerpo) {
+    const ids = {};
+    CAMPOS_IDS_ODOO.forEach(campo => {
+        if (cuerpo[campo] != null) ids[campo] = cuerpo[campo];
+    });
+    return ids;
+}
+
+// ==================== MANEJADORES ====================
+
+// Desglose de Equifax según el resultado del escenario
+const DETALLES_SCORING = {
+    approved: { score: 812, segmento: "A - Bajo riesgo", deuda_total: 0, deudas: [], motivos: [] },
+    to_review: {
+        score: 540,
+        segmento: "C - Riesgo medio",
+        deuda_total: 1350000,
+        deudas: [{ acreedor: "Banco Estado", tipo: "Morosidad", monto: 1350000 }],
+        motivos: ["Morosidad vigente menor a 90 días"]
+    },
+    discarded: {
+        score: 210,
+        segmento: "E - Riesgo alto",
+        deuda_total: 8920000,
+        deudas: [
+            { acreedor: "Banco de Chile", tipo: "Protesto", monto: 4200000 },
+            { acreedor: "Falabella", tipo: "Morosidad", monto: 4720000 }
+        ],
+        motivos: ["Protestos vigentes", "Morosidad mayor a 90 días"]
+    }
+};
+
+function login({ email, password }) {
+    if (!email || !password) {
+        return [401, { status: "error", error: "Email o contraseña incorrectos" }];
+    }
+
+    const token = crypto.randomUUID();
+    const usuario = {
+        id: Object.keys(sesiones).length + 1,
+        nombre: email.split("@")[0],
+        email,
+        rol: ROLES_EMAIL[email] || "vendedor"
+    };
+    sesiones[token] = usuario;
+
+    return [200, {
+        status: "ok",
+        token,
+        expira: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(),
+        usuario
+    }];
+}
+
+function crearDireccion(direccion) {
+    if (!direccion.street || !direccion.comuna_code) {
+        return [200, {
+            status: "error",
+            step: "validando_direccion",
+            error: "La dirección no tiene calle o comuna"
+        }];
+    }
+
+    const id = ++ultimoId;
+    direcciones.push({ ...direccion, id, name: direccion.formatted });
+
+    return [200, { status: "ok", id }];
+}
+
+async function crearContacto(payload, sesion) {
+    const escenario = ESCENARIOS_RUT[payload.rut] || { scoring_status: "approved" };
+
+    if (escenario.demoraMs) await esperar(escenario.demoraMs);
+
+    const existente = contactos[payload.rut];
+    if (escenario.duplicado || existente) {
+        return [200, {
+            status: "error",
+            step: "verificando_rut_duplicado",
+            error: "El RUT ya está registrado en Odoo",
+            partner_id: escenario.duplicado?.partner_id || existente.id,
+            partner_name: escenario.duplicado?.partner_name || existente.name
+        }];
+    }
+
+    if (escenario.equifax) {
+        return [200, { status: "error", step: "consultando_equifax", ...escenario.equifax }];
+    }
+
+    if (escenario.odoo) {
+        return [200, { status: "error", step: "creando_contacto", ...escenario.odoo }];
+    }
+
+    if (UNIDADES_CON_EMPRESA.includes(payload.unidad_negocio_id)
+        && (!payload.razon_social || !payload.giro || !payload.rut_representante)) {
+        return [200, {
+            status: "error",
+            step: "validando_empresa",
+            error: "Empresa y Horeca requieren razón social, giro y RUT del representante legal"
+        }];
+    }
+
+    const unidadOriginal = UNIDADES_NEGOCIO[payload.unidad_negocio_id] || "";
+    const changedType = esRutEmpresa(payload.rut) && payload.unidad_negocio_id === 35;
+    const unidadFinal = changedType ? UNIDADES_NEGOCIO[34] : unidadOriginal;
+
+    const contactId = ++ultimoId;
+    const serviceAddressIds = (payload.direcciones || [payload.direccion]).map(() => ++ultimoId);
+    const hijos = crearContactosHijos(payload.contactos);
+
+    contactos[payload.rut] = {
+        id: contactId,
+        name: payload.razon_social || `Contacto ${payload.rut}`,
+        email: payload.email,
+        telefono: payload.telefono,
+        telefono_secundario: payload.telefono_secundario || null,
+        unidad_negocio_id: changedType ? 34 : payload.unidad_negocio_id,
+        razon_social: payload.razon_social || null,
+        giro: payload.giro || null,
+        rut_representante: payload.rut_representante || null,
+        direcciones: (payload.direcciones || []).map((d, i) => ({ id: serviceAddressIds[i], formatted: d.formatted })),
+        contactos: hijos
+    };
+
+    if (escenario.scoring_status === "to_review") {
+        revisiones.push({
+            contact_id: contactId,
+            rut: payload.rut,
+            nombre: contactos[payload.rut].name,
+            unidad_negocio: unidadFinal,
+            vendedor: sesion.email,
+            fecha: new Date().toISOString(),
+            scoring_detalle: DETALLES_SCORING.to_review
+        });
+    }
+
+    return [200, {
+        status: "ok",
+        contact_id: contactId,
+        nombre: contactos[payload.rut].name,
+        service_address_id: serviceAddressIds[0],
+        service_address_ids: serviceAddressIds,
+        child_ids: hijos.map(h => h.id),
+        scoring_status: escenario.scoring_status,
+        scoring_detalle: DETALLES_SCORING[escenario.scoring_status],
+        equifax_mock: true,
+        equifax_status: "ok",
+        changed_type: changedType,
+        changed_to: changedType ? unidadFinal : null,
+        unidad_negocio_original: unidadOriginal,
+        unidad_negocio_final: unidadFinal
+    }];
+}
+
+function buscarContacto({ rut }) {
+    const partner = contactos[rut];
+    return [200, { status: "ok", encontrado: Boolean(partner), partner: partner || null }];
+}
+
+function actualizarContacto(payload) {
+    const partner = Object.values(contactos).find(c => c.id === payload.partner_id);
+    if (!partner) {
+        return [200, { status: "error", step: "buscando_contacto", error: "El contacto no existe en Odoo" }];
+    }
+
+    const serviceAddressIds = (payload.direcciones || []).map(() => ++ultimoId);
+    const hijos = crearContactosHijos(payload.contactos);
+
+    partner.email = payload.email;
+    partner.telefono = payload.telefono;
+    partner.telefono_secundario = payload.telefono_secundario || null;
+    ["razon_social", "giro", "rut_representante"].forEach(campo => {
+        if (payload[campo]) partner[campo] = payload[campo];
+    });
+    partner.direcciones.push(...(payload.direcciones || []).map((d, i) => ({ id: serviceAddressIds[i], formatted: d.formatted })));
+
+    partner.contactos = [...(partner.contactos || []), ...hijos];
+
+    return [200, { status: "ok", contact_id: partner.id, service_address_ids: serviceAddressIds, child_ids: hijos.map(h => h.id) }];
+}
+
+/**
+ * Personas de contacto: en Odoo son partners hijos del RUT
+ * @param {Array<object>} contactos - payload.contactos
+ * @returns {Array<object>} { id, nombre, funcion, email, telefono }
+ */
+function crearContactosHijos(contactos = []) {
+    return contactos.map(({ nombre, funcion, email, telefono }) => ({ id: ++ultimoId, nombre, funcion, email, telefono }));
+}
+
+function buscarDirecciones({ comuna_code }) {
+    return [200, { status: "ok", direcciones: direcciones.filter(d => d.comuna_code === comuna_code) }];
+}
+
+function buscarAuditoria({ usuario, desde, hasta }, sesion) {
+    if (!["supervisor", "admin"].includes(sesion.rol)) {
+        return [403, { status: "error", error: "Tu rol no permite ver la auditoría" }];
+    }
+
+    const registros = auditoria.filter(r =>
+        (!usuario || (r.usuario?.email || "").includes(usuario.toLowerCase()))
+        && (!desde || r.fecha >= desde)
+        && (!hasta || r.fecha <= hasta)
+    );
+
+    return [200, { status: "ok", registros }];
+}
+
+function revisionesPendientes(payload, sesion) {
+    if (!["supervisor", "admin"].includes(sesion.rol)) {
+        return [403, { status: "error", error: "Tu rol no permite revisar evaluaciones" }];
+    }
+
+    return [200, { status: "ok", contactos: revisiones }];
+}
+
+function resolverRevision({ contact_id, decision, comentario }, sesion) {
+    if (!["supervisor", "admin"].includes(sesion.rol)) {
+        return [403, { status: "error", error: "Tu rol no permite revisar evaluaciones" }];
+    }
+
+    const indice = revisiones.findIndex(r => r.contact_id === contact_id);
+    if (indice === -1) {
+        return [200, { status: "error", step: "buscando_revision", error: "El contacto ya no está pendiente de revisión" }];
+    }
+
+    revisiones.splice(indice, 1);
+    console.log(`Revisión #${contact_id}: ${decision} por ${sesion.email} (${comentario || "sin comentario"})`);
+
+    return [200, { status: "ok", contact_id, scoring_status: decision }];
+}
+
+// ==================== SERVIDOR ====================
+
+const CABECERAS_CORS = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, Idempotency-Key"
+};
+
+const TIPOS_ARCHIVO = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".png": "image/png"
+};
+
+function esperar(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function responderJson(res, estado, cuerpo) {
+    res.writeHead(estado, { ...CABECERAS_CORS, "Content-Type": "application/json" });
+    res.end(JSON.stringify(cuerpo));
+}
+
+/**
+ * GET: archivos de la aplicación. Solo los de la raíz con un tipo de
+ * TIPOS_ARCHIVO (index.html, scripts, estilos e imágenes); nada de .git,
+ * dev/, test/ ni otros archivos del repositorio.
+ */
+function servirArchivo(req, res) {
+    let ruta;
+    try {
+        ruta = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch (e) {
+        // Escape mal formado, ej: /%E0
+        res.writeHead(400, CABECERAS_CORS);
+        res.end("Ruta inválida");
+        return;
+    }
+
+    const nombre = ruta === "/" ? "index.html" : ruta.slice(1);
+    const archivo = path.join(RAIZ_APP, nombre);
+
+    const permitido = /^[\w-][\w.-]*$/.test(nombre) && path.extname(nombre) in TIPOS_ARCHIVO;
+    if (!permitido || !fs.existsSync(archivo) || !fs.statSync(archivo).isFile()) {
+        res.writeHead(404, CABECERAS_CORS);
+        res.end("No encontrado");
+        return;
+    }
+
+    res.writeHead(200, { ...CABECERAS_CORS, "Content-Type": TIPOS_ARCHIVO[path.extname(archivo)] || "application/octet-stream" });
+    fs.createReadStream(archivo).pipe(res);
+}
+
+function leerCuerpo(req) {
+    return new Promise((resolve, reject) => {
+        let cuerpo = "";
+        req.on("data", parte => { cuerpo += parte; });
+        req.on("end", () => resolve(cuerpo));
+        req.on("error", reject);
+    });
+}
+
+async function atenderPost(req, res) {
+    const ruta = new URL(req.url, "http://localhost").pathname;
+    const manejador = RUTAS[ruta];
+
+    if (!manejador) {
+        responderJson(res, 404, { status: "error", error: `Ruta desconocida: ${ruta}` });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await leerCuerpo(req) || "{}");
+    } catch (e) {
+        responderJson(res, 400, { status: "error", error: "El cuerpo no es JSON válido" });
+        return;
+    }
+
+    let sesion = null;
+    if (ruta !== "/login") {
+        const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        sesion = sesiones[token];
+        if (!sesion) {
+            responderJson(res, 401, { status: "error", error: "Sesión inválida o vencida" });
+            return;
+        }
+    }
+
+    // Misma clave de idempotencia: misma respuesta, sin volver a crear
+    const clave = req.headers["idempotency-key"];
+    if (clave && respuestasIdempotentes[clave]) {
+        responderJson(res, ...respuestasIdempotentes[clave]);
+        return;
+    }
+
+    const [estado, cuerpo] = await manejador(payload, sesion);
+    if (clave) respuestasIdempotentes[clave] = [estado, cuerpo];
+
+    console.log(`${new Date().toISOString()} POST ${ruta} ${payload.rut || ""} → ${estado} ${cuerpo.status}${cuerpo.step ? ` (${cuerpo.step})` : ""}`);
+    responderJson(res, estado, cuerpo);
+}
+
+http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+        res.writeHead(204, CABECERAS_CORS);
+        res.end();
+    } else if (req.method === "POST") {
+        atenderPost(req, res).catch(e => {
+            console.error("Error:", e);
+            responderJson(res, 500, { status: "error", error: "Error interno del worker de prueba" });
+        });
+    } else {
+        servirArchivo(req, res);
+    }
+}).listen(PUERTO, () => {
+    console.log(`Worker de prueba en http://localhost:${PUERTO}/?entorno=dev`);
+    console.log(`Escenarios por RUT: ${Object.keys(ESCENARIOS_RUT).join(", ")}`);
+});
@@ -0,0 +1,141 @@
+// ==================== INGRESO MANUAL DE DIRECCIÓN ====================
+//
+// Para parcelas, sitios rurales o loteos nuevos que el buscador no encuentra.
+// La dirección armada a mano tiene el mismo formato que la del proveedor,
+// con manual_entry: true.
+
+/**
+ * Conecta el botón y el panel de ingreso manual de un formulario de dirección
+ * @param {HTMLElement} contenedor - Elemento que contiene .btn-ingreso-manual y .direccion-manual
+ * @param {object} opciones - { input, alConfirmar }
+ *   input: input del buscador, recibe el texto de la dirección armada
+ *   alConfirmar: recibe la dirección armada (igual que al elegir una sugerencia)
+ */
+function habilitarIngresoManual(contenedor, { input, alConfirmar }) {
+    const $ = (selector) => contenedor.querySelector(selector);
+    const panel = $(".direccion-manual");
+
+    llenarSelectorComunas($(".manual-comuna"));
+
+    $(".btn-ingreso-manual").addEventListener("click", () => {
+        const abrir = panel.classList.contains("hidden");
+        panel.classList.toggle("hidden", !abrir);
+
+        // Lo que se alcanzó a escribir en el buscador sirve de punto de partida
+        if (abrir && !$(".manual-calle").value && input.value.trim()) {
+            $(".manual-calle").value = input.value.trim();
+        }
+        if (abrir) $(".manual-calle").focus();
+    });
+
+    $(".manual-comuna").addEventListener("change", (e) => {
+        const comuna = comunaPorCodigo(e.target.value);
+        $(".manual-region").value = comuna ? comuna.region.nombre : "";
+    });
+
+    $(".btn-usar-manual").addEventListener("click", async () => {
+        const error = $(".manual-error");
+        const calle = $(".manual-calle").value.trim();
+        const comuna = comunaPorCodigo($(".manual-comuna").value);
+
+        if (!calle) {
+            error.textContent = t("manual.calleRequerida");
+            $(".manual-calle").focus();
+            return;
+        }
+
+        if (!comuna) {
+            error.textContent = t("manual.comunaRequerida");
+            $(".manual-comuna").focus();
+            return;
+        }
+
+        error.textContent = "";
+
+        const direccion = construirDireccionManual({
+            calle,
+            numero: $(".manual-numero").value.trim(),
+            comuna,
+            postal: $(".manual-postal").value.trim()
+        });
+
+        const btn = $(".btn-usar-manual");
+        btn.disabled = true;
+        const punto = await ubicarDireccionManual(direccion);
+        btn.disabled = false;
+
+        if (punto) {
+            direccion.lat = punto.lat;
+            direccion.lng = punto.lng;
+        }
+
+        input.value = direccion.formatted;
+        panel.classList.add("hidden");
+        alConfirmar(direccion);
+    });
+}
+
+/**
+ * Deja el panel de ingreso manual cerrado y vacío
+ * @param {HTMLElement} contenedor
+ */
+function reiniciarIngresoManual(contenedor) {
+    const $ = (selector) => contenedor.querySelector(selector);
+
+    $(".direccion-manual").classList.add("hidden");
+    [".manual-calle", ".manual-numero", ".manual-comuna", ".manual-region", ".manual-postal"]
+        .forEach(selector => { $(selector).value = ""; });
+    $(".manual-error").textContent = "";
+}
+
+/**
+ * Arma una dirección con el mismo formato que entrega el proveedor
+ * @param {object} datos - { calle, numero, comuna, postal }
+ *   comuna: comuna del catálogo ({ codigo, nombre, region })
+ * @returns {object}
+ */
+function construirDireccionManual({ calle, numero, comuna, postal }) {
+    return aplicarComunaCatalogo({
+        street: calle,
+        number: numero,
+        postal,
+        country: "Chile",
+        formatted: `${[calle, numero].filter(Boolean).join(" ")}, ${comuna.nombre}, ${comuna.region.nombre}`,
+        lat: null,
+        lng: null,
+        location_type: "MANUAL",
+        place_id: "",
+        confidence: "low",
+        location_adjusted: false,
+        manual_entry: true
+    }, comuna);
+}
+
+/**
+ * Busca un punto aproximado para mostrar la dirección manual en el mapa:
+ * primero la calle dentro de la comuna y, si no, la comuna.
+ * El usuario después lo corrige arrastrando el pin o haciendo clic.
+ * @param {object} direccion - Dirección manual
+ * @returns {Promise<object|null>} { lat, lng } o null si no se pudo ubicar
+ */
+async function ubicarDireccionManual(direccion) {
+    if (!proveedorDireccionesListo) return null;
+
+    const consultas = [
+        `${direccion.street} ${direccion.number}, ${direccion.comuna}, ${direccion.region}`,
+        `${direccion.comuna}, ${direccion.region}`
+    ];
+
+    for (const consulta of consultas) {
+        try {
+            const resultado = await proveedorDirecciones().geocodificar(consulta);
+            if (resultado?.comuna_code === direccion.comuna_code) {
+                return { lat: resultado.lat, lng: resultado.lng };
+            }
+        } catch (e) {
+            console.error("Error:", e);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,268 @@
+// ==================== DIRECCIONES DE SERVICIO DEL CONTACTO ====================
+
+// Etiquetas disponibles para cada dirección (valor enviado → clave del texto)
+const ETIQUETAS_DIRECCION = {
+    main: "direccion.etiqueta.main",
+    delivery: "direccion.etiqueta.delivery",
+    invoice: "direccion.etiqueta.invoice"
+};
+
+// Bloques de dirección del formulario de contacto
+// Cada uno: { uid, elemento, estado, autocompletado, mapa }
+//   estado: dirección elegida, complemento, pin y etiqueta (crearEstadoDireccion)
+let direccionesContacto = [];
+let contadorDireccionesContacto = 0;
+
+document.addEventListener("DOMContentLoaded", () => {
+    if (!document.getElementById("direcciones-contacto-lista")) return;
+
+    agregarDireccionContacto();
+
+    alCambiarIdioma(() => {
+        actualizarBloquesDireccion();
+        direccionesContacto.forEach(item => {
+            const { direccion } = item.estado.obtener();
+            if (direccion) renderizarInfoDireccion(item.elemento.querySelector(".info-details"), direccion);
+        });
+    });
+});
+
+/**
+ * Agrega un bloque de dirección (buscador, complemento, mapa y etiqueta)
+ * @returns {object} Bloque agregado
+ */
+function agregarDireccionContacto() {
+    const template = document.getElementById("template-direccion-contacto");
+    const elemento = template.content.firstElementChild.cloneNode(true);
+    const uid = ++contadorDireccionesContacto;
+    const $ = (selector) => elemento.querySelector(selector);
+
+    // La primera dirección es la principal; las siguientes, de despacho
+    const etiqueta = direccionesContacto.length === 0 ? "main" : "delivery";
+    const item = { uid, elemento, estado: crearEstadoDireccion({ etiqueta }), autocompletado: false, mapa: null };
+
+    // IDs únicos para que los labels sigan funcionando
+    $(".direccion-input").id = `direccion-contacto-${uid}`;
+    $(".complemento-input").id = `complemento-contacto-${uid}`;
+    $(".complemento-wrapper label").htmlFor = `complemento-contacto-${uid}`;
+    $(".comuna-select").id = `comuna-contacto-${uid}`;
+    $(".comuna-manual label").htmlFor = `comuna-contacto-${uid}`;
+    ["calle", "numero", "comuna", "region", "postal"].forEach(campo => {
+        $(`.manual-${campo}`).id = `manual-${campo}-contacto-${uid}`;
+        $(`.manual-${campo}`).closest(".form-group").querySelector("label").htmlFor = `manual-${campo}-contacto-${uid}`;
+    });
+
+    $(".direccion-quitar").addEventListener("click", () => quitarDireccionContacto(uid));
+    $(".direccion-etiqueta").addEventListener("change", () => {
+        item.estado.actualizar({ etiqueta: $(".direccion-etiqueta").value });
+    });
+    $(".complemento-input").addEventListener("input", () => {
+        item.estado.actualizar({ complemento: $(".complemento-input").value.trim() });
+    });
+    $(".confirmar-pin input").addEventListener("change", () => {
+        item.estado.actualizar({ pinConfirmado: $(".confirmar-pin input").checked });
+    });
+    habilitarParseoComplemento($(".complemento-input"), $(".complemento-partes"));
+
+    $(".direccion-input").addEventListener("input", () => {
+        if ($(".direccion-input").value === "") {
+            seleccionarDireccionBloque(item, null);
+        }
+    });
+
+    habilitarSelectorComuna($(".comuna-manual"), item.estado);
+
+    item.estado.suscribir((estado, anterior) => renderizarEstadoBloque(item, estado, anterior));
+    $(".direccion-etiqueta").value = etiqueta;
+
+    habilitarIngresoManual(elemento, {
+        input: $(".direccion-input"),
+        alConfirmar: (direccion) => seleccionarDireccionBloque(item, direccion)
+    });
+
+    document.getElementById("direcciones-contacto-lista").appendChild(elemento);
+    direccionesContacto.push(item);
+
+    if (proveedorDireccionesListo) {
+        initAutocompleteDireccion(item);
+    }
+
+    actualizarBloquesDireccion();
+    return item;
+}
+
+/**
+ * Quita un bloque de dirección (siempre queda al menos uno)
+ * @param {number} uid
+ */
+function quitarDireccionContacto(uid) {
+    if (direccionesContacto.length <= 1) return;
+
+    const item = direccionesContacto.find(d => d.uid === uid);
+    if (!item) return;
+
+    item.elemento.remove();
+    direccionesContacto = direccionesContacto.filter(d => d.uid !== uid);
+
+    actualizarBloquesDireccion();
+    actualizarResumen();
+}
+
+/**
+ * Deja un único bloque de dirección vacío
+ */
+function reiniciarDireccionesContacto() {
+    direccionesContacto.forEach(item => item.elemento.remove());
+    direccionesContacto = [];
+    agregarDireccionContacto();
+}
+
+/**
+ * Numera los bloques y muestra el botón de quitar solo si hay más de uno
+ */
+function actualizarBloquesDireccion() {
+    direccionesContacto.forEach((item, i) => {
+        item.elemento.querySelector(".direccion-numero").textContent = t("direccion.numero", { n: i + 1 });
+        item.elemento.querySelector(".direccion-quitar").classList.toggle("hidden", direccionesContacto.length === 1);
+    });
+
+    actualizarDireccionPersona();
+}
+
+/**
+ * Muestra la información, el complemento, el mapa, la confirmación del
+ * pin y la etiqueta de un bloque según su estado
+ * @param {object} item
+ * @param {object} estado - Estado del bloque
+ * @param {object} anterior - Estado antes del cambio
+ */
+function renderizarEstadoBloque(item, estado, anterior) {
+    const $ = (selector) => item.elemento.querySelector(selector);
+    const { direccion, complemento, pinConfirmado, etiqueta } = estado;
+
+    if (direccion !== anterior.direccion) {
+        $(".direccion-info").classList.toggle("hidden", !direccion);
+        $(".complemento-wrapper").classList.toggle("hidden", !direccion);
+        actualizarConfirmacionPin($(".confirmar-pin"), direccion);
+        actualizarSelectorComuna($(".comuna-manual"), estado);
+
+        if (direccion) {
+            renderizarInfoDireccion($(".info-details"), direccion);
+            mostrarMapaDireccion(item);
+        } else {
+            $(".map-preview").classList.add("hidden");
+        }
+
+        actualizarDireccionPersona();
+    }
+
+    // El complemento solo cambia por fuera del input al elegir otra dirección
+    // o limpiar (el estado lo guarda sin los espacios que se están escribiendo)
+    if ($(".complemento-input").value.trim() !== complemento) {
+        $(".complemento-input").value = complemento;
+        $(".complemento-partes").classList.add("hidden");
+    }
+
+    $(".confirmar-pin input").checked = pinConfirmado;
+    $(".direccion-etiqueta").value = etiqueta;
+
+    actualizarResumen();
+}
+
+// ==================== AUTOCOMPLETADO POR BLOQUE ====================
+
+/**
+ * Conecta un bloque de dirección al proveedor de direcciones
+ * @param {object} item
+ */
+function initAutocompleteDireccion(item) {
+    const $ = (selector) => item.elemento.querySelector(selector);
+
+    item.autocompletado = true;
+
+    conectarAutocompletado($(".direccion-input"), (direccion) => seleccionarDireccionBloque(item, direccion));
+}
+
+/**
+ * Elige la dirección de un bloque (del buscador o ingresada a mano)
+ * @param {object} item
+ * @param {object|null} direccion - Dirección normalizada
+ */
+function seleccionarDireccionBloque(item, direccion) {
+    elegirDireccion(item.estado, direccion);
+}
+
+/**
+ * Muestra el mapa de un bloque con el pin arrastrable
+ * @param {object} item
+ */
+function mostrarMapaDireccion(item) {
+    const $ = (selector) => item.elemento.querySelector(selector);
+
+    const { direccion } = item.estado.obtener();
+
+    // Dirección ingresada a mano que no se pudo ubicar
+    if (direccion.lat == null) {
+        $(".map-preview").classList.add("hidden");
+        return;
+    }
+
+    $(".map-preview").classList.remove("hidden");
+
+    const nuevo = !item.mapa;
+    item.mapa = mostrarEnMapa(item.mapa, $(".map-container"), direccion);
+
+    if (nuevo) {
+        habilitarAjustePin(item.mapa, { estado: item.estado, input: $(".direccion-input") });
+    }
+}
+
+// ==================== LECTURA Y VALIDACIÓN ====================
+
+/**
+ * Devuelve los datos de cada bloque de dirección
+ * @returns {Array<object>} { uid, direccion, complemento, etiqueta, pinConfirmado, validacion, input }
+ *   validacion: resultado de validarSeleccionDireccion para el bloque
+ */
+function obtenerDireccionesContacto() {
+    return direccionesContacto.map(item => {
+        const $ = (selector) => item.elemento.querySelector(selector);
+        const { direccion, complemento, etiqueta, pinConfirmado, validaciones } = item.estado.obtener();
+
+        return {
+            uid: item.uid,
+            direccion,
+            complemento,
+            etiqueta,
+            pinConfirmado,
+            validacion: validaciones.direccion,
+            input: $(".direccion-input")
+        };
+    });
+}
+
+/**
+ * Valida los bloques de dirección antes de enviar
+ * @param {Array<object>} direcciones - Resultado de obtenerDireccionesContacto
+ * @param {boolean} opcional - true si se permite no ingresar ninguna dirección
+ * @returns {object|null} { error, datos, input } o null si todo está bien
+ *   error: clave del mensaje
+ */
+function validarDireccionesContacto(direcciones, opcional = false) {
+    const ingresadas = direcciones.filter(d => d.direccion || d.input.value.trim());
+
+    if (ingresadas.length === 0) {
+        return opcional ? null : { error: "direccion.sinSeleccion", input: direcciones[0]?.input };
+    }
+
+    for (const d of ingresadas) {
+        if (d.validacion.valid) continue;
+
+        // Con varios bloques se indica cuál tiene el problema
+        return direcciones.length > 1
+            ? { error: "direccion.bloqueInvalido", datos: { n: direcciones.indexOf(d) + 1, motivo: d.validacion }, input: d.input }
+            : { error: d.validacion.error, input: d.input };
+    }
+
+    return null;
+}
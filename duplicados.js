@@ -0,0 +1,154 @@
+// ==================== DETECCIÓN DE DIRECCIONES DUPLICADAS ====================
+
+// Distancia máxima (en metros) para considerar que dos direcciones son la misma
+const DUPLICADOS_RADIO_METROS = 25;
+
+// Abreviaciones comunes que se expanden antes de comparar
+const ABREVIACIONES_CALLE = {
+    av: "avenida",
+    avda: "avenida",
+    pje: "pasaje",
+    psje: "pasaje",
+    gral: "general",
+    pdte: "presidente",
+    stgo: "santiago",
+    cam: "camino"
+};
+
+/**
+ * Normaliza un texto de dirección para compararlo: minúsculas, sin tildes,
+ * sin puntuación y con las abreviaciones expandidas
+ * @param {string} texto
+ * @returns {string}
+ */
+function normalizarTextoDireccion(texto) {
+    return String(texto || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(palabra => ABREVIACIONES_CALLE[palabra] || palabra)
+        .join(" ");
+}
+
+/**
+ * Distancia en metros entre dos coordenadas (fórmula de haversine)
+ * @returns {number}
+ */
+function distanciaMetros(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const rad = (grados) => grados * Math.PI / 180;
+
+    const dLat = rad(lat2 - lat1);
+    const dLng = rad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Compara una dirección nueva con una existente
+ * @param {object} nueva - Dirección a crear
+ * @param {object} existente - Dirección registrada en Odoo
+ * @returns {object|null} Motivo de la coincidencia ({ error: clave, datos }, como
+ *   los validadores, para mostrarlo con mensajeError) o null si no coincide
+ */
+function compararDirecciones(nueva, existente) {
+    const mismaDireccion = ["street", "number", "comuna", "street2"].every(campo =>
+        normalizarTextoDireccion(nueva[campo]) === normalizarTextoDireccion(existente[campo])
+    );
+
+    if (mismaDireccion) {
+        return { error: "duplicados.mismaDireccion", datos: {} };
+    }
+
+    if (nueva.lat != null && existente.lat != null) {
+        const distancia = distanciaMetros(nueva.lat, nueva.lng, existente.lat, existente.lng);
+        if (distancia <= DUPLICADOS_RADIO_METROS) {
+            return { error: "duplicados.distancia", datos: { metros: Math.round(distancia) } };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Busca en Odoo direcciones que coincidan con la que se va a crear.
+ * El worker devuelve las direcciones cercanas o de la misma calle y comuna;
+ * la comparación fina se hace aquí.
+ * @param {object} direccion - Datos que se enviarán a Odoo
+ * @returns {Promise<Array<object>>} Coincidencias con su motivo
+ */
+async function buscarDireccionesDuplicadas(direccion) {
+    const data = await llamarApi("/buscar-direcciones", {
+        street: direccion.street,
+        number: direccion.number,
+        comuna: direccion.comuna,
+        comuna_code: direccion.comuna_code,
+        street2: direccion.street2,
+        lat: direccion.lat,
+        lng: direccion.lng,
+        radio: DUPLICADOS_RADIO_METROS
+    }, { idempotente: true });
+
+    return (data.direcciones || [])
+        .map(existente => ({ ...existente, motivo: compararDirecciones(direccion, existente) }))
+        .filter(existente => existente.motivo);
+}
+
+// ==================== PANEL DE COINCIDENCIAS ====================
+
+/**
+ * Muestra las direcciones existentes que coinciden con la nueva
+ * @param {Array<object>} candidatos
+ */
+function mostrarDuplicadosDireccion(candidatos) {
+    const panel = document.getElementById("duplicados-direccion");
+    const lista = document.getElementById("duplicados-lista");
+
+    renderizarHtml(lista, html`${candidatos.map(c => html`
+        <div class="duplicado-item">
+            <div class="duplicado-info">
+                <strong>${c.formatted || `${c.street} ${c.number || ""}, ${c.comuna}`}</strong>
+                ${c.street2 && html`<small>${c.street2}</small>`}
+                <small>${t("general.idOdoo", { id: c.id })}${c.partner_name && ` · ${c.partner_name}`}</small>
+                <small class="duplicado-motivo">${mensajeError(c.motivo)}</small>
+            </div>
+            <button class="btn-secondary-small" onclick="usarDireccionExistente(${Number(c.id)})">
+                ${t("duplicados.usar")}
+            </button>
+        </div>
+    `)}`);
+
+    panel.classList.remove("hidden");
+}
+
+function ocultarDuplicadosDireccion() {
+    document.getElementById("duplicados-direccion").classList.add("hidden");
+}
+
+/**
+ * Reutiliza una dirección existente en vez de crear una nueva. Queda en el
+ * estado del formulario y en el historial con el ID de la existente.
+ * @param {number} id - ID de la dirección en Odoo
+ */
+function usarDireccionExistente(id) {
+    const msgBox = document.getElementById("msg-direccion");
+
+    ocultarDuplicadosDireccion();
+
+    estadoDireccion.actualizar({ direccionExistenteId: id });
+    guardarEnHistorial({
+        accion: "usar_direccion_existente",
+        payload: construirEnvioDireccion(estadoDireccion.obtener()),
+        data: { status: "ok", id }
+    });
+
+    renderizarHtml(msgBox, html`✅ <strong>${t("duplicados.seUsara")}</strong><br>${t("general.idOdoo", { id })}`);
+    msgBox.className = "msg success";
+
+    setTimeout(limpiarFormularioDireccion, 3000);
+}
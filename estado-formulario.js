@@ -0,0 +1,148 @@
+// ==================== ESTADO DE LOS FORMULARIOS ====================
+//
+// Cada formulario guarda sus campos, la dirección elegida y el resultado
+// de las validaciones en un estado propio. Los inputs solo escriben en el
+// estado; los hints, el resumen, los botones y el payload se leen de él,
+// así no hay que sacar valores del DOM ni marcar cada campo a mano.
+
+/**
+ * Crea el estado de un formulario. Las validaciones se recalculan en cada
+ * cambio y los suscriptores reciben el estado nuevo y el anterior.
+ * @param {object} inicial - Valores iniciales (también los de reiniciar)
+ * @param {function} [validar] - (valores) => validaciones de cada campo
+ * @returns {object} { obtener, actualizar, reiniciar, suscribir }
+ */
+function crearEstadoFormulario(inicial, validar = () => ({})) {
+    const calcular = (valores) => ({ ...valores, validaciones: validar(valores) });
+    const suscriptores = [];
+    let estado = calcular(inicial);
+
+    /**
+     * @param {object} cambios - Valores nuevos. Los objetos del estado
+     *   (dirección, teléfonos) se reemplazan, nunca se modifican en su lugar.
+     */
+    const actualizar = (cambios) => {
+        const anterior = estado;
+        const { validaciones, ...valores } = estado;
+        estado = calcular({ ...valores, ...cambios });
+        suscriptores.forEach(fn => fn(estado, anterior));
+    };
+
+    return {
+        obtener: () => estado,
+        actualizar,
+        reiniciar: () => actualizar(inicial),
+        suscribir(fn) {
+            suscriptores.push(fn);
+        }
+    };
+}
+
+/**
+ * Marca un input y su hint según una validación ya calculada
+ * @param {HTMLElement} input
+ * @param {HTMLElement} hint
+ * @param {object} marca - { estado: "valid" | "invalid" | null, texto }
+ */
+function marcarCampo(input, hint, { estado = null, texto = "" }) {
+    input.classList.remove("valid", "invalid");
+    hint.classList.remove("valid", "invalid");
+
+    if (estado) {
+        input.classList.add(estado);
+        hint.classList.add(estado);
+    }
+
+    hint.textContent = texto;
+}
+
+/**
+ * Marca de un teléfono para marcarCampo
+ * @param {object} telefono - { numero, pais }
+ * @param {object} validacion - Resultado de validarTelefono
+ * @returns {object} { estado, texto }
+ */
+function marcaTelefono({ numero, pais }, validacion) {
+    if (validacion.valid) {
+        return {
+            estado: "valid",
+            texto: `✓ ${t(TIPOS_TELEFONO[validacion.tipo] || "telefono.valido")}: ${mostrarTelefono(normalizarTelefonoE164(numero, pais))}`
+        };
+    }
+
+    return validacion.error ? { estado: "invalid", texto: `✗ ${mensajeError(validacion)}` } : {};
+}
+
+// ==================== DIRECCIÓN SELECCIONADA ====================
+
+/**
+ * Reglas para enviar una dirección elegida del buscador o ingresada a mano
+ * (Crear Dirección y cada bloque de dirección del contacto)
+ * @param {object} valores - { direccion, pinConfirmado }
+ * @returns {object} { direccion: { valid, error, campo } }
+ *   error: clave del mensaje; campo: "comuna" si hay que elegir la comuna a mano
+ */
+function validarSeleccionDireccion({ direccion, pinConfirmado }) {
+    const resultado = (error, campo = null) => ({ direccion: { valid: !error, error, campo } });
+
+    if (!direccion) {
+        return resultado("direccion.sinSeleccion");
+    }
+
+    const { street, comuna, region } = direccion;
+    if (!street || !comuna || !region) {
+        return resultado("direccion.incompleta");
+    }
+
+    if (!direccion.comuna_code) {
+        return resultado("direccion.sinComuna", "comuna");
+    }
+
+    if (requiereConfirmarPin(direccion) && !pinConfirmado) {
+        return resultado("direccion.confirmarPin");
+    }
+
+    return resultado(null);
+}
+
+/**
+ * @param {object} [extra] - Campos propios del formulario, ej: { etiqueta } en los bloques del contacto
+ * @returns {object} Estado de una dirección: { direccion, complemento, pinConfirmado, comunaManual, direccionExistenteId }
+ *   comunaManual: la comuna se eligió en el selector porque la dirección no traía una del catálogo
+ *   direccionExistenteId: ID de Odoo de la dirección existente que se usó en vez de crear una
+ */
+function crearEstadoDireccion(extra = {}) {
+    return crearEstadoFormulario({
+        direccion: null,
+        complemento: "",
+        pinConfirmado: false,
+        comunaManual: false,
+        direccionExistenteId: null,
+        ...extra
+    }, validarSeleccionDireccion);
+}
+
+/**
+ * Cambia la dirección elegida. El complemento, la confirmación del pin, la
+ * comuna elegida a mano y la dirección existente usada eran de la
+ * anterior, así que se descartan.
+ * @param {object} estado - Resultado de crearEstadoDireccion
+ * @param {object|null} direccion - Dirección normalizada
+ */
+function elegirDireccion(estado, direccion) {
+    estado.actualizar({ direccion, complemento: "", pinConfirmado: false, comunaManual: false, direccionExistenteId: null });
+}
+
+/**
+ * Corrige la dirección elegida (comuna a mano, pin movido) con una copia.
+ * A diferencia de elegirDireccion se conserva el resto del estado.
+ * @param {object} estado - Resultado de crearEstadoDireccion
+ * @param {object} cambios - Campos de la dirección que cambian
+ * @param {object} [otros] - Otros cambios del estado, ej: { pinConfirmado: true }
+ */
+function corregirDireccion(estado, cambios, otros = {}) {
+    const { direccion } = estado.obtener();
+    if (!direccion) return;
+
+    estado.actualizar({ ...otros, direccion: { ...direccion, ...cambios } });
+}
@@ -0,0 +1,402 @@
+// ==================== HISTORIAL DE ENVÍOS ====================
+//
+// Registro local de todo lo enviado a Odoo desde este navegador, para no
+// perder los IDs cuando el formulario se limpia después de un envío.
+// Se alimenta desde enviarCreacion, así que incluye los formularios,
+// las cargas masivas y los reenvíos de la cola.
+//
+// Cada usuario tiene su propia base, que se borra cuando cierra su sesión:
+// en un navegador compartido nadie ve los envíos de otro.
+
+const HISTORIAL_DB_NOMBRE = "maihue-historial";
+const HISTORIAL_STORE = "envios";
+
+// Se conservan los registros más recientes; los más antiguos se descartan
+const HISTORIAL_MAXIMO = 500;
+
+// Acción → clave del texto. Además de los envíos auditados, las direcciones
+// existentes que se usaron en vez de crear un duplicado (duplicados.js)
+const ACCIONES_HISTORIAL = {
+    ...ACCIONES_AUDITORIA,
+    usar_direccion_existente: "historial.accion.usarExistente"
+};
+
+// Acciones que se reabren en Crear Dirección; el resto son de contactos
+const ACCIONES_DIRECCION = ["crear_direccion", "usar_direccion_existente"];
+
+let historialDb = null;
+let historialRegistros = [];
+
+document.addEventListener("DOMContentLoaded", async () => {
+    ["historial-buscar", "historial-tipo", "historial-resultado"].forEach(id => {
+        document.getElementById(id).addEventListener("input", renderizarHistorial);
+    });
+    alCambiarIdioma(renderizarHistorial);
+
+    try {
+        await cargarHistorial();
+    } catch (e) {
+        console.error("Error:", e);
+    }
+});
+
+// ==================== INDEXEDDB ====================
+
+/**
+ * @param {object} usuario - { email }
+ * @returns {string} Nombre de la base del usuario, ej: "maihue-historial:vendedor@maihue.cl"
+ */
+function nombreHistorialDb(usuario) {
+    return `${HISTORIAL_DB_NOMBRE}:${usuario.email}`;
+}
+
+/**
+ * Abre (o crea) la base de datos del historial del usuario de la sesión
+ * @returns {Promise<IDBDatabase>}
+ */
+function abrirHistorialDb() {
+    const usuario = usuarioActual();
+    if (!usuario) return Promise.reject(new Error(t("sesion.ingresar")));
+
+    const nombre = nombreHistorialDb(usuario);
+    if (historialDb?.name === nombre) return Promise.resolve(historialDb);
+
+    // Cambió el usuario desde la última vez
+    historialDb?.close();
+    historialDb = null;
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(nombre, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(HISTORIAL_STORE, { keyPath: "id" });
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Otra pestaña cerró la sesión y está borrando la base
+            db.onversionchange = () => {
+                db.close();
+                if (historialDb === db) historialDb = null;
+            };
+            historialDb = db;
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta una operación sobre el store del historial
+ * @param {string} modo - "readonly" | "readwrite"
+ * @param {Function} operacion - Recibe el store y devuelve un IDBRequest
+ * @returns {Promise<any>}
+ */
+async function operacionHistorial(modo, operacion) {
+    const db = await abrirHistorialDb();
+
+    return new Promise((resolve, reject) => {
+        const request = operacion(db.transaction(HISTORIAL_STORE, modo).objectStore(HISTORIAL_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Carga el historial del usuario de la sesión (vacío si no hay sesión)
+ */
+async function cargarHistorial() {
+    historialRegistros = usuarioActual()
+        ? (await operacionHistorial("readonly", store => store.getAll())).sort((a, b) => b.fecha.localeCompare(a.fecha))
+        : [];
+    renderizarHistorial();
+}
+
+/**
+ * Borra del navegador el historial de un usuario, al cerrar su sesión
+ * @param {object} usuario - { email }
+ * @returns {Promise<void>}
+ */
+async function eliminarHistorialUsuario(usuario) {
+    historialDb?.close();
+    historialDb = null;
+    historialRegistros = [];
+    renderizarHistorial();
+
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(nombreHistorialDb(usuario));
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ==================== REGISTRO ====================
+
+/**
+ * Guarda en el historial un envío a Odoo con la respuesta del worker
+ * @param {object} datos - { accion, payload, data }
+ *   accion: clave de ACCIONES_HISTORIAL
+ */
+async function guardarEnHistorial({ accion, payload, data }) {
+    const direcciones = payload.direcciones || (payload.formatted ? [payload] : []);
+    const idsDirecciones = ACCIONES_DIRECCION.includes(accion)
+        ? [data.id]
+        : data.service_address_ids || [data.service_address_id];
+
+    const registro = {
+        id: generarClaveIdempotencia(),
+        fecha: new Date().toISOString(),
+        accion,
+        usuario: usuarioActual()?.email || "",
+        rut: payload.rut || "",
+        direcciones: direcciones.map(d => d.street2 ? `${d.formatted}, ${d.street2}` : d.formatted),
+        contact_id: data.contact_id || payload.partner_id || null,
+        service_address_ids: idsDirecciones.filter(id => id != null),
+        scoring_status: data.scoring_status || null,
+        resultado: data.status === "ok" ? "ok" : "error",
+        error: data.error || null,
+        step: data.step || null,
+        payload
+    };
+
+    try {
+        await operacionHistorial("readwrite", store => store.put(registro));
+
+        historialRegistros.unshift(registro);
+        for (const antiguo of historialRegistros.splice(HISTORIAL_MAXIMO)) {
+            await operacionHistorial("readwrite", store => store.delete(antiguo.id));
+        }
+    } catch (e) {
+        console.error("Error:", e);
+    }
+
+    renderizarHistorial();
+}
+
+async function borrarHistorial() {
+    if (!confirm(t("historial.confirmarBorrar"))) return;
+
+    const msgBox = document.getElementById("msg-historial");
+
+    try {
+        await operacionHistorial("readwrite", store => store.clear());
+        historialRegistros = [];
+        renderizarHistorial();
+        msgBox.innerHTML = "";
+        msgBox.className = "msg";
+    } catch (e) {
+        console.error("Error:", e);
+        renderizarHtml(msgBox, `❌ ${e.message}`);
+        msgBox.className = "msg error";
+    }
+}
+
+// ==================== PANEL ====================
+
+/**
+ * Registros que coinciden con la búsqueda y los filtros del panel
+ * @returns {Array<object>}
+ */
+function filtrarHistorial() {
+    const texto = normalizarTextoDireccion(document.getElementById("historial-buscar").value);
+    const tipo = document.getElementById("historial-tipo").value;
+    const resultado = document.getElementById("historial-resultado").value;
+
+    return historialRegistros.filter(r => {
+        if (tipo === "direccion" && !ACCIONES_DIRECCION.includes(r.accion)) return false;
+        if (tipo === "contacto" && ACCIONES_DIRECCION.includes(r.accion)) return false;
+        if (resultado && r.resultado !== resultado) return false;
+        if (!texto) return true;
+
+        // El RUT se compara también sin puntos ni guion
+        const contenido = normalizarTextoDireccion([
+            r.rut,
+            limpiarRut(r.rut),
+            ...r.direcciones,
+            r.contact_id,
+            ...r.service_address_ids
+        ].join(" "));
+
+        return texto.split(" ").every(palabra => contenido.includes(palabra));
+    });
+}
+
+function renderizarHistorial() {
+    const lista = document.getElementById("historial-lista");
+    if (!lista) return;
+
+    const registros = filtrarHistorial();
+
+    document.getElementById("historial-resumen").textContent = historialRegistros.length
+        ? t("historial.resumen", { visibles: registros.length, n: historialRegistros.length })
+        : "";
+
+    if (registros.length === 0) {
+        renderizarHtml(lista, html`<p class="cola-vacia">${t(historialRegistros.length ? "historial.sinCoincidencias" : "historial.vacio")}</p>`);
+        return;
+    }
+
+    renderizarHtml(lista, html`${registros.map(r => html`
+        <div class="historial-item ${r.resultado}">
+            <div class="cola-item-info">
+                <div>
+                    <strong>${tituloHistorial(r)}</strong>
+                    <small>${t(ACCIONES_HISTORIAL[r.accion])} · ${new Date(r.fecha).toLocaleString(localeIdioma())}</small>
+                    <small>${detalleHistorial(r)}</small>
+                </div>
+            </div>
+            <div class="cola-item-acciones">
+                <button class="btn-icono" title="${t("historial.reabrir")}" data-id="${r.id}" onclick="reabrirHistorial(this.dataset.id)">↩</button>
+                <button class="btn-icono" title="${t("general.copiar")}" data-id="${r.id}" onclick="copiarHistorial(this.dataset.id, this)">⧉</button>
+            </div>
+        </div>
+    `)}`);
+}
+
+/**
+ * @param {object} registro
+ * @returns {string} RUT y dirección principal, ej: "12.345.678-5 · Av. Apoquindo 4800..."
+ */
+function tituloHistorial(registro) {
+    return [registro.rut, registro.direcciones[0]].filter(Boolean).join(" · ") || t("historial.sinDireccion");
+}
+
+/**
+ * @param {object} registro
+ * @returns {string} IDs de Odoo, scoring y error, ej: "Contacto #812 · Dirección #913"
+ *   en el idioma activo
+ */
+function detalleHistorial(registro) {
+    const partes = [];
+
+    if (registro.contact_id) partes.push(t("historial.contactoId", { id: registro.contact_id }));
+    if (registro.service_address_ids.length) {
+        partes.push(t("historial.direccionId", { ids: registro.service_address_ids.join(", #") }));
+    }
+    if (registro.scoring_status) partes.push(t("historial.scoring", { estado: registro.scoring_status }));
+    if (registro.resultado === "error") {
+        partes.push(`✗ ${errorHistorial(registro)}`);
+    }
+
+    return partes.join(" · ");
+}
+
+/**
+ * @param {object} registro
+ * @returns {string} Error del worker con el paso en que falló, ej: "Timeout (paso: equifax)"
+ */
+function errorHistorial(registro) {
+    const error = registro.error || t("general.error");
+    return registro.step ? t("historial.errorPaso", { error, paso: registro.step }) : error;
+}
+
+// ==================== ACCIONES ====================
+
+/**
+ * Copia al portapapeles los datos de un envío
+ * @param {string} id
+ * @param {HTMLButtonElement} btn - Muestra ✓ unos segundos al copiar
+ */
+async function copiarHistorial(id, btn) {
+    const r = historialRegistros.find(registro => registro.id === id);
+    if (!r) return;
+
+    const texto = [
+        `${t("historial.copiaFecha")}: ${new Date(r.fecha).toLocaleString(localeIdioma())}`,
+        r.rut && `RUT: ${r.rut}`,
+        ...r.direcciones.map(d => `${t("campo.direccion")}: ${d}`),
+        r.contact_id && `${t("historial.copiaIdContacto")}: ${r.contact_id}`,
+        r.service_address_ids.length && `${t("historial.copiaIdDireccion")}: ${r.service_address_ids.join(", ")}`,
+        r.scoring_status && `Scoring: ${r.scoring_status}`,
+        r.error && `${t("general.error")}: ${errorHistorial(r)}`
+    ].filter(Boolean).join("\n");
+
+    try {
+        await navigator.clipboard.writeText(texto);
+        btn.textContent = "✓";
+        setTimeout(() => { btn.textContent = "⧉"; }, 2000);
+    } catch (e) {
+        console.error("Error:", e);
+        btn.textContent = "✗";
+    }
+}
+
+/**
+ * Vuelve a cargar un envío en su formulario, para revisarlo o reintentarlo
+ * @param {string} id
+ */
+function reabrirHistorial(id) {
+    const registro = historialRegistros.find(r => r.id === id);
+    if (!registro) return;
+
+    if (ACCIONES_DIRECCION.includes(registro.accion)) {
+        reabrirDireccion(registro.payload);
+    } else {
+        reabrirContacto(registro.payload);
+    }
+
+    window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+/**
+ * Separa del payload los campos propios del envío y deja la dirección normalizada
+ * @param {object} payloadDireccion
+ * @returns {object} { direccion, complemento, etiqueta }
+ */
+function direccionDesdePayload(payloadDireccion) {
+    const { label, street2, street2_parts, pin_confirmed, ...direccion } = payloadDireccion;
+    return { direccion, complemento: street2 || "", etiqueta: label || "main" };
+}
+
+function reabrirDireccion(payload) {
+    document.querySelector('.tab-btn[data-tab="direccion"]').click();
+    limpiarFormularioDireccion();
+
+    const { direccion, complemento } = direccionDesdePayload(payload);
+
+    document.getElementById("direccion").value = direccion.formatted;
+    seleccionarDireccion(direccion);
+
+    const complementoInput = document.getElementById("complemento");
+    complementoInput.value = complemento;
+    complementoInput.dispatchEvent(new Event("input"));
+}
+
+function reabrirContacto(payload) {
+    document.querySelector('.tab-btn[data-tab="contacto"]').click();
+    volverAFormulario();
+
+    estadoContacto.actualizar({
+        unidadId: payload.unidad_negocio_id ? String(payload.unidad_negocio_id) : "",
+        email: payload.email || ""
+    });
+    cargarDatosEmpresa({
+        razonSocial: payload.razon_social || "",
+        giro: payload.giro || "",
+        rutRepresentante: payload.rut_representante || ""
+    });
+
+    // Los envíos anteriores a E.164 traen los 9 dígitos sin código de país
+    cargarTelefono("telefono", "telefono-pais", payload.telefono || "");
+    cargarTelefono("telefono-secundario", "telefono-secundario-pais", payload.telefono_secundario || "");
+
+    const direcciones = payload.direcciones || [payload.direccion].filter(Boolean);
+    direcciones.forEach((payloadDireccion, i) => {
+        const item = i === 0 ? direccionesContacto[0] : agregarDireccionContacto();
+        const $ = (selector) => item.elemento.querySelector(selector);
+        const { direccion, complemento, etiqueta } = direccionDesdePayload(payloadDireccion);
+
+        $(".direccion-input").value = direccion.formatted;
+        seleccionarDireccionBloque(item, direccion);
+        item.estado.actualizar({ etiqueta });
+
+        $(".complemento-input").value = complemento;
+        $(".complemento-input").dispatchEvent(new Event("input"));
+    });
+
+    cargarPersonasContacto(payload.contactos || [], direccionesContacto);
+
+    // Al final, para que la búsqueda por RUT pase a modo edición si el contacto ya existe
+    const rutInput = document.getElementById("rut");
+    rutInput.value = payload.rut || "";
+    rutInput.dispatchEvent(new Event("input"));
+}
@@ -0,0 +1,215 @@
+// ==================== IDIOMAS ====================
+//
+// Los textos de la interfaz viven en catálogos por idioma (idioma-es.js,
+// idioma-en.js) y el código los pide por clave: t("rut.corto"). Los
+// validadores devuelven la clave del error, no el texto, y la vista la
+// traduce al mostrarla. Para agregar un idioma basta otro archivo que
+// llame a registrarIdioma.
+//
+// Mensajes del catálogo:
+//   "Hola {nombre}"                             → t(clave, { nombre })
+//   { one: "{n} dígito", other: "{n} dígitos" } → t(clave, { n }), plural según
+//                                                  las reglas del idioma
+//   Un dato que es otro resultado de validación ({ error, datos }) se
+//   traduce también, ej: "Teléfono: {motivo}".
+//
+// En el HTML:
+//   data-i18n="clave"              texto del elemento
+//   data-i18n-html="clave"         marcado fijo del catálogo (ej: <strong>)
+//   data-i18n-placeholder="clave"  data-i18n-title="clave"  data-i18n-aria-label="clave"
+//
+// Se carga después de plantillas.js (tHtml). No depende del DOM salvo
+// traducirPagina y el selector de idioma: en Node se puede importar con
+// require("./i18n.js").
+
+const IDIOMAS = {};
+
+const IDIOMA_DEFECTO = "es";
+const IDIOMA_STORAGE = "idioma";
+
+// Idioma elegido en el selector durante esta visita
+let idiomaElegido = null;
+
+const suscriptoresIdioma = [];
+
+if (typeof document !== "undefined") {
+    document.addEventListener("DOMContentLoaded", () => {
+        document.documentElement.lang = idiomaActual();
+        traducirPagina();
+
+        // Hay un selector en el header y otro en la pantalla de login
+        document.querySelectorAll(".selector-idioma").forEach(selector => {
+            Object.entries(IDIOMAS).forEach(([codigo, { nombre }]) => {
+                selector.add(new Option(nombre, codigo));
+            });
+            selector.value = idiomaActual();
+            selector.addEventListener("change", () => cambiarIdioma(selector.value));
+        });
+    });
+}
+
+/**
+ * Registra el catálogo de un idioma
+ * @param {string} codigo - "es" | "en"...
+ * @param {object} idioma - { nombre, locale, mensajes }
+ *   nombre: como aparece en el selector; locale: para fechas y montos (ej: "es-CL")
+ */
+function registrarIdioma(codigo, idioma) {
+    IDIOMAS[codigo] = idioma;
+}
+
+/**
+ * Idioma activo: el elegido en el selector, luego ?idioma=... en la URL,
+ * localStorage "idioma", el idioma del navegador y por último español
+ * @returns {string}
+ */
+function idiomaActual() {
+    const candidatos = [idiomaElegido];
+
+    if (typeof window !== "undefined") {
+        candidatos.push(
+            new URLSearchParams(window.location.search).get("idioma"),
+            localStorage.getItem(IDIOMA_STORAGE),
+            navigator.language?.slice(0, 2)
+        );
+    }
+
+    return candidatos.find(codigo => IDIOMAS[codigo]) || IDIOMA_DEFECTO;
+}
+
+/**
+ * @returns {string} Locale del idioma activo, para toLocaleString e Intl
+ */
+function localeIdioma() {
+    return IDIOMAS[idiomaActual()]?.locale || "es-CL";
+}
+
+// ==================== MENSAJES ====================
+
+/**
+ * Texto de una clave en el idioma activo. Si falta en ese idioma se usa
+ * el español, y si tampoco está, la clave misma.
+ * @param {string} clave - Ej: "rut.corto"
+ * @param {object} [datos] - Valores para {nombre}; n elige el plural
+ * @returns {string}
+ */
+function t(clave, datos = {}) {
+    const codigo = idiomaActual();
+    let mensaje = IDIOMAS[codigo]?.mensajes[clave] ?? IDIOMAS[IDIOMA_DEFECTO]?.mensajes[clave];
+
+    if (mensaje == null) {
+        console.warn(`Falta el texto "${clave}" en el idioma "${codigo}"`);
+        return clave;
+    }
+
+    if (typeof mensaje === "object") {
+        const forma = new Intl.PluralRules(localeIdioma()).select(Number(datos.n));
+        mensaje = mensaje[forma] ?? mensaje.other;
+    }
+
+    return mensaje.replace(/\{(\w+)\}/g, (marca, nombre) => {
+        const valor = datos[nombre];
+        if (valor == null) return marca;
+        return typeof valor === "object" ? mensajeError(valor) : String(valor);
+    });
+}
+
+/**
+ * Como t, para mensajes del catálogo con marcado, ej: "Se eligió <strong>{nombre}</strong>".
+ * Los datos se escapan; el resultado se interpola tal cual en html`...`.
+ * @param {string} clave
+ * @param {object} [datos]
+ * @returns {HtmlSeguro}
+ */
+function tHtml(clave, datos = {}) {
+    const escapados = Object.fromEntries(Object.entries(datos).map(([nombre, valor]) => [
+        nombre,
+        escaparHtml(typeof valor === "object" ? mensajeError(valor) : valor)
+    ]));
+
+    return new HtmlSeguro(t(clave, escapados));
+}
+
+/**
+ * Texto del error de un resultado de validación
+ * @param {object} resultado - { error: clave | null, datos }
+ * @returns {string} "" si no hay error
+ */
+function mensajeError(resultado) {
+    return resultado?.error ? t(resultado.error, resultado.datos) : "";
+}
+
+// ==================== PÁGINA ====================
+
+/**
+ * Traduce los elementos marcados con data-i18n*, incluidos los de los
+ * <template> (los bloques de dirección y persona se crean desde ellos)
+ * @param {ParentNode} [raiz]
+ */
+function traducirPagina(raiz = document) {
+    raiz.querySelectorAll("[data-i18n]").forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    raiz.querySelectorAll("[data-i18n-html]").forEach(el => {
+        // Solo marcado fijo del catálogo, sin datos del usuario
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    raiz.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    raiz.querySelectorAll("[data-i18n-title]").forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    raiz.querySelectorAll("[data-i18n-aria-label]").forEach(el => {
+        el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel));
+    });
+    raiz.querySelectorAll("template").forEach(template => traducirPagina(template.content));
+}
+
+/**
+ * Cambia la clave de un elemento traducido (ej: el texto de un botón según
+ * el modo del formulario), así sigue al idioma en los próximos cambios
+ * @param {HTMLElement} elemento
+ * @param {string} clave
+ */
+function traducirElemento(elemento, clave) {
+    elemento.dataset.i18n = clave;
+    elemento.textContent = t(clave);
+}
+
+/**
+ * Cambia el idioma, lo recuerda en este navegador y vuelve a dibujar
+ * @param {string} codigo
+ */
+function cambiarIdioma(codigo) {
+    if (!IDIOMAS[codigo]) return;
+
+    idiomaElegido = codigo;
+    localStorage.setItem(IDIOMA_STORAGE, codigo);
+    document.documentElement.lang = codigo;
+
+    traducirPagina();
+    document.querySelectorAll(".selector-idioma").forEach(selector => { selector.value = codigo; });
+    suscriptoresIdioma.forEach(fn => fn(codigo));
+}
+
+/**
+ * Las vistas armadas desde JS se registran aquí para redibujarse al
+ * cambiar de idioma. Los mensajes ya mostrados quedan como estaban.
+ * @param {function} fn - Recibe el código del idioma nuevo
+ */
+function alCambiarIdioma(fn) {
+    suscriptoresIdioma.push(fn);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        IDIOMAS,
+        registrarIdioma,
+        idiomaActual,
+        localeIdioma,
+        t,
+        tHtml,
+        mensajeError
+    };
+}
@@ -0,0 +1,473 @@
+// ==================== INGLÉS ====================
+//
+// Para los ejecutivos de las cadenas Horeca internacionales. Los nombres
+// propios de Chile (comuna, RUT, giro) y los encabezados de las planillas
+// se dejan tal cual.
+
+registrarIdioma("en", {
+    nombre: "English",
+    locale: "en-US",
+    mensajes: {
+        // ==================== PÁGINA ====================
+        "pagina.titulo": "Customer Management – Maihue",
+        "pagina.idioma": "Language",
+        "tab.direccion": "Create Address",
+        "tab.contacto": "Create Contact",
+        "tab.historial": "History",
+        "tab.revision": "Review",
+        "tab.auditoria": "Audit",
+
+        // ==================== GENERAL ====================
+        "general.idOdoo": "Odoo ID: {id}",
+        "general.detalles": "Details: {detalles}",
+        "general.errorInesperado": "An unexpected error occurred",
+        "general.error": "Error",
+        "general.copiar": "Copy",
+        "general.descartar": "Discard",
+        "general.procesando": "Processing...",
+        "general.seleccionar": "Select...",
+        "general.resultado": "Result",
+        "general.opcional": "(optional)",
+
+        // ==================== API ====================
+        "api.errorConexion": "Connection error",
+        "api.errorServidor": "Server error",
+        "api.sinConexion": "Couldn't reach the server. Check your internet connection.",
+        "api.tiempoAgotado": "The server took too long to respond. Please try again.",
+        "api.cancelada": "Request cancelled",
+        "api.errorOdoo": "Error processing in Odoo",
+        "api.formatoInesperado": "The server responded in an unexpected format",
+        "api.errorHttp": "The server responded with error {status}",
+
+        // ==================== SESIÓN ====================
+        "sesion.expirada": "Session expired",
+        "sesion.expiro": "Your session expired. Please sign in again.",
+        "sesion.ingresar": "Sign in to continue.",
+        "sesion.rol.vendedor": "Sales rep",
+        "sesion.rol.supervisor": "Supervisor",
+        "sesion.rol.admin": "Administrator",
+        "sesion.sinToken": "The server did not return a session token",
+        "sesion.sinRol": "Your user has no role assigned. Contact an administrator.",
+        "sesion.datosRequeridos": "Enter your email and password",
+        "sesion.datosIncorrectos": "Incorrect email or password",
+        "login.titulo": "Sign in",
+        "login.subtitulo": "Sign in with your Maihue account",
+        "login.contrasena": "Password",
+        "login.ingresar": "Sign in",
+        "login.ingresando": "Signing in...",
+        "sesion.salir": "Sign out",
+
+        // ==================== CAMPOS ====================
+        "campo.rut": "RUT",
+        "campo.nombre": "Name",
+        "campo.unidadNegocio": "Business unit",
+        "campo.email": "Email",
+        "campo.telefono": "Phone",
+        "campo.telefonoSecundario": "Secondary phone",
+        "campo.direccion": "Address",
+        "campo.persona": "Person",
+        "campo.id": "ID",
+
+        // ==================== RUT ====================
+        "rut.soloNumeros": "The RUT must contain only digits",
+        "rut.corto": "RUT too short (at least {n} digits)",
+        "rut.largo": "RUT too long (at most {n} digits)",
+        "rut.repetido": "Invalid RUT (repeated digits)",
+        "rut.digitoVerificador": "Incorrect check digit",
+        "rut.ayuda": "Enter the RUT without dots",
+        "rut.ingresando": "Typing... ({n}/8-9 characters)",
+        "rut.invalido": "Invalid RUT",
+        "rut.requerido": "Enter a valid RUT",
+        "rut.buscando": "Searching Odoo...",
+        "rut.valido": "Valid RUT",
+        "rut.placeholder": "E.g. 12345678-9",
+
+        // ==================== EMAIL ====================
+        "email.faltaArroba": "The @ symbol is missing",
+        "email.faltaDominio": "The domain is missing (e.g. .com, .cl)",
+        "email.formato": "Invalid email format",
+        "email.valido": "Valid email",
+        "email.requerido": "Enter an email",
+        "email.placeholder": "email@example.com",
+
+        // ==================== TELÉFONOS ====================
+        "telefono.faltanDigitos": { one: "{n} digit missing", other: "{n} digits missing" },
+        "telefono.maximoDigitos": { one: "At most {n} digit", other: "At most {n} digits" },
+        "telefono.prefijoChile": "Must start with 9 (mobile) or with the area code (landline)",
+        "telefono.tipo.movil": "Mobile",
+        "telefono.tipo.fijo": "Landline",
+        "telefono.valido": "Valid phone number",
+        "telefono.invalido": "invalid number",
+        "telefono.requerido": "Enter a phone number",
+        "telefono.principalInvalido": "Phone: {motivo}",
+        "telefono.secundarioInvalido": "Secondary phone: {motivo}",
+        "telefono.pais": "Country",
+        "telefono.placeholder": "E.g. 912345678",
+        "telefono.secundarioPlaceholder": "E.g. 222345678 (landline)",
+
+        // ==================== CREAR DIRECCIÓN ====================
+        "direccion.buscandoDuplicados": "Looking for existing addresses...",
+        "direccion.hayDuplicados": "We found similar addresses in Odoo. Use an existing one or create a new one.",
+        "direccion.creando": "Validating and creating in Odoo...",
+        "direccion.creada": "Address created successfully!",
+        "direccion.errorCrear": "Error creating the address",
+        "direccion.sesionExpirada": "Sign in again and create the address again.",
+        "direccion.enCola": "The address was queued and will be sent automatically when the connection is back.",
+        "direccion.sinBuscador": "Couldn't load the address search. Reload the page or enter it by hand.",
+        "direccion.subtitulo": "Enter an address and we'll create it in Odoo",
+        "direccion.placeholder": "E.g. Av. Apoquindo 4800, Las Condes",
+        "direccion.seleccionada": "✓ Address selected",
+        "direccion.existente": "🔗 Using the existing address in Odoo (ID #{id})",
+        "direccion.elegirComuna": "We couldn't identify the comuna. Select it",
+        "direccion.usarEnContacto": "👤 Use this address in a new contact",
+        "direccion.btnCrear": "Create address in Odoo",
+
+        // ==================== INGRESO MANUAL ====================
+        "manual.calleRequerida": "Enter the street or road",
+        "manual.comunaRequerida": "Select the comuna",
+        "manual.abrir": "✍️ Address not listed? Enter it by hand",
+        "manual.calle": "Street or road",
+        "manual.callePlaceholder": "E.g. Camino a Lonquén, Parcela 14",
+        "manual.numero": "Number",
+        "manual.numeroPlaceholder": "E.g. 1234 or S/N",
+        "manual.regionPlaceholder": "From the comuna",
+        "manual.postal": "Postal code",
+        "manual.ayudaPin": "💡 Afterwards you can mark the exact spot by dragging the pin or clicking the map",
+        "manual.usar": "Use this address",
+
+        // ==================== COMPLEMENTO ====================
+        "complemento.entendimos": "We understood:",
+        "complemento.depto": "Apt",
+        "complemento.oficina": "Office",
+        "complemento.torre": "Tower",
+        "complemento.block": "Block",
+        "complemento.casa": "House",
+        "complemento.local": "Unit",
+        "complemento.piso": "Floor",
+        "complemento.lote": "Lot",
+        "complemento.parcela": "Plot",
+        "complemento.titulo": "Additional information",
+        "complemento.placeholder": "E.g. Depto 501, Edificio Torre A, Casa 12, etc.",
+        "complemento.ayuda": "💡 Add details such as apartment, office, house or condominium name",
+
+        // ==================== DIRECCIÓN PROCESADA ====================
+        "precision.alta": "Exact",
+        "precision.media": "Approximate to the street",
+        "precision.baja": "Low, confirm the pin on the map",
+        "precision.ajustada": "Location adjusted manually",
+        "precision.manualConPin": "Entered by hand, confirm the pin on the map",
+        "precision.manualSinPin": "Entered by hand, no location on the map",
+        "info.calle": "Street",
+        "info.comuna": "Comuna",
+        "info.region": "Region",
+        "info.precision": "Accuracy",
+        "info.noEspecificada": "Not specified",
+
+        // ==================== MAPA ====================
+        "mapa.titulo": "📍 Location on the map",
+        "mapa.ayuda": "Drag the pin to correct it",
+        "mapa.confirmarPin": "The address has no number or is approximate. I confirm the pin on the map is at the right location.",
+
+        // ==================== DUPLICADOS ====================
+        "duplicados.mismaDireccion": "Same street, number, comuna and unit",
+        "duplicados.distancia": "{metros} m away",
+        "duplicados.usar": "Use this one",
+        "duplicados.seUsara": "The existing address will be used",
+        "duplicados.titulo": "Possible duplicate addresses",
+        "duplicados.crearIgual": "None match, create it anyway",
+
+        // ==================== COLA DE ENVÍOS ====================
+        "cola.sinConexion": "Offline",
+        "cola.idContacto": "Contact ID: #{id}",
+        "cola.vacia": "No queued submissions",
+        "cola.estado.pendiente": "Pending",
+        "cola.estado.enviando": "Sending...",
+        "cola.estado.error": "Error",
+        "cola.estado.enviado": "Sent",
+        "cola.reintento": "retry at {hora}",
+        "cola.reintentar": "Retry",
+        "cola.titulo": "Queued submissions",
+        "cola.tituloPanel": "📤 Queued submissions",
+        "cola.limpiarEnviados": "Clear sent",
+
+        // ==================== CARGA MASIVA ====================
+        "carga.seleccionarArchivo": "Select file (.csv, .xlsx)",
+        "carga.leyendo": "Reading file...",
+        "carga.errorLectura": "Couldn't read the file",
+        "carga.sinDirecciones": "The file has no rows with an address",
+        "carga.geocodificando": { one: "Geocoding {n} address...", other: "Geocoding {n} addresses..." },
+        "carga.sinLectorExcel": "Couldn't load the Excel reader",
+        "carga.sinResultados": "No results for \"{consulta}\"",
+        "carga.incompleta": "Incomplete address, fix or remove it",
+        "carga.comunaNoReconocida": "Unrecognized comuna, add it to the address",
+        "carga.noEncontrada": "Address not found",
+        "carga.aproximada": "approximate location",
+        "carga.estado.pendiente": "Pending",
+        "carga.estado.geocodificando": "Searching...",
+        "carga.estado.lista": "Ready",
+        "carga.estado.incompleta": "Review",
+        "carga.estado.confirmar": "Confirm location",
+        "carga.estado.enviando": "Sending...",
+        "carga.estado.duplicada": "Possible duplicate",
+        "carga.estado.creada": "Created",
+        "carga.estado.existente": "Existing",
+        "carga.estado.error": "Error",
+        "carga.quitarFila": "Remove row",
+        "carga.confirmarPin": "I confirm the point is at the right location",
+        "carga.verMapa": "View on map",
+        "carga.filas": { one: "<strong>{n}</strong> row", other: "<strong>{n}</strong> rows" },
+        "carga.listas": { one: "<strong>{n}</strong> ready", other: "<strong>{n}</strong> ready" },
+        "carga.porRevisar": "<strong>{n}</strong> to review",
+        "carga.creadasErrores": "<strong>{creadas}</strong> created · <strong>{n}</strong> with errors",
+        "carga.nadaListo": "There are no addresses ready to send",
+        "carga.esperarGeocodificacion": "Wait for the address search to finish",
+        "carga.corregirFilas": "Fix or remove the rows marked for review before sending",
+        "carga.confirmarUbicaciones": "Confirm the approximate locations before sending",
+        "carga.creando": { one: "Creating {n} address in Odoo...", other: "Creating {n} addresses in Odoo..." },
+        "carga.creadas": { one: "{n} address created successfully!", other: "{n} addresses created successfully!" },
+        "carga.creadasConErrores": "{creadas} created, {n} with errors",
+        "carga.reenviarErrores": "You can resend the rows with errors.",
+        "carga.revisarDuplicadas": { one: "{n} row matches an existing address: use the existing one or create it anyway.", other: "{n} rows match existing addresses: use the existing ones or create them anyway." },
+        "carga.titulo": "Bulk upload",
+        "carga.subtitulo": "Upload a CSV or XLSX file with several addresses",
+        "carga.complemento": "Unit / details",
+        "carga.descargar": "Download results",
+        "carga.btnCrear": "Create addresses in Odoo",
+        "carga.columnas": "💡 Columns: <strong>direccion</strong> (or <strong>calle</strong>, <strong>numero</strong>, <strong>comuna</strong>, <strong>region</strong>) and optional <strong>complemento</strong>",
+
+        // ==================== CREAR CONTACTO ====================
+        "contacto.unidadRequerida": "Select a business unit",
+        "contacto.creando": "Validating the RUT and creating the contact in Odoo...",
+        "resumen.tipo": "Type",
+        "resumen.representante": "Legal representative",
+        "contacto.btnCrear": "Create contact in Odoo",
+        "contacto.direcciones": "Service addresses",
+        "contacto.subtitulo": "Register a new customer with a credit check",
+        "contacto.sugerenciaEmpresa": "🏢 This RUT looks like a company's.",
+        "contacto.usarEmpresa": "Use Empresa",
+        "contacto.datosContacto": "Contact details",
+        "resumen.titulo": "Contact summary",
+
+        // ==================== DATOS DE EMPRESA ====================
+        "empresa.razonSocial": "Company name",
+        "empresa.giro": "Line of business",
+        "empresa.razonSocialRequerida": "Enter the company's legal name",
+        "empresa.giroRequerido": "Enter the company's line of business",
+        "empresa.representanteRequerido": "Enter the legal representative's RUT",
+        "empresa.representanteInvalido": "Representative's RUT: {motivo}",
+        "empresa.representanteEmpresa": "The legal representative must be an individual",
+        "empresa.representanteAyuda": "RUT of the person who represents the company",
+        "empresa.representanteDebeSerPersona": "Must be an individual's RUT",
+        "empresa.titulo": "Company details",
+        "empresa.razonSocialPlaceholder": "E.g. Comercial Los Aromos SpA",
+        "empresa.giroPlaceholder": "E.g. Restaurant",
+        "empresa.rutRepresentante": "Legal representative RUT",
+
+        // ==================== DIRECCIONES ====================
+        "direccion.sinSeleccion": "Select an address from the suggestions",
+        "direccion.incompleta": "The selected address is incomplete. Try a different address.",
+        "direccion.sinComuna": "We couldn't identify the comuna. Select it from the list.",
+        "direccion.confirmarPin": "The location is approximate. Check the map and confirm the pin before continuing.",
+        "direccion.etiqueta.main": "Main",
+        "direccion.etiqueta.delivery": "Delivery",
+        "direccion.etiqueta.invoice": "Billing",
+        "direccion.numero": "Address {n}",
+        "direccion.bloqueInvalido": "Address {n}: {motivo}",
+        "direccion.opcion": "Address {n}: {direccion}",
+        "direccion.agregar": "➕ Add another address",
+        "direccion.quitar": "Remove address",
+
+        // ==================== PERSONAS DE CONTACTO ====================
+        "persona.funcion.compras": "Purchasing",
+        "persona.funcion.facturacion": "Billing",
+        "persona.funcion.recepcion": "Receiving",
+        "persona.funcion.otro": "Other",
+        "persona.numero": "Person {n}",
+        "persona.sinDireccion": "(no address selected)",
+        "persona.invalida": "Person {n}: {motivo}",
+        "persona.nombreRequerido": "Enter the name",
+        "persona.medioRequerido": "Enter an email or a phone number",
+        "persona.direccionRequerida": "Choose a filled-in address for the receiving person",
+        "persona.titulo": "Contact persons (optional)",
+        "persona.agregar": "➕ Add contact person",
+        "persona.quitar": "Remove person",
+        "persona.nombrePlaceholder": "E.g. Carolina Muñoz",
+        "persona.recibeEn": "Receives at",
+
+        // ==================== CONTACTO EXISTENTE ====================
+        "existente.btnActualizar": "Update contact in Odoo",
+        "existente.agregarDirecciones": "Add service addresses (optional)",
+        "existente.editable": "You can update the email and phones, or add service addresses and contact persons.",
+        "existente.editableEmpresa": "You can update the email, phones and company details, or add service addresses and contact persons.",
+        "existente.direcciones": "Registered addresses:",
+        "existente.personas": "Registered contact persons:",
+        "existente.actualizando": "Updating the contact in Odoo...",
+        "existente.titulo": "ℹ️ This RUT is already registered in Odoo",
+
+        // ==================== BORRADORES ====================
+        "borradores.sinRut": "No RUT",
+        "borradores.guardado": "Saved {fecha}",
+        "borradores.continuar": "Continue",
+        "borradores.descartar": "Discard draft",
+        "borradores.titulo": "Resume draft",
+
+        // ==================== RESULTADO DEL CONTACTO ====================
+        "resultado.cambioTipo.titulo": "Business unit corrected automatically",
+        "resultado.cambioTipo.detalle": "<strong>{original}</strong> was selected but the RUT belongs to <strong>{final}</strong>.",
+        "resultado.cambioTipo.registrado": "The contact was registered as {final}.",
+        "resultado.creado.titulo": "Contact created successfully!",
+        "resultado.creado.subtitulo": "The contact was registered in Odoo.",
+        "resultado.idContacto": "Contact ID",
+        "resultado.evaluacion": "Credit assessment",
+        "resultado.enRevision": "A supervisor will review the assessment",
+        "resultado.modo": "Mode",
+        "resultado.desarrollo": "Development",
+        "resultado.crearOtro": "Create another contact",
+        "resultado.ingresarOtro": "Enter another contact",
+        "resultado.duplicado.titulo": "RUT already registered",
+        "resultado.duplicado.subtitulo": "This RUT already exists as a contact in Odoo.",
+        "resultado.duplicado.info": "Existing contact details",
+        "resultado.editarExistente": "Edit existing contact",
+        "resultado.actualizado.titulo": "Contact updated!",
+        "resultado.actualizado.subtitulo": "The changes were saved in Odoo.",
+        "resultado.direccionAgregada": "Address added",
+        "resultado.personaAgregada": "Person added",
+        "resultado.idDireccion": "Address ID #{id}",
+        "resultado.idContactoHijo": "Contact ID #{id}",
+        "resultado.informacion": "Information",
+        "resultado.enCola.titulo": "Contact queued",
+        "resultado.enCola.subtitulo": "You're offline. The contact will be sent to Odoo automatically once the connection is back.",
+        "resultado.enCola.panel": "You can check its status in the queue panel 📤.",
+        "resultado.error.titulo": "Error creating the contact",
+        "resultado.error.detalles": "Error details",
+        "resultado.error.paso": "Step",
+        "resultado.error.detalle": "Detail",
+        "resultado.reintentar": "Try again",
+        "resultado.nuevo": "New contact",
+
+        // ==================== EQUIFAX ====================
+        "equifax.error.titulo": "Credit assessment error",
+        "equifax.error.subtitulo": "The credit assessment could not be completed",
+        "equifax.difunta.titulo": "RUT not valid for registration",
+        "equifax.difunta.subtitulo": "The RUT belongs to a deceased person.",
+        "equifax.noExiste.titulo": "RUT not found",
+        "equifax.noExiste.subtitulo": "The RUT does not exist in Equifax records.",
+        "equifax.sinReporte.titulo": "No credit information",
+        "equifax.sinReporte.subtitulo": "No credit information was found for this RUT.",
+        "equifax.rutConsultado": "RUT checked",
+        "equifax.estado": "Equifax status",
+
+        // ==================== EVALUACIÓN COMERCIAL ====================
+        "scoring.aprobado": "✓ Approved",
+        "scoring.descartado": "✗ Discarded",
+        "scoring.enRevision": "⏳ Under review",
+        "scoring.score": "Score",
+        "scoring.segmento": "Risk segment",
+        "scoring.deudaTotal": "Total debt",
+        "scoring.acreedor": "Creditor",
+        "scoring.monto": "Amount",
+        "scoring.motivos": "Reasons:",
+
+        // ==================== CARGA MASIVA DE CONTACTOS ====================
+        "cargaContactos.grupo.success": "✓ Created",
+        "cargaContactos.grupo.duplicado": "⚠️ RUT already registered",
+        "cargaContactos.grupo.equifax": "✗ Credit check error",
+        "cargaContactos.grupo.error": "✗ Error creating",
+        "cargaContactos.sinFilas": "The file has no rows",
+        "cargaContactos.validandoDirecciones": "Validating addresses...",
+        "cargaContactos.rutInvalido": "RUT: {motivo}",
+        "cargaContactos.emailInvalido": "Email: {motivo}",
+        "cargaContactos.motivoInvalido": "invalid",
+        "cargaContactos.motivoRequerido": "required",
+        "cargaContactos.unidadDesconocida": "Unknown business unit",
+        "cargaContactos.direccionRequerida": "Address: required",
+        "cargaContactos.direccionIncompleta": "Address: incomplete information",
+        "cargaContactos.comunaNoReconocida": "Address: unrecognized comuna",
+        "cargaContactos.direccionNoEncontrada": "Address: not found",
+        "cargaContactos.estado.validando": "Validating...",
+        "cargaContactos.estado.invalida": "Invalid",
+        "cargaContactos.estado.lista": "Ready",
+        "cargaContactos.estado.enviando": "Sending...",
+        "cargaContactos.estado.success": "Created",
+        "cargaContactos.estado.error_duplicado": "Duplicate",
+        "cargaContactos.estado.error_equifax": "Equifax",
+        "cargaContactos.estado.error": "Error",
+        "cargaContactos.validas": { one: "<strong>{n}</strong> valid", other: "<strong>{n}</strong> valid" },
+        "cargaContactos.invalidas": { one: "<strong>{n}</strong> invalid (won't be sent)", other: "<strong>{n}</strong> invalid (won't be sent)" },
+        "cargaContactos.existeComo": "Exists as {nombre} (#{id})",
+        "cargaContactos.contacto": "contact",
+        "cargaContactos.errorEquifax": "Credit check error",
+        "cargaContactos.esperarValidacion": "Wait for the address validation to finish",
+        "cargaContactos.nadaValido": "There are no valid rows to send",
+        "cargaContactos.creando": { one: "Creating {n} contact in Odoo...", other: "Creating {n} contacts in Odoo..." },
+        "cargaContactos.fila": "Row {n}",
+        "cargaContactos.subtitulo": "Register all of a customer's branches from a spreadsheet",
+        "cargaContactos.columnaContacto": "Contact",
+        "cargaContactos.descargar": "Download report",
+        "cargaContactos.btnCrear": "Create contacts in Odoo",
+        "cargaContactos.columnas": "💡 Columns: <strong>rut</strong>, <strong>unidad de negocio</strong>, <strong>email</strong>, <strong>telefono</strong> (with +code if not Chilean), optional <strong>telefono secundario</strong>, <strong>direccion</strong> and optional <strong>complemento</strong>. For Empresa and Horeca: <strong>razon social</strong>, <strong>giro</strong> and <strong>rut representante</strong>",
+
+        // ==================== HISTORIAL ====================
+        "historial.confirmarBorrar": "Delete all history from this browser?",
+        "historial.resumen": { one: "{visibles} of {n} submission", other: "{visibles} of {n} submissions" },
+        "historial.sinCoincidencias": "No submissions match the search",
+        "historial.vacio": "No submissions from this browser yet",
+        "historial.reabrir": "Reopen in the form",
+        "historial.sinDireccion": "No address",
+        "historial.contactoId": "Contact #{id}",
+        "historial.direccionId": "Address #{ids}",
+        "historial.scoring": "Scoring: {estado}",
+        "historial.errorPaso": "{error} (step: {paso})",
+        "historial.accion.usarExistente": "🔗 Use existing address",
+        "historial.copiaFecha": "Date",
+        "historial.copiaIdContacto": "Contact ID",
+        "historial.copiaIdDireccion": "Address ID",
+        "historial.subtitulo": "Addresses and contacts sent to Odoo from this browser",
+        "historial.buscar": "Search by RUT, address or Odoo ID",
+        "historial.tipo": "Submission type",
+        "historial.tipoTodos": "Addresses and contacts",
+        "historial.soloDirecciones": "Addresses only",
+        "historial.soloContactos": "Contacts only",
+        "historial.todosResultados": "All results",
+        "historial.exitosos": "Successful",
+        "historial.conError": "With errors",
+        "historial.borrar": "Clear history",
+
+        // ==================== REVISIÓN ====================
+        "revision.buscando": "Searching pending contacts...",
+        "revision.pendientes": { one: "{n} pending contact", other: "{n} pending contacts" },
+        "revision.sinPendientes": "No contacts pending review",
+        "revision.creadoPor": "Created by {vendedor}",
+        "revision.verEvaluacion": "View credit check",
+        "revision.sinDetalle": "The worker didn't return the check details",
+        "revision.comentario": "Comment for Odoo (required when discarding)",
+        "revision.aprobar": "Approve",
+        "revision.comentarioRequerido": "Write a comment with the reason for discarding",
+        "revision.guardando": "Saving to Odoo...",
+        "manual.seleccionarComuna": "Select comuna...",
+        "revision.titulo": "Credit check review",
+        "revision.subtitulo": "Contacts Equifax left under review",
+        "revision.actualizar": "🔄 Refresh",
+
+        // ==================== AUDITORÍA ====================
+        "auditoria.accion.crearDireccion": "📍 Create address",
+        "auditoria.accion.crearContacto": "👤 Create contact",
+        "auditoria.accion.actualizarContacto": "✏️ Update contact",
+        "auditoria.accion.resolverRevision": "🔎 Resolve review",
+        "auditoria.fechasInvalidas": "The start date can't be after the end date",
+        "auditoria.buscando": "Searching records...",
+        "auditoria.registros": { one: "<strong>{n}</strong> record", other: "<strong>{n}</strong> records" },
+        "auditoria.okErrores": "<strong>{ok}</strong> OK · <strong>{n}</strong> with errors",
+        "auditoria.sinRegistros": "No records match these filters",
+        "auditoria.verPayload": "View submitted data",
+        "auditoria.subtitulo": "Creations and updates in Odoo by user",
+        "auditoria.usuario": "User",
+        "auditoria.usuarioPlaceholder": "Everyone (or the user's email)",
+        "auditoria.desde": "From",
+        "auditoria.hasta": "To",
+        "auditoria.buscar": "Search",
+        "auditoria.fecha": "Date",
+        "auditoria.accion": "Action",
+        "auditoria.idsOdoo": "Odoo IDs"
+    }
+});
@@ -0,0 +1,472 @@
+// ==================== ESPAÑOL ====================
+//
+// Catálogo base: si a otro idioma le falta una clave, se muestra el texto
+// de aquí. Las claves nuevas se agregan primero en este archivo.
+
+registrarIdioma("es", {
+    nombre: "Español",
+    locale: "es-CL",
+    mensajes: {
+        // ==================== PÁGINA ====================
+        "pagina.titulo": "Gestión de Clientes – Maihue",
+        "pagina.idioma": "Idioma",
+        "tab.direccion": "Crear Dirección",
+        "tab.contacto": "Crear Contacto",
+        "tab.historial": "Historial",
+        "tab.revision": "Revisión",
+        "tab.auditoria": "Auditoría",
+
+        // ==================== GENERAL ====================
+        "general.idOdoo": "ID en Odoo: {id}",
+        "general.detalles": "Detalles: {detalles}",
+        "general.errorInesperado": "Ocurrió un error inesperado",
+        "general.error": "Error",
+        "general.copiar": "Copiar",
+        "general.descartar": "Descartar",
+        "general.procesando": "Procesando...",
+        "general.seleccionar": "Seleccionar...",
+        "general.resultado": "Resultado",
+        "general.opcional": "(opcional)",
+
+        // ==================== API ====================
+        "api.errorConexion": "Error de conexión",
+        "api.errorServidor": "Error del servidor",
+        "api.sinConexion": "No se pudo conectar con el servidor. Verifica tu conexión a internet.",
+        "api.tiempoAgotado": "El servidor tardó demasiado en responder. Intenta nuevamente.",
+        "api.cancelada": "Llamada cancelada",
+        "api.errorOdoo": "Error al procesar en Odoo",
+        "api.formatoInesperado": "El servidor respondió en un formato inesperado",
+        "api.errorHttp": "El servidor respondió con error {status}",
+
+        // ==================== SESIÓN ====================
+        "sesion.expirada": "Sesión expirada",
+        "sesion.expiro": "Tu sesión expiró. Ingresa nuevamente.",
+        "sesion.ingresar": "Ingresa para continuar.",
+        "sesion.rol.vendedor": "Vendedor",
+        "sesion.rol.supervisor": "Supervisor",
+        "sesion.rol.admin": "Administrador",
+        "sesion.sinToken": "El servidor no entregó un token de sesión",
+        "sesion.sinRol": "Tu usuario no tiene un rol asignado. Contacta a un administrador.",
+        "sesion.datosRequeridos": "Ingresa tu email y contraseña",
+        "sesion.datosIncorrectos": "Email o contraseña incorrectos",
+        "login.titulo": "Iniciar sesión",
+        "login.subtitulo": "Ingresa con tu cuenta de Maihue",
+        "login.contrasena": "Contraseña",
+        "login.ingresar": "Ingresar",
+        "login.ingresando": "Ingresando...",
+        "sesion.salir": "Salir",
+
+        // ==================== CAMPOS ====================
+        "campo.rut": "RUT",
+        "campo.nombre": "Nombre",
+        "campo.unidadNegocio": "Unidad de Negocio",
+        "campo.email": "Email",
+        "campo.telefono": "Teléfono",
+        "campo.telefonoSecundario": "Teléfono secundario",
+        "campo.direccion": "Dirección",
+        "campo.persona": "Persona",
+        "campo.id": "ID",
+
+        // ==================== RUT ====================
+        "rut.soloNumeros": "El RUT debe contener solo números",
+        "rut.corto": "RUT muy corto (mínimo {n} dígitos)",
+        "rut.largo": "RUT muy largo (máximo {n} dígitos)",
+        "rut.repetido": "RUT inválido (números repetidos)",
+        "rut.digitoVerificador": "Dígito verificador incorrecto",
+        "rut.ayuda": "Ingresa el RUT sin puntos",
+        "rut.ingresando": "Ingresando... ({n}/8-9 caracteres)",
+        "rut.invalido": "RUT inválido",
+        "rut.requerido": "Ingresa un RUT válido",
+        "rut.buscando": "Buscando en Odoo...",
+        "rut.valido": "RUT válido",
+        "rut.placeholder": "Ej: 12345678-9",
+
+        // ==================== EMAIL ====================
+        "email.faltaArroba": "Falta el símbolo @",
+        "email.faltaDominio": "Falta el dominio (ej: .com, .cl)",
+        "email.formato": "Formato de email inválido",
+        "email.valido": "Email válido",
+        "email.requerido": "Ingresa un email",
+        "email.placeholder": "correo@ejemplo.com",
+
+        // ==================== TELÉFONOS ====================
+        "telefono.faltanDigitos": { one: "Falta {n} dígito", other: "Faltan {n} dígitos" },
+        "telefono.maximoDigitos": { one: "Máximo {n} dígito", other: "Máximo {n} dígitos" },
+        "telefono.prefijoChile": "Debe empezar con 9 (celular) o con el código de área (fijo)",
+        "telefono.tipo.movil": "Celular",
+        "telefono.tipo.fijo": "Teléfono fijo",
+        "telefono.valido": "Teléfono válido",
+        "telefono.invalido": "número inválido",
+        "telefono.requerido": "Ingresa un número de teléfono",
+        "telefono.principalInvalido": "Teléfono: {motivo}",
+        "telefono.secundarioInvalido": "Teléfono secundario: {motivo}",
+        "telefono.pais": "País",
+        "telefono.placeholder": "Ej: 912345678",
+        "telefono.secundarioPlaceholder": "Ej: 222345678 (fijo)",
+
+        // ==================== CREAR DIRECCIÓN ====================
+        "direccion.buscandoDuplicados": "Buscando direcciones existentes...",
+        "direccion.hayDuplicados": "Encontramos direcciones parecidas en Odoo. Usa una existente o crea una nueva.",
+        "direccion.creando": "Validando y creando en Odoo...",
+        "direccion.creada": "¡Dirección creada exitosamente!",
+        "direccion.errorCrear": "Error al crear la dirección",
+        "direccion.sesionExpirada": "Ingresa nuevamente y vuelve a crear la dirección.",
+        "direccion.enCola": "La dirección quedó en cola y se enviará automáticamente al recuperar la conexión.",
+        "direccion.sinBuscador": "No se pudo cargar el buscador de direcciones. Recarga la página o ingrésala a mano.",
+        "direccion.subtitulo": "Ingresa una dirección y la crearemos en Odoo",
+        "direccion.placeholder": "Ej: Av. Apoquindo 4800, Las Condes",
+        "direccion.seleccionada": "✓ Dirección seleccionada",
+        "direccion.existente": "🔗 Se usa la dirección existente en Odoo (ID #{id})",
+        "direccion.elegirComuna": "No pudimos identificar la comuna. Selecciónala",
+        "direccion.usarEnContacto": "👤 Usar esta dirección en un nuevo contacto",
+        "direccion.btnCrear": "Crear dirección en Odoo",
+
+        // ==================== INGRESO MANUAL ====================
+        "manual.calleRequerida": "Ingresa la calle o camino",
+        "manual.comunaRequerida": "Selecciona la comuna",
+        "manual.abrir": "✍️ ¿No aparece la dirección? Ingrésala a mano",
+        "manual.calle": "Calle o camino",
+        "manual.callePlaceholder": "Ej: Camino a Lonquén, Parcela 14",
+        "manual.numero": "Número",
+        "manual.numeroPlaceholder": "Ej: 1234 o S/N",
+        "manual.regionPlaceholder": "Según la comuna",
+        "manual.postal": "Código postal",
+        "manual.ayudaPin": "💡 Después podrás marcar el punto exacto arrastrando el pin o haciendo clic en el mapa",
+        "manual.usar": "Usar esta dirección",
+
+        // ==================== COMPLEMENTO ====================
+        "complemento.entendimos": "Entendimos:",
+        "complemento.depto": "Depto",
+        "complemento.oficina": "Oficina",
+        "complemento.torre": "Torre",
+        "complemento.block": "Block",
+        "complemento.casa": "Casa",
+        "complemento.local": "Local",
+        "complemento.piso": "Piso",
+        "complemento.lote": "Lote",
+        "complemento.parcela": "Parcela",
+        "complemento.titulo": "Información complementaria",
+        "complemento.placeholder": "Ej: Depto 501, Edificio Torre A, Casa 12, etc.",
+        "complemento.ayuda": "💡 Agrega detalles como departamento, oficina, casa, o nombre del condominio",
+
+        // ==================== DIRECCIÓN PROCESADA ====================
+        "precision.alta": "Exacta",
+        "precision.media": "Aproximada a la calle",
+        "precision.baja": "Baja, confirma el pin en el mapa",
+        "precision.ajustada": "Ubicación ajustada manualmente",
+        "precision.manualConPin": "Ingresada a mano, confirma el pin en el mapa",
+        "precision.manualSinPin": "Ingresada a mano, sin ubicación en el mapa",
+        "info.calle": "Calle",
+        "info.comuna": "Comuna",
+        "info.region": "Región",
+        "info.precision": "Precisión",
+        "info.noEspecificada": "No especificada",
+
+        // ==================== MAPA ====================
+        "mapa.titulo": "📍 Ubicación en el mapa",
+        "mapa.ayuda": "Arrastra el pin para corregir",
+        "mapa.confirmarPin": "La dirección no tiene número o es aproximada. Confirmo que el pin del mapa está en la ubicación correcta.",
+
+        // ==================== DUPLICADOS ====================
+        "duplicados.mismaDireccion": "Misma calle, número, comuna y complemento",
+        "duplicados.distancia": "A {metros} m de distancia",
+        "duplicados.usar": "Usar esta",
+        "duplicados.seUsara": "Se usará la dirección existente",
+        "duplicados.titulo": "Posibles direcciones duplicadas",
+        "duplicados.crearIgual": "Ninguna coincide, crear de todas formas",
+
+        // ==================== COLA DE ENVÍOS ====================
+        "cola.sinConexion": "Sin conexión",
+        "cola.idContacto": "ID Contacto: #{id}",
+        "cola.vacia": "No hay envíos en cola",
+        "cola.estado.pendiente": "Pendiente",
+        "cola.estado.enviando": "Enviando...",
+        "cola.estado.error": "Error",
+        "cola.estado.enviado": "Enviado",
+        "cola.reintento": "reintento {hora}",
+        "cola.reintentar": "Reintentar",
+        "cola.titulo": "Envíos en cola",
+        "cola.tituloPanel": "📤 Envíos en cola",
+        "cola.limpiarEnviados": "Limpiar enviados",
+
+        // ==================== CARGA MASIVA ====================
+        "carga.seleccionarArchivo": "Seleccionar archivo (.csv, .xlsx)",
+        "carga.leyendo": "Leyendo archivo...",
+        "carga.errorLectura": "No se pudo leer el archivo",
+        "carga.sinDirecciones": "El archivo no tiene filas con dirección",
+        "carga.geocodificando": { one: "Geocodificando {n} dirección...", other: "Geocodificando {n} direcciones..." },
+        "carga.sinLectorExcel": "No se pudo cargar el lector de planillas Excel",
+        "carga.sinResultados": "Sin resultados para \"{consulta}\"",
+        "carga.incompleta": "Dirección incompleta, corrígela o quítala",
+        "carga.comunaNoReconocida": "Comuna no reconocida, agrégala a la dirección",
+        "carga.noEncontrada": "No se encontró la dirección",
+        "carga.aproximada": "ubicación aproximada",
+        "carga.estado.pendiente": "Pendiente",
+        "carga.estado.geocodificando": "Buscando...",
+        "carga.estado.lista": "Lista",
+        "carga.estado.incompleta": "Revisar",
+        "carga.estado.confirmar": "Confirmar ubicación",
+        "carga.estado.enviando": "Enviando...",
+        "carga.estado.duplicada": "Posible duplicada",
+        "carga.estado.creada": "Creada",
+        "carga.estado.existente": "Existente",
+        "carga.estado.error": "Error",
+        "carga.quitarFila": "Quitar fila",
+        "carga.confirmarPin": "Confirmo que el punto está en la ubicación correcta",
+        "carga.verMapa": "Ver en el mapa",
+        "carga.filas": { one: "<strong>{n}</strong> fila", other: "<strong>{n}</strong> filas" },
+        "carga.listas": { one: "<strong>{n}</strong> lista", other: "<strong>{n}</strong> listas" },
+        "carga.porRevisar": "<strong>{n}</strong> por revisar",
+        "carga.creadasErrores": "<strong>{creadas}</strong> creadas · <strong>{n}</strong> con error",
+        "carga.nadaListo": "No hay direcciones listas para enviar",
+        "carga.esperarGeocodificacion": "Espera a que termine la búsqueda de las direcciones",
+        "carga.corregirFilas": "Corrige o quita las filas marcadas para revisar antes de enviar",
+        "carga.confirmarUbicaciones": "Confirma las ubicaciones aproximadas antes de enviar",
+        "carga.creando": { one: "Creando {n} dirección en Odoo...", other: "Creando {n} direcciones en Odoo..." },
+        "carga.creadas": { one: "¡{n} dirección creada exitosamente!", other: "¡{n} direcciones creadas exitosamente!" },
+        "carga.creadasConErrores": "{creadas} creadas, {n} con error",
+        "carga.reenviarErrores": "Puedes volver a enviar las filas con error.",
+        "carga.revisarDuplicadas": { one: "{n} fila coincide con una dirección existente: usa la existente o créala de todas formas.", other: "{n} filas coinciden con direcciones existentes: usa la existente o créalas de todas formas." },
+        "carga.titulo": "Carga masiva",
+        "carga.subtitulo": "Sube un archivo CSV o XLSX con varias direcciones",
+        "carga.complemento": "Complemento",
+        "carga.descargar": "Descargar resultados",
+        "carga.btnCrear": "Crear direcciones en Odoo",
+        "carga.columnas": "💡 Columnas: <strong>direccion</strong> (o <strong>calle</strong>, <strong>numero</strong>, <strong>comuna</strong>, <strong>region</strong>) y <strong>complemento</strong> opcional",
+
+        // ==================== CREAR CONTACTO ====================
+        "contacto.unidadRequerida": "Selecciona una unidad de negocio",
+        "contacto.creando": "Validando RUT y creando contacto en Odoo...",
+        "resumen.tipo": "Tipo",
+        "resumen.representante": "Representante legal",
+        "contacto.btnCrear": "Crear contacto en Odoo",
+        "contacto.direcciones": "Direcciones de servicio",
+        "contacto.subtitulo": "Registra un nuevo cliente con evaluación comercial",
+        "contacto.sugerenciaEmpresa": "🏢 Este RUT parece ser de una empresa.",
+        "contacto.usarEmpresa": "Usar Empresa",
+        "contacto.datosContacto": "Datos de contacto",
+        "resumen.titulo": "Resumen del contacto",
+
+        // ==================== DATOS DE EMPRESA ====================
+        "empresa.razonSocial": "Razón social",
+        "empresa.giro": "Giro",
+        "empresa.razonSocialRequerida": "Ingresa la razón social de la empresa",
+        "empresa.giroRequerido": "Ingresa el giro de la empresa",
+        "empresa.representanteRequerido": "Ingresa el RUT del representante legal",
+        "empresa.representanteInvalido": "RUT del representante: {motivo}",
+        "empresa.representanteEmpresa": "El representante legal debe ser una persona natural",
+        "empresa.representanteAyuda": "RUT de la persona que representa a la empresa",
+        "empresa.representanteDebeSerPersona": "Debe ser el RUT de una persona natural",
+        "empresa.titulo": "Datos de la empresa",
+        "empresa.razonSocialPlaceholder": "Ej: Comercial Los Aromos SpA",
+        "empresa.giroPlaceholder": "Ej: Restaurante",
+        "empresa.rutRepresentante": "RUT representante legal",
+
+        // ==================== DIRECCIONES ====================
+        "direccion.sinSeleccion": "Selecciona una dirección del autocompletado",
+        "direccion.incompleta": "La dirección seleccionada no tiene información completa. Intenta con otra dirección.",
+        "direccion.sinComuna": "No pudimos identificar la comuna. Selecciónala de la lista.",
+        "direccion.confirmarPin": "La ubicación es aproximada. Revisa el mapa y confirma el pin antes de continuar.",
+        "direccion.etiqueta.main": "Principal",
+        "direccion.etiqueta.delivery": "Despacho",
+        "direccion.etiqueta.invoice": "Facturación",
+        "direccion.numero": "Dirección {n}",
+        "direccion.bloqueInvalido": "Dirección {n}: {motivo}",
+        "direccion.opcion": "Dirección {n}: {direccion}",
+        "direccion.agregar": "➕ Agregar otra dirección",
+        "direccion.quitar": "Quitar dirección",
+
+        // ==================== PERSONAS DE CONTACTO ====================
+        "persona.funcion.compras": "Compras",
+        "persona.funcion.facturacion": "Facturación",
+        "persona.funcion.recepcion": "Recepción",
+        "persona.funcion.otro": "Otro",
+        "persona.numero": "Persona {n}",
+        "persona.sinDireccion": "(sin dirección seleccionada)",
+        "persona.invalida": "Persona {n}: {motivo}",
+        "persona.nombreRequerido": "Ingresa el nombre",
+        "persona.medioRequerido": "Ingresa un email o un teléfono",
+        "persona.direccionRequerida": "Elige una dirección con datos para quien recibe",
+        "persona.titulo": "Personas de contacto (opcional)",
+        "persona.agregar": "➕ Agregar persona de contacto",
+        "persona.quitar": "Quitar persona",
+        "persona.nombrePlaceholder": "Ej: Carolina Muñoz",
+        "persona.recibeEn": "Recibe en",
+
+        // ==================== CONTACTO EXISTENTE ====================
+        "existente.btnActualizar": "Actualizar contacto en Odoo",
+        "existente.agregarDirecciones": "Agregar direcciones de servicio (opcional)",
+        "existente.editable": "Puedes actualizar el email, los teléfonos, o agregar direcciones de servicio y personas de contacto.",
+        "existente.editableEmpresa": "Puedes actualizar el email, los teléfonos y los datos de la empresa, o agregar direcciones de servicio y personas de contacto.",
+        "existente.direcciones": "Direcciones registradas:",
+        "existente.personas": "Personas de contacto registradas:",
+        "existente.actualizando": "Actualizando contacto en Odoo...",
+        "existente.titulo": "ℹ️ Este RUT ya está registrado en Odoo",
+
+        // ==================== BORRADORES ====================
+        "borradores.sinRut": "Sin RUT",
+        "borradores.guardado": "Guardado {fecha}",
+        "borradores.continuar": "Continuar",
+        "borradores.descartar": "Descartar borrador",
+        "borradores.titulo": "Continuar borrador",
+
+        // ==================== RESULTADO DEL CONTACTO ====================
+        "resultado.cambioTipo.titulo": "Unidad de negocio corregida automáticamente",
+        "resultado.cambioTipo.detalle": "Se seleccionó <strong>{original}</strong> pero el RUT corresponde a <strong>{final}</strong>.",
+        "resultado.cambioTipo.registrado": "El contacto fue registrado como {final}.",
+        "resultado.creado.titulo": "¡Contacto creado exitosamente!",
+        "resultado.creado.subtitulo": "El contacto ha sido registrado en Odoo correctamente.",
+        "resultado.idContacto": "ID Contacto",
+        "resultado.evaluacion": "Evaluación Comercial",
+        "resultado.enRevision": "Un supervisor revisará la evaluación",
+        "resultado.modo": "Modo",
+        "resultado.desarrollo": "Desarrollo",
+        "resultado.crearOtro": "Crear otro contacto",
+        "resultado.ingresarOtro": "Ingresar otro contacto",
+        "resultado.duplicado.titulo": "RUT ya registrado",
+        "resultado.duplicado.subtitulo": "Este RUT ya existe como contacto en Odoo.",
+        "resultado.duplicado.info": "Información del contacto existente",
+        "resultado.editarExistente": "Editar contacto existente",
+        "resultado.actualizado.titulo": "¡Contacto actualizado!",
+        "resultado.actualizado.subtitulo": "Los cambios se guardaron en Odoo correctamente.",
+        "resultado.direccionAgregada": "Dirección agregada",
+        "resultado.personaAgregada": "Persona agregada",
+        "resultado.idDireccion": "ID Dirección #{id}",
+        "resultado.idContactoHijo": "ID Contacto #{id}",
+        "resultado.informacion": "Información",
+        "resultado.enCola.titulo": "Contacto guardado en cola",
+        "resultado.enCola.subtitulo": "No hay conexión. El contacto se enviará automáticamente a Odoo cuando se recupere.",
+        "resultado.enCola.panel": "Puedes revisar el estado del envío en el panel de cola 📤.",
+        "resultado.error.titulo": "Error al crear contacto",
+        "resultado.error.detalles": "Detalles del error",
+        "resultado.error.paso": "Paso",
+        "resultado.error.detalle": "Detalle",
+        "resultado.reintentar": "Volver a intentar",
+        "resultado.nuevo": "Nuevo contacto",
+
+        // ==================== EQUIFAX ====================
+        "equifax.error.titulo": "Error en evaluación comercial",
+        "equifax.error.subtitulo": "No se pudo realizar la evaluación comercial",
+        "equifax.difunta.titulo": "RUT no válido para registro",
+        "equifax.difunta.subtitulo": "El RUT ingresado corresponde a una persona difunta.",
+        "equifax.noExiste.titulo": "RUT no encontrado",
+        "equifax.noExiste.subtitulo": "El RUT ingresado no existe en los registros de Equifax.",
+        "equifax.sinReporte.titulo": "Sin información comercial",
+        "equifax.sinReporte.subtitulo": "No se encontró información comercial para este RUT.",
+        "equifax.rutConsultado": "RUT consultado",
+        "equifax.estado": "Estado Equifax",
+
+        // ==================== EVALUACIÓN COMERCIAL ====================
+        "scoring.aprobado": "✓ Aprobado",
+        "scoring.descartado": "✗ Descartado",
+        "scoring.enRevision": "⏳ En revisión",
+        "scoring.score": "Score",
+        "scoring.segmento": "Segmento de riesgo",
+        "scoring.deudaTotal": "Deuda total",
+        "scoring.acreedor": "Acreedor",
+        "scoring.monto": "Monto",
+        "scoring.motivos": "Motivos:",
+
+        // ==================== CARGA MASIVA DE CONTACTOS ====================
+        "cargaContactos.grupo.success": "✓ Creados",
+        "cargaContactos.grupo.duplicado": "⚠️ RUT ya registrado",
+        "cargaContactos.grupo.equifax": "✗ Error en evaluación comercial",
+        "cargaContactos.grupo.error": "✗ Error al crear",
+        "cargaContactos.sinFilas": "El archivo no tiene filas",
+        "cargaContactos.validandoDirecciones": "Validando direcciones...",
+        "cargaContactos.rutInvalido": "RUT: {motivo}",
+        "cargaContactos.emailInvalido": "Email: {motivo}",
+        "cargaContactos.motivoInvalido": "inválido",
+        "cargaContactos.motivoRequerido": "requerido",
+        "cargaContactos.unidadDesconocida": "Unidad de negocio desconocida",
+        "cargaContactos.direccionRequerida": "Dirección: requerida",
+        "cargaContactos.direccionIncompleta": "Dirección: información incompleta",
+        "cargaContactos.comunaNoReconocida": "Dirección: comuna no reconocida",
+        "cargaContactos.direccionNoEncontrada": "Dirección: no encontrada",
+        "cargaContactos.estado.validando": "Validando...",
+        "cargaContactos.estado.invalida": "Inválida",
+        "cargaContactos.estado.lista": "Lista",
+        "cargaContactos.estado.enviando": "Enviando...",
+        "cargaContactos.estado.success": "Creado",
+        "cargaContactos.estado.error_duplicado": "Duplicado",
+        "cargaContactos.estado.error_equifax": "Equifax",
+        "cargaContactos.estado.error": "Error",
+        "cargaContactos.validas": { one: "<strong>{n}</strong> válida", other: "<strong>{n}</strong> válidas" },
+        "cargaContactos.invalidas": { one: "<strong>{n}</strong> inválida (no se enviará)", other: "<strong>{n}</strong> inválidas (no se enviarán)" },
+        "cargaContactos.existeComo": "Existe como {nombre} (#{id})",
+        "cargaContactos.contacto": "contacto",
+        "cargaContactos.errorEquifax": "Error en evaluación comercial",
+        "cargaContactos.esperarValidacion": "Espera a que termine la validación de direcciones",
+        "cargaContactos.nadaValido": "No hay filas válidas para enviar",
+        "cargaContactos.creando": { one: "Creando {n} contacto en Odoo...", other: "Creando {n} contactos en Odoo..." },
+        "cargaContactos.fila": "Fila {n}",
+        "cargaContactos.subtitulo": "Registra todas las sucursales de un cliente desde una planilla",
+        "cargaContactos.columnaContacto": "Contacto",
+        "cargaContactos.descargar": "Descargar reporte",
+        "cargaContactos.btnCrear": "Crear contactos en Odoo",
+        "cargaContactos.columnas": "💡 Columnas: <strong>rut</strong>, <strong>unidad de negocio</strong>, <strong>email</strong>, <strong>telefono</strong> (con +código si no es de Chile), <strong>telefono secundario</strong> opcional, <strong>direccion</strong> y <strong>complemento</strong> opcional. Para Empresa y Horeca: <strong>razon social</strong>, <strong>giro</strong> y <strong>rut representante</strong>",
+
+        // ==================== HISTORIAL ====================
+        "historial.confirmarBorrar": "¿Borrar todo el historial de este navegador?",
+        "historial.resumen": { one: "{visibles} de {n} envío", other: "{visibles} de {n} envíos" },
+        "historial.sinCoincidencias": "Ningún envío coincide con la búsqueda",
+        "historial.vacio": "Todavía no hay envíos en este navegador",
+        "historial.reabrir": "Reabrir en el formulario",
+        "historial.sinDireccion": "Sin dirección",
+        "historial.contactoId": "Contacto #{id}",
+        "historial.direccionId": "Dirección #{ids}",
+        "historial.scoring": "Scoring: {estado}",
+        "historial.errorPaso": "{error} (paso: {paso})",
+        "historial.accion.usarExistente": "🔗 Usar dirección existente",
+        "historial.copiaFecha": "Fecha",
+        "historial.copiaIdContacto": "ID Contacto",
+        "historial.copiaIdDireccion": "ID Dirección",
+        "historial.subtitulo": "Direcciones y contactos enviados a Odoo desde este navegador",
+        "historial.buscar": "Buscar por RUT, dirección o ID de Odoo",
+        "historial.tipo": "Tipo de envío",
+        "historial.tipoTodos": "Direcciones y contactos",
+        "historial.soloDirecciones": "Solo direcciones",
+        "historial.soloContactos": "Solo contactos",
+        "historial.todosResultados": "Todos los resultados",
+        "historial.exitosos": "Exitosos",
+        "historial.conError": "Con error",
+        "historial.borrar": "Borrar historial",
+
+        // ==================== REVISIÓN ====================
+        "revision.buscando": "Buscando contactos pendientes...",
+        "revision.pendientes": { one: "{n} contacto pendiente", other: "{n} contactos pendientes" },
+        "revision.sinPendientes": "No hay contactos pendientes de revisión",
+        "revision.creadoPor": "Creado por {vendedor}",
+        "revision.verEvaluacion": "Ver evaluación comercial",
+        "revision.sinDetalle": "El worker no entregó el detalle de la evaluación",
+        "revision.comentario": "Comentario para Odoo (obligatorio al descartar)",
+        "revision.aprobar": "Aprobar",
+        "revision.comentarioRequerido": "Escribe un comentario con el motivo del descarte",
+        "revision.guardando": "Guardando en Odoo...",
+        "manual.seleccionarComuna": "Seleccionar comuna...",
+        "revision.titulo": "Revisión de evaluación comercial",
+        "revision.subtitulo": "Contactos que Equifax dejó en revisión",
+        "revision.actualizar": "🔄 Actualizar",
+
+        // ==================== AUDITORÍA ====================
+        "auditoria.accion.crearDireccion": "📍 Crear dirección",
+        "auditoria.accion.crearContacto": "👤 Crear contacto",
+        "auditoria.accion.actualizarContacto": "✏️ Actualizar contacto",
+        "auditoria.accion.resolverRevision": "🔎 Resolver revisión",
+        "auditoria.fechasInvalidas": "La fecha desde no puede ser posterior a la fecha hasta",
+        "auditoria.buscando": "Buscando registros...",
+        "auditoria.registros": { one: "<strong>{n}</strong> registro", other: "<strong>{n}</strong> registros" },
+        "auditoria.okErrores": "<strong>{ok}</strong> OK · <strong>{n}</strong> con error",
+        "auditoria.sinRegistros": "No hay registros para estos filtros",
+        "auditoria.verPayload": "Ver datos enviados",
+        "auditoria.subtitulo": "Creaciones y actualizaciones en Odoo por usuario",
+        "auditoria.usuario": "Usuario",
+        "auditoria.usuarioPlaceholder": "Todos (o email del usuario)",
+        "auditoria.desde": "Desde",
+        "auditoria.hasta": "Hasta",
+        "auditoria.buscar": "Buscar",
+        "auditoria.fecha": "Fecha",
+        "auditoria.accion": "Acción",
+        "auditoria.idsOdoo": "IDs Odoo"
+    }
+});
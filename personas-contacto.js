@@ -0,0 +1,300 @@
+// ==================== PERSONAS DE CONTACTO ====================
+//
+// Personas de la cuenta (compras, facturación, quien recibe en cada
+// dirección de servicio...). El worker las crea en Odoo como contactos
+// hijos del partner del RUT. Son opcionales y cada una lleva email,
+// teléfono o ambos, validados igual que los del contacto principal.
+
+// Función de cada persona (valor enviado → clave del texto)
+const FUNCIONES_PERSONA = {
+    compras: "persona.funcion.compras",
+    facturacion: "persona.funcion.facturacion",
+    recepcion: "persona.funcion.recepcion",
+    otro: "persona.funcion.otro"
+};
+
+// Bloques de persona del formulario de contacto
+// Cada uno: { uid, elemento, estado }
+//   estado: campos de la persona (crearEstadoPersona)
+let personasContacto = [];
+let contadorPersonasContacto = 0;
+
+document.addEventListener("DOMContentLoaded", () => {
+    if (!document.getElementById("personas-contacto-lista")) return;
+
+    alCambiarIdioma(() => {
+        actualizarBloquesPersona();
+        actualizarDireccionPersona();
+        personasContacto.forEach(item => marcarCamposPersona(item, item.estado.obtener()));
+    });
+});
+
+/**
+ * @returns {object} Estado de una persona: { nombre, funcion, email, telefono, direccionUid }
+ *   nombre, email: sin espacios al inicio ni al final
+ *   telefono: { numero, pais }
+ *   direccionUid: bloque de dirección elegido en "Recibe en" (null: el primero)
+ */
+function crearEstadoPersona() {
+    return crearEstadoFormulario(
+        { nombre: "", funcion: "compras", email: "", telefono: TELEFONO_VACIO, direccionUid: null },
+        ({ email, telefono }) => ({
+            email: validarEmail(email),
+            telefono: validarTelefono(telefono.numero, telefono.pais)
+        })
+    );
+}
+
+/**
+ * Agrega un bloque de persona de contacto
+ * @returns {object} Bloque agregado
+ */
+function agregarPersonaContacto() {
+    const template = document.getElementById("template-persona-contacto");
+    const elemento = template.content.firstElementChild.cloneNode(true);
+    const uid = ++contadorPersonasContacto;
+    const $ = (selector) => elemento.querySelector(selector);
+
+    const item = { uid, elemento, estado: crearEstadoPersona() };
+
+    // IDs únicos para los labels y para reutilizar la validación de teléfonos
+    ["nombre", "direccion", "email"].forEach(campo => {
+        $(`.persona-${campo}`).id = `persona-${campo}-${uid}`;
+        $(`.persona-${campo}`).closest(".form-group").querySelector("label").htmlFor = `persona-${campo}-${uid}`;
+    });
+    $(".persona-telefono").id = `persona-telefono-${uid}`;
+    $(".persona-telefono").closest(".form-group").querySelector("label").htmlFor = `persona-telefono-${uid}`;
+    $(".persona-telefono-pais").id = `persona-telefono-pais-${uid}`;
+    $(".persona-telefono-hint").id = `persona-telefono-${uid}-hint`;
+
+    $(".persona-quitar").addEventListener("click", () => quitarPersonaContacto(uid));
+    $(".persona-funcion").addEventListener("change", () => item.estado.actualizar({ funcion: $(".persona-funcion").value }));
+    $(".persona-nombre").addEventListener("input", () => item.estado.actualizar({ nombre: $(".persona-nombre").value.trim() }));
+    $(".persona-direccion").addEventListener("change", () => item.estado.actualizar({ direccionUid: Number($(".persona-direccion").value) }));
+    $(".persona-email").addEventListener("input", () => item.estado.actualizar({ email: $(".persona-email").value.trim() }));
+
+    item.estado.suscribir((estado) => renderizarEstadoPersona(item, estado));
+
+    document.getElementById("personas-contacto-lista").appendChild(elemento);
+    personasContacto.push(item);
+
+    initCampoTelefono(`persona-telefono-${uid}`, `persona-telefono-pais-${uid}`, (telefono) => item.estado.actualizar({ telefono }));
+
+    actualizarBloquesPersona();
+    actualizarDireccionPersona(item);
+    marcarCamposPersona(item, item.estado.obtener());
+    $(".persona-nombre").focus();
+    return item;
+}
+
+/**
+ * @param {number} uid
+ */
+function quitarPersonaContacto(uid) {
+    const item = personasContacto.find(p => p.uid === uid);
+    if (!item) return;
+
+    item.elemento.remove();
+    personasContacto = personasContacto.filter(p => p.uid !== uid);
+
+    actualizarBloquesPersona();
+    actualizarResumen();
+}
+
+function reiniciarPersonasContacto() {
+    personasContacto.forEach(item => item.elemento.remove());
+    personasContacto = [];
+}
+
+function actualizarBloquesPersona() {
+    personasContacto.forEach((item, i) => {
+        item.elemento.querySelector(".persona-numero").textContent = t("persona.numero", { n: i + 1 });
+    });
+}
+
+/**
+ * Quien recibe elige una de las direcciones del formulario. Se llama
+ * también cuando se agregan, quitan o completan bloques de dirección.
+ * @param {object} [soloItem] - Actualiza solo este bloque
+ */
+function actualizarDireccionPersona(soloItem) {
+    const opciones = html`${direccionesContacto.map((d, i) => {
+        const { direccion } = d.estado.obtener();
+        const texto = direccion ? direccion.formatted : t("persona.sinDireccion");
+        return html`<option value="${d.uid}">${t("direccion.opcion", { n: i + 1, direccion: texto })}</option>`;
+    })}`;
+
+    (soloItem ? [soloItem] : personasContacto).forEach(item => {
+        const select = item.elemento.querySelector(".persona-direccion");
+
+        renderizarHtml(select, opciones);
+        select.value = String(direccionUidPersona(item.estado.obtener()));
+    });
+}
+
+/**
+ * Bloque de dirección que recibe: el elegido o, si no se eligió o se
+ * quitó, el primero
+ * @param {object} estado - Estado de la persona
+ * @returns {number|null}
+ */
+function direccionUidPersona({ direccionUid }) {
+    return direccionesContacto.some(d => d.uid === direccionUid)
+        ? direccionUid
+        : direccionesContacto[0]?.uid ?? null;
+}
+
+// ==================== ESTADO → FORMULARIO ====================
+
+/**
+ * Lleva los valores al bloque (si cambiaron por fuera de los inputs), marca
+ * los campos y actualiza el resumen
+ * @param {object} item - Bloque de persona
+ * @param {object} estado - Estado de la persona
+ */
+function renderizarEstadoPersona(item, estado) {
+    const $ = (selector) => item.elemento.querySelector(selector);
+    const { nombre, funcion, email, telefono } = estado;
+
+    // El estado guarda los textos sin los espacios que se están escribiendo
+    if ($(".persona-nombre").value.trim() !== nombre) $(".persona-nombre").value = nombre;
+    if ($(".persona-email").value.trim() !== email) $(".persona-email").value = email;
+    $(".persona-funcion").value = funcion;
+    $(".persona-direccion").value = String(direccionUidPersona(estado));
+
+    // Un "+código" a medio escribir todavía no llega al estado
+    if (document.activeElement !== $(".persona-telefono")) {
+        if ($(".persona-telefono").value !== telefono.numero) $(".persona-telefono").value = telefono.numero;
+        $(".persona-telefono-pais").value = telefono.pais;
+    }
+
+    marcarCamposPersona(item, estado);
+    actualizarResumen();
+}
+
+/**
+ * Hints del email y del teléfono de una persona, y el selector de la
+ * dirección que recibe
+ * @param {object} item - Bloque de persona
+ * @param {object} estado - Estado de la persona
+ */
+function marcarCamposPersona(item, { funcion, telefono, validaciones }) {
+    const $ = (selector) => item.elemento.querySelector(selector);
+
+    marcarCampo($(".persona-email"), $(".persona-email-hint"), marcaEmailPersona(validaciones.email));
+    marcarCampo($(".persona-telefono"), $(".persona-telefono-hint"), marcaTelefono(telefono, validaciones.telefono));
+    $(".persona-direccion-grupo").classList.toggle("hidden", funcion !== "recepcion");
+}
+
+/**
+ * Como marcaEmail, pero sin texto cuando es válido
+ * @param {object} validacion - Resultado de validarEmail
+ * @returns {object} { estado, texto } para marcarCampo
+ */
+function marcaEmailPersona(validacion) {
+    if (validacion.valid) {
+        return { estado: "valid" };
+    }
+
+    return validacion.error ? { estado: "invalid", texto: `✗ ${mensajeError(validacion)}` } : {};
+}
+
+// ==================== LECTURA Y VALIDACIÓN ====================
+
+/**
+ * Devuelve los datos de cada bloque de persona, leídos de su estado
+ * @returns {Array<object>} { nombre, funcion, email, telefono, validacionEmail, direccionUid, elemento }
+ *   telefono: resultado de telefonoConE164
+ *   direccionUid: bloque de dirección que recibe (solo función "recepcion")
+ */
+function obtenerPersonasContacto() {
+    return personasContacto.map(item => {
+        const estado = item.estado.obtener();
+        const { nombre, funcion, email, telefono, validaciones } = estado;
+
+        return {
+            nombre,
+            funcion,
+            email,
+            telefono: telefonoConE164(telefono, validaciones.telefono),
+            validacionEmail: validaciones.email,
+            direccionUid: funcion === "recepcion" ? direccionUidPersona(estado) : null,
+            elemento: item.elemento
+        };
+    });
+}
+
+/**
+ * Valida las personas antes de enviar
+ * @param {Array<object>} personas - Resultado de obtenerPersonasContacto
+ * @param {Array<object>} direcciones - Resultado de obtenerDireccionesContacto (con su uid)
+ * @returns {object|null} { error, datos, input } o null si todo está bien
+ *   error: clave del mensaje
+ */
+function validarPersonasContacto(personas, direcciones) {
+    for (const [i, p] of personas.entries()) {
+        const $ = (selector) => p.elemento.querySelector(selector);
+        // "Persona 2: ..." con el motivo como otro resultado de validación
+        const problema = (motivo, input) => ({ error: "persona.invalida", datos: { n: i + 1, motivo }, input });
+
+        if (!p.nombre) {
+            return problema({ error: "persona.nombreRequerido" }, $(".persona-nombre"));
+        }
+
+        if (!p.email && !p.telefono.numero) {
+            return problema({ error: "persona.medioRequerido" }, $(".persona-email"));
+        }
+
+        if (p.email && !p.validacionEmail.valid) {
+            return problema(p.validacionEmail, $(".persona-email"));
+        }
+
+        if (p.telefono.numero && !p.telefono.validacion.valid) {
+            return problema({ error: "telefono.principalInvalido", datos: { motivo: p.telefono.validacion } }, $(".persona-telefono"));
+        }
+
+        if (p.funcion === "recepcion" && !direcciones.some(d => d.uid === p.direccionUid && d.direccion)) {
+            return problema({ error: "persona.direccionRequerida" }, $(".persona-direccion"));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Personas en el formato que espera el worker
+ * @param {Array<object>} personas - Resultado de obtenerPersonasContacto
+ * @param {Array<object>} direcciones - Direcciones que se envían, en el orden del payload (con su uid)
+ * @returns {Array<object>} { nombre, funcion, email, telefono, direccion_index }
+ *   direccion_index: posición en payload.direcciones de la dirección que recibe
+ */
+function construirPayloadPersonas(personas, direcciones) {
+    return personas.map(p => ({
+        nombre: p.nombre,
+        funcion: p.funcion,
+        email: p.email || null,
+        telefono: p.telefono.e164,
+        direccion_index: p.direccionUid ? direcciones.findIndex(d => d.uid === p.direccionUid) : null
+    }));
+}
+
+/**
+ * Vuelve a cargar las personas de un payload enviado (historial)
+ * @param {Array<object>} personas - payload.contactos
+ * @param {Array<object>} bloquesDireccion - Bloques de dirección en el orden del payload
+ */
+function cargarPersonasContacto(personas, bloquesDireccion) {
+    reiniciarPersonasContacto();
+
+    personas.forEach(persona => {
+        const item = agregarPersonaContacto();
+
+        item.estado.actualizar({
+            nombre: (persona.nombre || "").trim(),
+            funcion: persona.funcion || "otro",
+            email: (persona.email || "").trim(),
+            direccionUid: bloquesDireccion[persona.direccion_index]?.uid ?? null
+        });
+        cargarTelefono(`persona-telefono-${item.uid}`, `persona-telefono-pais-${item.uid}`, persona.telefono || "");
+    });
+}
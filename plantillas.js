@@ -0,0 +1,85 @@
+// ==================== PLANTILLAS HTML ====================
+//
+// Las vistas que mezclan HTML con datos del worker, de Odoo o del
+// proveedor de direcciones se arman con html`...`: todo lo que se
+// interpola se escapa, salvo otros fragmentos creados con html`...`.
+// renderizarHtml solo inserta como HTML esos fragmentos; cualquier otro
+// valor se muestra como texto.
+//
+// No depende del DOM salvo renderizarHtml: en Node se puede importar con
+// require("./plantillas.js").
+
+/**
+ * Fragmento de HTML armado con html`...` (ya escapado)
+ */
+class HtmlSeguro {
+    /**
+     * @param {string} valor - HTML
+     */
+    constructor(valor) {
+        this.valor = valor;
+    }
+
+    toString() {
+        return this.valor;
+    }
+}
+
+/**
+ * Escapa texto para insertarlo en HTML
+ * @param {string} texto
+ * @returns {string}
+ */
+function escaparHtml(texto) {
+    return String(texto ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * @param {*} valor - Valor interpolado en una plantilla
+ * @returns {string} HTML
+ *   Fragmentos html`...`: tal cual; listas: cada elemento, sin separador;
+ *   null, undefined y false: nada (para los `${condicion && html`...`}`)
+ */
+function valorPlantilla(valor) {
+    if (valor instanceof HtmlSeguro) return valor.valor;
+    if (Array.isArray(valor)) return valor.map(valorPlantilla).join("");
+    if (valor == null || valor === false) return "";
+    return escaparHtml(valor);
+}
+
+/**
+ * Plantilla que escapa todo lo interpolado, ej: html`<strong>${nombre}</strong>`
+ * @param {Array<string>} partes
+ * @param {...*} valores
+ * @returns {HtmlSeguro}
+ */
+function html(partes, ...valores) {
+    return new HtmlSeguro(partes.reduce((resultado, parte, i) => resultado + valorPlantilla(valores[i - 1]) + parte));
+}
+
+/**
+ * Reemplaza el contenido de un elemento
+ * @param {HTMLElement} elemento
+ * @param {HtmlSeguro|string} contenido - Un string se muestra como texto, aunque traiga etiquetas
+ */
+function renderizarHtml(elemento, contenido) {
+    if (contenido instanceof HtmlSeguro) {
+        elemento.innerHTML = contenido.valor;
+    } else {
+        elemento.textContent = contenido ?? "";
+    }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        HtmlSeguro,
+        escaparHtml,
+        html,
+        renderizarHtml
+    };
+}
@@ -0,0 +1,206 @@
+// ==================== PROVEEDOR DE DIRECCIONES ====================
+//
+// Los formularios no hablan directo con Google: usan el proveedor activo,
+// que expone siempre la misma interfaz y devuelve direcciones normalizadas.
+//
+// Interfaz de un proveedor:
+//   cargar()                        → Promise, carga scripts/SDK si hace falta
+//   buscar(texto)                   → Promise<Array<{ id, descripcion }>>
+//   detalles(id)                    → Promise<direccion|null>
+//   geocodificar(texto)             → Promise<direccion|null>
+//   geocodificarInversa({lat, lng}) → Promise<direccion|null>
+//   crearMapa(contenedor, {lat, lng}, titulo) → { mover(posicion, titulo), alArrastrar(fn), alHacerClic(fn) }
+//   autocompletar(input, alSeleccionar)  (opcional, widget propio del proveedor)
+//
+// Dirección normalizada (comuna y región ya pasadas por el catálogo):
+//   { street, number, comuna, comuna_code, region, region_code, postal, country,
+//     formatted, lat, lng, location_type, place_id, confidence, location_adjusted }
+//   Las ingresadas a mano (direccion-manual.js) agregan manual_entry: true
+
+const PROVEEDORES_DIRECCIONES = {};
+
+const PROVEEDOR_DIRECCIONES_DEFECTO = "google";
+
+// Espera entre teclas antes de buscar sugerencias (proveedores sin widget propio)
+const SUGERENCIAS_ESPERA_MS = 350;
+const SUGERENCIAS_MIN_CARACTERES = 3;
+
+let proveedorDireccionesListo = false;
+
+/**
+ * Registra un proveedor de direcciones
+ * @param {string} nombre - "google" | "nominatim" | "fixture"...
+ * @param {object} proveedor
+ */
+function registrarProveedorDirecciones(nombre, proveedor) {
+    PROVEEDORES_DIRECCIONES[nombre] = proveedor;
+}
+
+/**
+ * Nombre del proveedor activo: ?proveedor=... en la URL, luego
+ * localStorage "proveedor-direcciones" y por último Google
+ * @returns {string}
+ */
+function nombreProveedorDirecciones() {
+    const nombre = new URLSearchParams(window.location.search).get("proveedor")
+        || localStorage.getItem("proveedor-direcciones")
+        || PROVEEDOR_DIRECCIONES_DEFECTO;
+
+    return PROVEEDORES_DIRECCIONES[nombre] ? nombre : PROVEEDOR_DIRECCIONES_DEFECTO;
+}
+
+/**
+ * @returns {object} Proveedor activo
+ */
+function proveedorDirecciones() {
+    return PROVEEDORES_DIRECCIONES[nombreProveedorDirecciones()];
+}
+
+/**
+ * Carga el proveedor activo (scripts externos, SDK, etc.)
+ * @returns {Promise<void>}
+ */
+async function cargarProveedorDirecciones() {
+    await proveedorDirecciones().cargar();
+    proveedorDireccionesListo = true;
+}
+
+// ==================== AUTOCOMPLETADO ====================
+
+/**
+ * Conecta un input de dirección al proveedor activo. Si el proveedor no
+ * tiene widget propio se usa una lista de sugerencias genérica.
+ * @param {HTMLInputElement} input
+ * @param {Function} alSeleccionar - Recibe la dirección normalizada o null
+ */
+function conectarAutocompletado(input, alSeleccionar) {
+    const proveedor = proveedorDirecciones();
+
+    if (proveedor.autocompletar) {
+        proveedor.autocompletar(input, alSeleccionar);
+        return;
+    }
+
+    const lista = document.createElement("ul");
+    lista.className = "sugerencias-direccion hidden";
+    input.insertAdjacentElement("afterend", lista);
+
+    let sugerencias = [];
+    let activa = -1;
+    let espera = null;
+    let consulta = 0;
+
+    const cerrar = () => {
+        lista.classList.add("hidden");
+        activa = -1;
+    };
+
+    const renderizar = () => {
+        renderizarHtml(lista, html`${sugerencias.map((s, i) => html`
+            <li class="${i === activa ? "activa" : ""}" data-indice="${i}">${s.descripcion}</li>
+        `)}`);
+        lista.classList.toggle("hidden", sugerencias.length === 0);
+    };
+
+    const seleccionar = async (sugerencia) => {
+        cerrar();
+        input.value = sugerencia.descripcion;
+
+        let direccion = null;
+        try {
+            direccion = await proveedor.detalles(sugerencia.id);
+        } catch (e) {
+            console.error("Error:", e);
+        }
+
+        if (direccion) input.value = direccion.formatted;
+        alSeleccionar(direccion);
+    };
+
+    input.addEventListener("input", () => {
+        clearTimeout(espera);
+        const texto = input.value.trim();
+
+        if (texto.length < SUGERENCIAS_MIN_CARACTERES) {
+            sugerencias = [];
+            cerrar();
+            return;
+        }
+
+        espera = setTimeout(async () => {
+            const numero = ++consulta;
+            try {
+                const resultado = await proveedor.buscar(texto);
+                // Ignorar respuestas de búsquedas anteriores
+                if (numero !== consulta) return;
+                sugerencias = resultado;
+                activa = -1;
+                renderizar();
+            } catch (e) {
+                console.error("Error:", e);
+            }
+        }, SUGERENCIAS_ESPERA_MS);
+    });
+
+    input.addEventListener("keydown", (e) => {
+        if (lista.classList.contains("hidden")) return;
+
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const paso = e.key === "ArrowDown" ? 1 : -1;
+            activa = (activa + paso + sugerencias.length) % sugerencias.length;
+            renderizar();
+        } else if (e.key === "Enter" && activa >= 0) {
+            e.preventDefault();
+            seleccionar(sugerencias[activa]);
+        } else if (e.key === "Escape") {
+            cerrar();
+        }
+    });
+
+    // mousedown para que se ejecute antes del blur del input
+    lista.addEventListener("mousedown", (e) => {
+        const item = e.target.closest("li");
+        if (!item) return;
+        e.preventDefault();
+        seleccionar(sugerencias[Number(item.dataset.indice)]);
+    });
+
+    input.addEventListener("blur", cerrar);
+}
+
+// ==================== MAPA ====================
+
+/**
+ * Muestra una dirección en el mapa de previsualización. Si el mapa ya
+ * existe solo mueve el pin; si no, lo crea con el proveedor activo.
+ * @param {object|null} mapa - Mapa creado antes para este contenedor
+ * @param {HTMLElement} contenedor
+ * @param {object} direccion - Dirección normalizada
+ * @returns {object} Mapa del proveedor
+ */
+function mostrarEnMapa(mapa, contenedor, direccion) {
+    const posicion = { lat: direccion.lat, lng: direccion.lng };
+
+    if (mapa) {
+        mapa.mover(posicion, direccion.formatted);
+        return mapa;
+    }
+
+    return proveedorDirecciones().crearMapa(contenedor, posicion, direccion.formatted);
+}
+
+/**
+ * Carga un script externo una sola vez
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function cargarScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`No se pudo cargar ${src}`));
+        document.head.appendChild(script);
+    });
+}
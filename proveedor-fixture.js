@@ -0,0 +1,152 @@
+// ==================== PROVEEDOR: DIRECCIONES DE PRUEBA ====================
+//
+// Proveedor local sin red ni API key, para probar los formularios.
+// Se activa con ?proveedor=fixture en la URL.
+
+const FIXTURE_DIRECCIONES = [
+    {
+        place_id: "fixture-1",
+        street: "Avenida Apoquindo",
+        number: "4800",
+        comuna: "Las Condes",
+        region: "Región Metropolitana",
+        postal: "7560969",
+        country: "Chile",
+        formatted: "Av. Apoquindo 4800, Las Condes, Región Metropolitana, Chile",
+        lat: -33.4103,
+        lng: -70.5781,
+        location_type: "ROOFTOP",
+        confidence: "high"
+    },
+    {
+        place_id: "fixture-2",
+        street: "Avenida Providencia",
+        number: "1208",
+        comuna: "Providencia",
+        region: "Región Metropolitana",
+        postal: "7500571",
+        country: "Chile",
+        formatted: "Av. Providencia 1208, Providencia, Región Metropolitana, Chile",
+        lat: -33.4298,
+        lng: -70.6186,
+        location_type: "ROOFTOP",
+        confidence: "high"
+    },
+    {
+        place_id: "fixture-3",
+        street: "Avenida Libertador Bernardo O'Higgins",
+        number: "1449",
+        comuna: "Santiago",
+        region: "Región Metropolitana",
+        postal: "8320000",
+        country: "Chile",
+        formatted: "Av. Libertador Bernardo O'Higgins 1449, Santiago, Región Metropolitana, Chile",
+        lat: -33.4445,
+        lng: -70.6571,
+        location_type: "GEOMETRIC_CENTER",
+        confidence: "medium"
+    },
+    {
+        place_id: "fixture-4",
+        street: "Avenida España",
+        number: "1680",
+        comuna: "Valparaíso",
+        region: "Valparaíso",
+        postal: "2390123",
+        country: "Chile",
+        formatted: "Av. España 1680, Valparaíso, Chile",
+        lat: -33.0350,
+        lng: -71.5960,
+        location_type: "ROOFTOP",
+        confidence: "high"
+    },
+    {
+        // Sin número: sirve para probar la confirmación del pin
+        place_id: "fixture-5",
+        street: "Camino Lo Barnechea",
+        number: "",
+        comuna: "Lo Barnechea",
+        region: "Región Metropolitana",
+        postal: "",
+        country: "Chile",
+        formatted: "Camino Lo Barnechea, Lo Barnechea, Región Metropolitana, Chile",
+        lat: -33.3530,
+        lng: -70.5190,
+        location_type: "APPROXIMATE",
+        confidence: "low"
+    }
+];
+
+/**
+ * Copia de una dirección de prueba con el formato normalizado
+ * @param {object} fixture
+ * @returns {object}
+ */
+function copiarDireccionFixture(fixture) {
+    return normalizarDireccionCatalogo({ ...fixture, location_adjusted: false });
+}
+
+/**
+ * Direcciones de prueba que contienen todas las palabras del texto
+ * @param {string} texto
+ * @returns {Array<object>}
+ */
+function filtrarDireccionesFixture(texto) {
+    const palabras = normalizarTextoDireccion(texto).split(" ").filter(Boolean);
+
+    return FIXTURE_DIRECCIONES.filter(d => {
+        const formatted = normalizarTextoDireccion(d.formatted);
+        return palabras.every(p => formatted.includes(p));
+    });
+}
+
+registrarProveedorDirecciones("fixture", {
+    cargar() {
+        return Promise.resolve();
+    },
+
+    async buscar(texto) {
+        return filtrarDireccionesFixture(texto).map(d => ({ id: d.place_id, descripcion: d.formatted }));
+    },
+
+    async detalles(id) {
+        const fixture = FIXTURE_DIRECCIONES.find(d => d.place_id === id);
+        return fixture ? copiarDireccionFixture(fixture) : null;
+    },
+
+    async geocodificar(texto) {
+        const [fixture] = filtrarDireccionesFixture(texto);
+        return fixture ? copiarDireccionFixture(fixture) : null;
+    },
+
+    async geocodificarInversa({ lat, lng }) {
+        const cercana = FIXTURE_DIRECCIONES
+            .map(d => ({ d, distancia: distanciaMetros(lat, lng, d.lat, d.lng) }))
+            .sort((a, b) => a.distancia - b.distancia)[0];
+
+        return cercana ? copiarDireccionFixture(cercana.d) : null;
+    },
+
+    // Sin mapa real: solo se muestran las coordenadas. soltarPin simula
+    // arrastrar el pin, para probar el ajuste de la ubicación.
+    crearMapa(contenedor, posicion, titulo) {
+        let alSoltar = () => {};
+        const renderizar = (p, texto) => {
+            renderizarHtml(contenedor, html`
+                <div class="mapa-fixture">
+                    <strong>📍 ${texto}</strong>
+                    <small>${p.lat.toFixed(5)}, ${p.lng.toFixed(5)}</small>
+                </div>
+            `);
+        };
+
+        renderizar(posicion, titulo);
+
+        return {
+            mover: renderizar,
+            alArrastrar(fn) { alSoltar = fn; },
+            alHacerClic() {},
+            soltarPin: (p) => alSoltar(p)
+        };
+    }
+});
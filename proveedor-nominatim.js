@@ -0,0 +1,153 @@
+// ==================== PROVEEDOR: NOMINATIM / OPENSTREETMAP ====================
+//
+// Alternativa sin costo a Google. La política de uso de Nominatim permite
+// como máximo una consulta por segundo, así que todas pasan por una fila.
+
+const NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+const NOMINATIM_ESPERA_MS = 1000;
+
+const LEAFLET_URL = "https://unpkg.com/leaflet@1.9.4/dist";
+
+let nominatimUltimaConsulta = Promise.resolve();
+
+/**
+ * Consulta Nominatim respetando el límite de una consulta por segundo
+ * @param {string} ruta - "/search", "/lookup" o "/reverse"
+ * @param {object} parametros
+ * @returns {Promise<any>}
+ */
+function consultarNominatim(ruta, parametros) {
+    const params = new URLSearchParams({
+        format: "jsonv2",
+        addressdetails: "1",
+        "accept-language": "es",
+        ...parametros
+    });
+
+    const consulta = nominatimUltimaConsulta.then(async () => {
+        const res = await fetch(`${NOMINATIM_URL}${ruta}?${params}`);
+        if (!res.ok) throw new Error(`Nominatim respondió ${res.status}`);
+        return res.json();
+    });
+
+    // La siguiente consulta espera a esta y al menos un segundo más
+    nominatimUltimaConsulta = consulta
+        .catch(() => {})
+        .then(() => new Promise(resolve => setTimeout(resolve, NOMINATIM_ESPERA_MS)));
+
+    return consulta;
+}
+
+/**
+ * Convierte un resultado de Nominatim en una dirección normalizada.
+ * location_type y confidence siguen la misma escala que Google.
+ * @param {object} resultado
+ * @returns {object|null}
+ */
+function normalizarLugarNominatim(resultado) {
+    if (!resultado?.address) return null;
+
+    const a = resultado.address;
+    const number = a.house_number || "";
+
+    let locationType = "APPROXIMATE";
+    if (number && ["house", "building", "residential"].includes(resultado.type)) {
+        locationType = "ROOFTOP";
+    } else if (a.road) {
+        locationType = "GEOMETRIC_CENTER";
+    }
+
+    let confidence = "medium";
+    if (!number || locationType === "APPROXIMATE") {
+        confidence = "low";
+    } else if (locationType === "ROOFTOP") {
+        confidence = "high";
+    }
+
+    return normalizarDireccionCatalogo({
+        street: a.road || "",
+        number,
+        comuna: a.city || a.town || a.village || a.municipality || a.suburb || "",
+        region: a.state || "",
+        postal: a.postcode || "",
+        country: a.country || "",
+        formatted: resultado.display_name,
+        lat: Number(resultado.lat),
+        lng: Number(resultado.lon),
+        location_type: locationType,
+        place_id: `osm:${resultado.osm_type}/${resultado.osm_id}`,
+        confidence,
+        location_adjusted: false
+    }, [a.town, a.village, a.municipality, a.suburb, a.city_district]);
+}
+
+registrarProveedorDirecciones("nominatim", {
+    async cargar() {
+        if (window.L) return;
+
+        const css = document.createElement("link");
+        css.rel = "stylesheet";
+        css.href = `${LEAFLET_URL}/leaflet.css`;
+        document.head.appendChild(css);
+
+        await cargarScript(`${LEAFLET_URL}/leaflet.js`);
+    },
+
+    async buscar(texto) {
+        const resultados = await consultarNominatim("/search", { q: texto, countrycodes: "cl", limit: "5" });
+
+        // /lookup usa N123, W456, R789
+        return resultados.map(r => ({
+            id: `${r.osm_type[0].toUpperCase()}${r.osm_id}`,
+            descripcion: r.display_name
+        }));
+    },
+
+    async detalles(id) {
+        const [resultado] = await consultarNominatim("/lookup", { osm_ids: id });
+        return normalizarLugarNominatim(resultado);
+    },
+
+    async geocodificar(texto) {
+        const [resultado] = await consultarNominatim("/search", { q: texto, countrycodes: "cl", limit: "1" });
+        return normalizarLugarNominatim(resultado);
+    },
+
+    async geocodificarInversa({ lat, lng }) {
+        const resultado = await consultarNominatim("/reverse", { lat, lon: lng });
+        return resultado.address?.road ? normalizarLugarNominatim(resultado) : null;
+    },
+
+    crearMapa(contenedor, posicion, titulo) {
+        const map = L.map(contenedor, { attributionControl: true }).setView(posicion, 16);
+
+        L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", {
+            maxZoom: 19,
+            attribution: "© OpenStreetMap"
+        }).addTo(map);
+
+        const marker = L.marker(posicion, { draggable: true, title: titulo }).addTo(map);
+
+        return {
+            mover(nuevaPosicion, nuevoTitulo) {
+                // El contenedor pudo estar oculto: Leaflet necesita recalcular su tamaño
+                map.invalidateSize();
+                map.setView(nuevaPosicion);
+                marker.setLatLng(nuevaPosicion);
+                marker.getElement()?.setAttribute("title", nuevoTitulo);
+            },
+            alArrastrar(fn) {
+                marker.on("dragend", () => {
+                    const p = marker.getLatLng();
+                    fn({ lat: p.lat, lng: p.lng });
+                });
+            },
+            alHacerClic(fn) {
+                map.on("click", (e) => {
+                    marker.setLatLng(e.latlng);
+                    fn({ lat: e.latlng.lat, lng: e.latlng.lng });
+                });
+            }
+        };
+    }
+});
@@ -0,0 +1,227 @@
+// ==================== EVALUACIÓN COMERCIAL (SCORING) ====================
+//
+// Detalle de la evaluación de Equifax que devuelve el worker y cola de
+// revisión: los contactos que quedan "to_review" los aprueba o descarta
+// un supervisor desde el tab Revisión, con un comentario que se guarda
+// en Odoo.
+
+// Estado → clase del badge y clave del texto
+const ESTADOS_SCORING = {
+    approved: { clase: "approved", texto: "scoring.aprobado" },
+    discarded: { clase: "rejected", texto: "scoring.descartado" },
+    to_review: { clase: "review", texto: "scoring.enRevision" }
+};
+
+// Contactos pendientes de la última búsqueda
+let revisionesPendientes = [];
+
+document.addEventListener("DOMContentLoaded", () => {
+    document.querySelector('.tab-btn[data-tab="revision"]')?.addEventListener("click", () => {
+        if (tienePermiso("revision")) buscarRevisiones();
+    });
+
+    alCambiarIdioma(() => {
+        const lista = document.getElementById("revision-lista");
+        if (!lista.hasChildNodes()) return;
+
+        // Los comentarios ya escritos se conservan al redibujar
+        const comentarios = Array.from(lista.querySelectorAll(".revision-item"), item =>
+            [item.id, item.querySelector(".revision-comentario").value]
+        );
+        renderizarRevisiones();
+        comentarios.forEach(([id, comentario]) => {
+            const textarea = document.querySelector(`#${id} .revision-comentario`);
+            if (textarea) textarea.value = comentario;
+        });
+    });
+});
+
+// ==================== DETALLE ====================
+
+/**
+ * @param {string} estado - scoring_status del worker
+ * @returns {HtmlSeguro} Badge
+ */
+function badgeScoring(estado) {
+    const { clase, texto } = ESTADOS_SCORING[estado] || ESTADOS_SCORING.approved;
+    return html`<span class="resultado-badge ${clase}">${t(texto)}</span>`;
+}
+
+/**
+ * @param {number} monto
+ * @returns {string} Monto en pesos chilenos con el formato del idioma activo
+ */
+function formatearPesos(monto) {
+    return new Intl.NumberFormat(localeIdioma(), { style: "currency", currency: "CLP" }).format(monto);
+}
+
+/**
+ * Desglose de la evaluación comercial
+ * @param {object|null} detalle - scoring_detalle del worker:
+ *   { score, segmento, deuda_total, deudas: [{ acreedor, tipo, monto }], motivos: [string] }
+ * @returns {HtmlSeguro|null} null si el worker no mandó el detalle
+ */
+function renderizarDetalleScoring(detalle) {
+    if (!detalle) return null;
+
+    const deudas = detalle.deudas || [];
+    const motivos = detalle.motivos || [];
+
+    return html`
+        <div class="scoring-detalle">
+            <div class="scoring-cifras">
+                <div>
+                    <small>${t("scoring.score")}</small>
+                    <strong>${detalle.score ?? "—"}</strong>
+                </div>
+                <div>
+                    <small>${t("scoring.segmento")}</small>
+                    <strong>${detalle.segmento || "—"}</strong>
+                </div>
+                <div>
+                    <small>${t("scoring.deudaTotal")}</small>
+                    <strong>${detalle.deuda_total != null ? formatearPesos(detalle.deuda_total) : "—"}</strong>
+                </div>
+            </div>
+            ${deudas.length > 0 && html`
+                <table class="scoring-deudas">
+                    <thead>
+                        <tr><th>${t("scoring.acreedor")}</th><th>${t("resumen.tipo")}</th><th>${t("scoring.monto")}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${deudas.map(d => html`
+                            <tr>
+                                <td>${d.acreedor}</td>
+                                <td>${d.tipo}</td>
+                                <td>${d.monto != null ? formatearPesos(d.monto) : ""}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `}
+            ${motivos.length > 0 && html`
+                <small>${t("scoring.motivos")}</small>
+                <ul class="scoring-motivos">
+                    ${motivos.map(m => html`<li>${m}</li>`)}
+                </ul>
+            `}
+        </div>
+    `;
+}
+
+// ==================== COLA DE REVISIÓN ====================
+
+async function buscarRevisiones() {
+    const msgBox = document.getElementById("msg-revision");
+    const btn = document.getElementById("btn-buscar-revisiones");
+
+    btn.disabled = true;
+    renderizarHtml(msgBox, `🔄 ${t("revision.buscando")}`);
+    msgBox.className = "msg loading";
+
+    try {
+        const data = await llamarApi("/revisiones-pendientes", {}, { idempotente: true });
+        revisionesPendientes = data.contactos || [];
+        renderizarRevisiones();
+        msgBox.innerHTML = "";
+        msgBox.className = "msg";
+    } catch (e) {
+        console.error("Error:", e);
+        renderizarHtml(msgBox, `❌ ${e.message}`);
+        msgBox.className = "msg error";
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderizarRevisiones() {
+    const lista = document.getElementById("revision-lista");
+
+    document.getElementById("revision-resumen").textContent = revisionesPendientes.length
+        ? t("revision.pendientes", { n: revisionesPendientes.length })
+        : "";
+
+    if (revisionesPendientes.length === 0) {
+        renderizarHtml(lista, html`<p class="cola-vacia">${t("revision.sinPendientes")}</p>`);
+        return;
+    }
+
+    renderizarHtml(lista, html`${revisionesPendientes.map(c => html`
+        <div class="revision-item" id="revision-${c.contact_id}">
+            <div class="revision-item-header">
+                <div>
+                    <strong>${c.nombre || c.rut}</strong>
+                    <small>${c.rut} · ${c.unidad_negocio} · ID #${c.contact_id}</small>
+                    <small>${t("revision.creadoPor", { vendedor: c.vendedor || "—" })} · ${c.fecha && new Date(c.fecha).toLocaleString(localeIdioma())}</small>
+                </div>
+                ${badgeScoring("to_review")}
+            </div>
+
+            <details class="auditoria-payload">
+                <summary>${t("revision.verEvaluacion")}</summary>
+                ${renderizarDetalleScoring(c.scoring_detalle) || html`<small>${t("revision.sinDetalle")}</small>`}
+            </details>
+
+            <textarea class="revision-comentario" rows="2" placeholder="${t("revision.comentario")}"></textarea>
+
+            <div class="revision-acciones">
+                <button class="btn-secondary-small" onclick="resolverRevision(${Number(c.contact_id)}, 'discarded')">✗ ${t("general.descartar")}</button>
+                <button class="btn-primary-small" onclick="resolverRevision(${Number(c.contact_id)}, 'approved')">✓ ${t("revision.aprobar")}</button>
+            </div>
+            <div class="msg"></div>
+        </div>
+    `)}`);
+}
+
+/**
+ * Aprueba o descarta un contacto pendiente y guarda el comentario en Odoo
+ * @param {number} contactId
+ * @param {string} decision - "approved" | "discarded"
+ */
+async function resolverRevision(contactId, decision) {
+    const item = document.getElementById(`revision-${contactId}`);
+    const contacto = revisionesPendientes.find(c => c.contact_id === contactId);
+    if (!item || !contacto) return;
+
+    const $ = (selector) => item.querySelector(selector);
+    const msgBox = $(".msg");
+    const comentario = $(".revision-comentario").value.trim();
+
+    if (decision === "discarded" && !comentario) {
+        renderizarHtml(msgBox, `⚠️ ${t("revision.comentarioRequerido")}`);
+        msgBox.className = "msg warning";
+        $(".revision-comentario").focus();
+        return;
+    }
+
+    item.querySelectorAll("button").forEach(b => { b.disabled = true; });
+    renderizarHtml(msgBox, `🔄 ${t("revision.guardando")}`);
+    msgBox.className = "msg loading";
+
+    try {
+        await enviarCreacion("/resolver-revision", {
+            contact_id: contactId,
+            rut: contacto.rut,
+            decision,
+            comentario
+        }, {
+            accion: "resolver_revision",
+            idempotencyKey: generarClaveIdempotencia(),
+            historial: false
+        });
+
+        revisionesPendientes = revisionesPendientes.filter(c => c.contact_id !== contactId);
+        renderizarRevisiones();
+
+        const msgRevision = document.getElementById("msg-revision");
+        renderizarHtml(msgRevision, `✅ ${contacto.nombre || contacto.rut}: ${t(ESTADOS_SCORING[decision].texto)}`);
+        msgRevision.className = "msg success";
+    } catch (e) {
+        console.error("Error:", e);
+        if (e instanceof ErrorSesion) return;
+
+        renderizarHtml(msgBox, `❌ ${e.message}`);
+        msgBox.className = "msg error";
+        item.querySelectorAll("button").forEach(b => { b.disabled = false; });
+    }
+}
@@ -0,0 +1,222 @@
+// ==================== SESIÓN Y ROLES ====================
+//
+// Cada usuario inicia sesión contra el worker, que responde con un token.
+// llamarApi (api.js) lo agrega a todas las llamadas; con él el worker sabe
+// quién crea qué y valida los permisos.
+
+const SESION_STORAGE = "maihue-sesion";
+
+// Qué ve cada rol en la interfaz (el worker aplica lo mismo con el token)
+const PERMISOS_ROL = {
+    vendedor: ["crear"],
+    supervisor: ["crear", "auditoria", "revision"],
+    admin: ["crear", "auditoria", "revision"]
+};
+
+// Rol → clave del texto
+const NOMBRES_ROL = {
+    vendedor: "sesion.rol.vendedor",
+    supervisor: "sesion.rol.supervisor",
+    admin: "sesion.rol.admin"
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+    document.getElementById("form-login").addEventListener("submit", (e) => {
+        e.preventDefault();
+        enviarLogin();
+    });
+
+    document.getElementById("btn-cerrar-sesion").addEventListener("click", salirDeSesion);
+
+    aplicarSesion();
+
+    alCambiarIdioma(() => {
+        const usuario = usuarioActual();
+        document.getElementById("sesion-rol").textContent = usuario ? t(NOMBRES_ROL[usuario.rol]) : "";
+    });
+});
+
+// ==================== ESTADO ====================
+
+/**
+ * Sesión guardada en el navegador, si existe y no ha vencido
+ * @returns {object|null} { token, expira, usuario: { id, nombre, email, rol } }
+ */
+function sesionActual() {
+    let sesion = null;
+    try {
+        sesion = JSON.parse(localStorage.getItem(SESION_STORAGE));
+    } catch (e) {
+        console.error("Error:", e);
+    }
+
+    if (!sesion?.token) return null;
+
+    if (sesion.expira && new Date(sesion.expira).getTime() <= Date.now()) {
+        localStorage.removeItem(SESION_STORAGE);
+        return null;
+    }
+
+    return sesion;
+}
+
+/**
+ * @returns {object|null} Usuario de la sesión: { id, nombre, email, rol }
+ */
+function usuarioActual() {
+    return sesionActual()?.usuario || null;
+}
+
+/**
+ * Indica si el rol del usuario actual incluye un permiso
+ * @param {string} permiso - "crear" | "auditoria" | "revision"
+ * @returns {boolean}
+ */
+function tienePermiso(permiso) {
+    const usuario = usuarioActual();
+    return Boolean(usuario && (PERMISOS_ROL[usuario.rol] || []).includes(permiso));
+}
+
+// ==================== LOGIN ====================
+
+/**
+ * Inicia sesión en el worker y guarda el token
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<object>} Usuario de la sesión
+ */
+async function iniciarSesion(email, password) {
+    const data = await llamarApi("/login", { email, password }, { autenticar: false });
+
+    if (!data.token) {
+        throw new ErrorServidor(t("sesion.sinToken"));
+    }
+
+    if (!PERMISOS_ROL[data.usuario?.rol]) {
+        throw new Error(t("sesion.sinRol"));
+    }
+
+    localStorage.setItem(SESION_STORAGE, JSON.stringify({
+        token: data.token,
+        expira: data.expira || null,
+        usuario: data.usuario
+    }));
+
+    return data.usuario;
+}
+
+/**
+ * Borra la sesión del navegador y vuelve a la pantalla de login
+ * @param {string} [motivo] - Mensaje que se muestra en el login
+ */
+function cerrarSesion(motivo) {
+    localStorage.removeItem(SESION_STORAGE);
+    aplicarSesion();
+
+    const msgBox = document.getElementById("msg-login");
+    if (msgBox && motivo) {
+        renderizarHtml(msgBox, `⚠️ ${motivo}`);
+        msgBox.className = "msg warning";
+    }
+}
+
+/**
+ * El usuario cierra su sesión: además de la sesión se borran del navegador
+ * sus formularios, su historial, sus borradores y su cola de envíos.
+ * Cuando la sesión vence (cerrarSesion) se conservan, para seguir después
+ * del login.
+ */
+async function salirDeSesion() {
+    const usuario = usuarioActual();
+    cerrarSesion();
+    if (!usuario) return;
+
+    limpiarFormularioDireccion();
+    limpiarFormularioContacto();
+    eliminarBorradoresUsuario(usuario);
+
+    try {
+        await eliminarHistorialUsuario(usuario);
+        await eliminarColaUsuario(usuario);
+    } catch (e) {
+        console.error("Error:", e);
+    }
+}
+
+async function enviarLogin() {
+    const msgBox = document.getElementById("msg-login");
+    const btn = document.getElementById("btn-login");
+    const btnText = btn.querySelector(".btn-text");
+    const btnLoader = btn.querySelector(".btn-loader");
+    const emailInput = document.getElementById("login-email");
+    const passwordInput = document.getElementById("login-password");
+
+    const email = emailInput.value.trim().toLowerCase();
+    const password = passwordInput.value;
+
+    if (!email || !password) {
+        renderizarHtml(msgBox, `⚠️ ${t("sesion.datosRequeridos")}`);
+        msgBox.className = "msg warning";
+        (email ? passwordInput : emailInput).focus();
+        return;
+    }
+
+    btn.disabled = true;
+    btnText.classList.add("hidden");
+    btnLoader.classList.add("active");
+    msgBox.innerHTML = "";
+    msgBox.className = "msg";
+
+    try {
+        await iniciarSesion(email, password);
+        passwordInput.value = "";
+        aplicarSesion();
+
+        // Historial, borradores y cola son de cada usuario
+        renderizarBorradores();
+        cargarHistorial().catch(e => console.error("Error:", e));
+
+        // Lo que el usuario dejó en cola mientras no había sesión se envía ahora
+        renderizarCola().then(procesarCola).catch(e => console.error("Error:", e));
+    } catch (e) {
+        console.error("Error:", e);
+        const mensaje = e instanceof ErrorOdoo ? e.respuesta.error || t("sesion.datosIncorrectos") : e.message;
+        renderizarHtml(msgBox, `❌ ${mensaje}`);
+        msgBox.className = "msg error";
+    } finally {
+        btn.disabled = false;
+        btnText.classList.remove("hidden");
+        btnLoader.classList.remove("active");
+    }
+}
+
+// ==================== INTERFAZ ====================
+
+/**
+ * Muestra el login o la aplicación según la sesión, y oculta lo que
+ * el rol del usuario no puede usar (elementos con data-permiso)
+ */
+function aplicarSesion() {
+    const usuario = usuarioActual();
+
+    document.getElementById("pantalla-login").classList.toggle("hidden", Boolean(usuario));
+    document.querySelector(".app-container").classList.toggle("hidden", !usuario);
+
+    document.getElementById("sesion-usuario").classList.toggle("hidden", !usuario);
+    document.getElementById("sesion-nombre").textContent = usuario ? usuario.nombre || usuario.email : "";
+    document.getElementById("sesion-rol").textContent = usuario ? t(NOMBRES_ROL[usuario.rol]) : "";
+
+    document.querySelectorAll("[data-permiso]").forEach(elemento => {
+        elemento.classList.toggle("sin-permiso", !tienePermiso(elemento.dataset.permiso));
+    });
+
+    // Si el tab abierto ya no está permitido se vuelve al primero
+    const tabActivo = document.querySelector(".tab-btn.active");
+    if (tabActivo?.classList.contains("sin-permiso")) {
+        document.querySelector(".tab-btn:not(.sin-permiso)").click();
+    }
+
+    if (!usuario) {
+        document.getElementById("login-email").focus();
+    }
+}
@@ -0,0 +1,163 @@
+// ==================== TELÉFONOS ====================
+//
+// Validación de teléfonos por país y normalización a E.164 (+56912345678),
+// que es el formato que se envía al worker. No depende del DOM: en el
+// navegador quedan como funciones globales y en Node se pueden importar
+// con require("./telefonos.js").
+//
+// En el formulario el número se guarda sin código de país ("número
+// nacional"); el país se elige aparte en su selector.
+//
+// Los errores y tipos de teléfono son claves de los catálogos de idioma
+// (ver i18n.js).
+
+// Largo del número nacional (sin código de país) aceptado en cada país. Los
+// nombres de los países salen de Intl.DisplayNames en el idioma activo.
+const PAISES_TELEFONO = {
+    CL: { bandera: "🇨🇱", codigo: "56", min: 9, max: 9 },
+    AR: { bandera: "🇦🇷", codigo: "54", min: 10, max: 11 },
+    PE: { bandera: "🇵🇪", codigo: "51", min: 9, max: 9 },
+    BO: { bandera: "🇧🇴", codigo: "591", min: 8, max: 8 },
+    CO: { bandera: "🇨🇴", codigo: "57", min: 10, max: 10 },
+    BR: { bandera: "🇧🇷", codigo: "55", min: 10, max: 11 },
+    US: { bandera: "🇺🇸", codigo: "1", min: 10, max: 10 },
+    ES: { bandera: "🇪🇸", codigo: "34", min: 9, max: 9 }
+};
+
+const PAIS_TELEFONO_DEFECTO = "CL";
+
+// Chile: celulares 9 XXXX XXXX; fijos con código de área (2 Santiago, 32 Valparaíso...)
+const PREFIJO_MOVIL_CL = "9";
+
+const TIPOS_TELEFONO = {
+    movil: "telefono.tipo.movil",
+    fijo: "telefono.tipo.fijo"
+};
+
+/**
+ * País de un número escrito con "+" y código de país, ej: "+54 9 11 1234 5678"
+ * @param {string} telefono
+ * @returns {string|null} Código del país en PAISES_TELEFONO, o null
+ */
+function detectarPaisTelefono(telefono) {
+    if (!telefono.trim().startsWith("+")) return null;
+
+    const digitos = telefono.replace(/\D/g, "");
+
+    // El código más largo primero: "591" (Bolivia) antes que "5x"
+    const pais = Object.keys(PAISES_TELEFONO)
+        .sort((a, b) => PAISES_TELEFONO[b].codigo.length - PAISES_TELEFONO[a].codigo.length)
+        .find(p => digitos.startsWith(PAISES_TELEFONO[p].codigo));
+
+    return pais || null;
+}
+
+/**
+ * Deja solo el número nacional: sin espacios ni guiones, sin el código de
+ * país si se pegó con él (ej: "+56 9 1234 5678" → "912345678")
+ * @param {string} telefono
+ * @param {string} pais - Código en PAISES_TELEFONO
+ * @returns {string}
+ */
+function formatearTelefono(telefono, pais = PAIS_TELEFONO_DEFECTO) {
+    const { codigo, max } = PAISES_TELEFONO[pais];
+    let digitos = telefono.replace(/\D/g, "");
+
+    if (digitos.startsWith(codigo) && (telefono.trim().startsWith("+") || digitos.length > max)) {
+        digitos = digitos.slice(codigo.length);
+    }
+
+    return digitos.slice(0, max);
+}
+
+/**
+ * Valida un número nacional según el país
+ * @param {string} telefono - Número nacional (ver formatearTelefono)
+ * @param {string} pais - Código en PAISES_TELEFONO
+ * @returns {object} { valid: boolean, error: string | null, datos, tipo: "movil" | "fijo" | null }
+ *   error: clave del mensaje; datos: valores para el mensaje
+ *   tipo: solo para Chile
+ */
+function validarTelefono(telefono, pais = PAIS_TELEFONO_DEFECTO) {
+    const { min, max } = PAISES_TELEFONO[pais];
+    const soloDigitos = telefono.replace(/\D/g, '');
+
+    if (soloDigitos.length === 0) {
+        return { valid: false, error: null, tipo: null }; // Vacío, sin error
+    }
+
+    if (soloDigitos.length < min) {
+        return { valid: false, error: "telefono.faltanDigitos", datos: { n: min - soloDigitos.length }, tipo: null };
+    }
+
+    if (soloDigitos.length > max) {
+        return { valid: false, error: "telefono.maximoDigitos", datos: { n: max }, tipo: null };
+    }
+
+    if (pais !== "CL") {
+        return { valid: true, error: null, tipo: null };
+    }
+
+    if (soloDigitos.startsWith(PREFIJO_MOVIL_CL)) {
+        return { valid: true, error: null, tipo: "movil" };
+    }
+
+    // Fijos: el código de área empieza entre 2 (Santiago) y 7 (regiones del sur)
+    if (/^[2-7]/.test(soloDigitos)) {
+        return { valid: true, error: null, tipo: "fijo" };
+    }
+
+    return { valid: false, error: "telefono.prefijoChile", tipo: null };
+}
+
+/**
+ * @param {string} telefono - Número nacional
+ * @param {string} pais - Código en PAISES_TELEFONO
+ * @returns {string} Ej: "+56912345678"
+ */
+function normalizarTelefonoE164(telefono, pais = PAIS_TELEFONO_DEFECTO) {
+    return `+${PAISES_TELEFONO[pais].codigo}${formatearTelefono(telefono, pais)}`;
+}
+
+/**
+ * Separa un teléfono guardado en país y número nacional. Acepta E.164 y
+ * también los 9 dígitos sin código que se enviaban antes (Chile).
+ * @param {string} telefono - Ej: "+56912345678", "912345678"
+ * @returns {object} { pais, numero }
+ */
+function separarTelefono(telefono) {
+    const pais = detectarPaisTelefono(telefono || "") || PAIS_TELEFONO_DEFECTO;
+    return { pais, numero: formatearTelefono(telefono || "", pais) };
+}
+
+/**
+ * Teléfono para mostrar, ej: "+56 9 1234 5678", "+56 32 212 3456", "+54 1123456789"
+ * @param {string} telefono - E.164 (o 9 dígitos de Chile)
+ * @returns {string}
+ */
+function mostrarTelefono(telefono) {
+    if (!telefono) return "";
+
+    const { pais, numero } = separarTelefono(telefono);
+    const codigo = `+${PAISES_TELEFONO[pais].codigo}`;
+
+    if (pais !== "CL" || numero.length !== 9) return `${codigo} ${numero}`;
+
+    // Santiago y celulares: 1 dígito de prefijo; regiones: 2 dígitos de código de área
+    const prefijo = /^[29]/.test(numero) ? 1 : 2;
+    const resto = numero.slice(prefijo);
+    return `${codigo} ${numero.slice(0, prefijo)} ${resto.slice(0, -4)} ${resto.slice(-4)}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        PAISES_TELEFONO,
+        TIPOS_TELEFONO,
+        detectarPaisTelefono,
+        formatearTelefono,
+        validarTelefono,
+        normalizarTelefonoE164,
+        separarTelefono,
+        mostrarTelefono
+    };
+}
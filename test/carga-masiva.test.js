@@ -0,0 +1,176 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { abrirAplicacion, esperar } = require("./entorno.js");
+
+const CSV = "direccion;complemento\nAv. Apoquindo 4800, Las Condes;Of 1203\nCamino Lo Barnechea;\n";
+
+/**
+ * Carga el CSV de prueba en la tabla de revisión y espera la geocodificación
+ * @param {object} app
+ * @returns {Promise<void>}
+ */
+async function cargarCsv(app) {
+    // El File de jsdom no implementa text()
+    await app.window.cargarArchivoDirecciones({ name: "direcciones.csv", text: async () => CSV });
+    await esperar(0);
+}
+
+const filas = (app) => app.ejecutar("cargaMasivaFilas");
+const fila = (app, numero) => filas(app).find(f => f.fila === numero);
+
+/**
+ * @param {object} app
+ * @returns {Promise<void>}
+ */
+async function enviar(app) {
+    await app.window.enviarCargaMasiva();
+    await esperar(0);
+}
+
+describe("Carga masiva de direcciones", () => {
+    let app;
+
+    afterEach(() => app.cerrar());
+
+    it("no envía mientras hay filas geocodificándose", async () => {
+        app = await abrirAplicacion();
+
+        // El proveedor no responde hasta que la prueba lo indique
+        let responderGeocodificacion;
+        const proveedor = app.ejecutar("proveedorDirecciones()");
+        const geocodificar = proveedor.geocodificar;
+        const respuesta = new Promise(resolve => { responderGeocodificacion = resolve; });
+        proveedor.geocodificar = async (texto) => {
+            await respuesta;
+            return geocodificar(texto);
+        };
+
+        const carga = app.window.cargarArchivoDirecciones({ name: "direcciones.csv", text: async () => CSV });
+        await esperar(0);
+        assert.ok(filas(app).every(f => ["pendiente", "geocodificando"].includes(f.estado)));
+
+        await enviar(app);
+        assert.equal(app.llamadas.length, 0);
+        assert.match(app.document.getElementById("msg-carga-masiva").textContent, /Espera a que termine/);
+
+        responderGeocodificacion();
+        await carga;
+    });
+
+    it("al corregir una fila dos veces se queda con la última geocodificación", async () => {
+        app = await abrirAplicacion();
+        await cargarCsv(app);
+
+        // La primera corrección no responde hasta que la prueba lo indique
+        let responderPrimera;
+        const proveedor = app.ejecutar("proveedorDirecciones()");
+        const geocodificar = proveedor.geocodificar;
+        const primera = new Promise(resolve => { responderPrimera = resolve; });
+        proveedor.geocodificar = async (texto) => {
+            if (texto === "Providencia 1208") await primera;
+            return geocodificar(texto);
+        };
+
+        app.window.corregirFilaCarga(2, "Providencia 1208");
+        app.window.corregirFilaCarga(2, "Av. Apoquindo 4800, Las Condes");
+        await esperar(0);
+        assert.match(fila(app, 2).direccion.formatted, /Apoquindo/);
+
+        responderPrimera();
+        await esperar(10);
+        assert.match(fila(app, 2).direccion.formatted, /Apoquindo/);
+        assert.equal(fila(app, 2).consulta, "Av. Apoquindo 4800, Las Condes");
+    });
+
+    it("pide confirmar el pin de las filas aproximadas antes de enviar", async () => {
+        app = await abrirAplicacion({
+            responder: (ruta) => ruta === "/buscar-direcciones" ? { status: "ok", direcciones: [] } : { status: "ok", id: 9100 }
+        });
+
+        await cargarCsv(app);
+        assert.equal(fila(app, 1).estado, "lista");
+        assert.equal(fila(app, 2).estado, "confirmar");
+
+        await enviar(app);
+        assert.equal(app.llamadas.length, 0);
+        assert.match(app.document.getElementById("msg-carga-masiva").textContent, /Confirma las ubicaciones/);
+
+        const confirmar = app.document.querySelector("#carga-masiva-filas .carga-confirmar-pin input");
+        confirmar.checked = true;
+        confirmar.dispatchEvent(new app.window.Event("change"));
+        assert.equal(fila(app, 2).estado, "lista");
+
+        await enviar(app);
+        const creaciones = app.llamadas.filter(l => l.ruta === "/");
+        assert.equal(creaciones.length, 2);
+        assert.equal(creaciones.find(l => l.payload.street === "Camino Lo Barnechea").payload.pin_confirmed, true);
+    });
+
+    it("revisa duplicados por fila y permite usar la dirección existente", async () => {
+        const existente = { id: 77, street: "Avenida Apoquindo", number: "4800", comuna: "Las Condes", street2: "Of 1203", lat: -33.4103, lng: -70.5781 };
+        app = await abrirAplicacion({
+            responder: (ruta, payload) => ruta === "/buscar-direcciones"
+                ? { status: "ok", direcciones: payload.street === existente.street ? [existente] : [] }
+                : { status: "ok", id: 9100 }
+        });
+
+        await cargarCsv(app);
+        app.window.confirmarPinCarga(2, true);
+        await enviar(app);
+
+        assert.equal(fila(app, 1).estado, "duplicada");
+        assert.equal(fila(app, 2).estado, "creada");
+        assert.equal(app.llamadas.filter(l => l.ruta === "/").length, 1);
+        assert.match(app.document.getElementById("carga-masiva-filas").textContent, /ID en Odoo: 77/);
+
+        app.window.usarExistenteCarga(1, 77);
+        assert.equal(fila(app, 1).estado, "existente");
+        assert.equal(fila(app, 1).odooId, 77);
+    });
+
+    it("crea de todas formas una fila duplicada si el usuario lo pide", async () => {
+        app = await abrirAplicacion({
+            responder: (ruta) => ruta === "/buscar-direcciones"
+                ? { status: "ok", direcciones: [{ id: 77, street: "Avenida Apoquindo", number: "4800", comuna: "Las Condes", street2: "Of 1203" }] }
+                : { status: "ok", id: 9100 }
+        });
+
+        await cargarCsv(app);
+        app.window.quitarFilaCarga(2);
+        await enviar(app);
+        assert.equal(fila(app, 1).estado, "duplicada");
+
+        app.window.crearIgualCarga(1);
+        await enviar(app);
+        assert.equal(fila(app, 1).estado, "creada");
+        assert.equal(app.llamadas.filter(l => l.ruta === "/buscar-direcciones").length, 1);
+    });
+
+    it("reenvía una fila con error con la misma clave de idempotencia", async () => {
+        let intentos = 0;
+        app = await abrirAplicacion({
+            responder: (ruta) => {
+                if (ruta === "/buscar-direcciones") return { status: "ok", direcciones: [] };
+                intentos++;
+                return intentos === 1
+                    ? { status: "error", step: "creando_direccion", error: "Odoo no respondió" }
+                    : { status: "ok", id: 9100 };
+            }
+        });
+
+        await cargarCsv(app);
+        app.window.quitarFilaCarga(2);
+
+        await enviar(app);
+        assert.equal(fila(app, 1).estado, "error");
+
+        await enviar(app);
+        assert.equal(fila(app, 1).estado, "creada");
+
+        const claves = app.llamadas.filter(l => l.ruta === "/").map(l => l.headers["Idempotency-Key"]);
+        assert.equal(claves.length, 2);
+        assert.ok(claves[0]);
+        assert.equal(claves[0], claves[1]);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { cargarScripts } = require("./entorno.js");
+
+const {
+    buscarRegion,
+    buscarComuna,
+    comunaPorCodigo,
+    normalizarDireccionCatalogo,
+    aplicarComunaCatalogo
+} = cargarScripts(["duplicados.js", "catalogo-comunas.js"]);
+
+describe("buscarRegion", () => {
+    it("encuentra la región por nombre, alias, código CUT o ISO", () => {
+        for (const nombre of ["Región Metropolitana", "Metropolitana de Santiago", "RM", "13", "CL-RM"]) {
+            assert.equal(buscarRegion(nombre)?.codigo, "13", nombre);
+        }
+        assert.equal(buscarRegion("Región del Biobío")?.codigo, "08");
+        assert.equal(buscarRegion("Región de Valparaíso")?.codigo, "05");
+    });
+
+    it("devuelve null si no la encuentra", () => {
+        assert.equal(buscarRegion("Mendoza"), null);
+        assert.equal(buscarRegion(""), null);
+    });
+});
+
+describe("buscarComuna", () => {
+    it("encuentra la comuna sin importar tildes ni mayúsculas", () => {
+        assert.equal(buscarComuna("nunoa")?.codigo, "13120");
+        assert.equal(buscarComuna("PEÑALOLÉN")?.codigo, "13122");
+    });
+
+    it("encuentra la comuna por alias", () => {
+        assert.equal(buscarComuna("Santiago Centro")?.codigo, "13101");
+        assert.equal(buscarComuna("Viña")?.codigo, "05109");
+        assert.equal(buscarComuna("Comuna de Til Til")?.codigo, "13303");
+    });
+
+    it("respeta la región si se indica", () => {
+        assert.equal(buscarComuna("Las Condes", buscarRegion("RM"))?.codigo, "13114");
+        assert.equal(buscarComuna("Las Condes", buscarRegion("Valparaíso")), null);
+    });
+});
+
+describe("comunaPorCodigo", () => {
+    it("devuelve nombre oficial y región del código CUT", () => {
+        const comuna = comunaPorCodigo("08101");
+        assert.equal(comuna.nombre, "Concepción");
+        assert.equal(comuna.region.codigo, "08");
+    });
+
+    it("devuelve null con un código que no existe", () => {
+        assert.equal(comunaPorCodigo("99999"), null);
+    });
+});
+
+describe("normalizarDireccionCatalogo", () => {
+    it("deja nombres oficiales y agrega los códigos", () => {
+        const direccion = normalizarDireccionCatalogo({ street: "Av. Apoquindo", comuna: "las condes", region: "Santiago Metropolitan Region" });
+
+        assert.equal(direccion.comuna, "Las Condes");
+        assert.equal(direccion.comuna_code, "13114");
+        assert.equal(direccion.region, "Metropolitana de Santiago");
+        assert.equal(direccion.region_code, "13");
+        assert.equal(direccion.street, "Av. Apoquindo");
+    });
+
+    it("busca la comuna en los textos alternativos", () => {
+        const direccion = normalizarDireccionCatalogo({ comuna: "", region: "Valparaíso" }, ["Viña del Mar"]);
+        assert.equal(direccion.comuna_code, "05109");
+    });
+
+    it("sin comuna reconocida deja comuna_code vacío y conserva la región", () => {
+        const direccion = normalizarDireccionCatalogo({ comuna: "Villa Inexistente", region: "RM" });
+
+        assert.equal(direccion.comuna, "Villa Inexistente");
+        assert.equal(direccion.comuna_code, "");
+        assert.equal(direccion.region_code, "13");
+    });
+
+    it("acepta null", () => {
+        assert.equal(normalizarDireccionCatalogo(null), null);
+    });
+});
+
+describe("aplicarComunaCatalogo", () => {
+    it("devuelve una dirección nueva sin modificar la original", () => {
+        const original = { street: "Los Aromos", comuna: "", comuna_code: "" };
+        const direccion = aplicarComunaCatalogo(original, comunaPorCodigo("13123"));
+
+        assert.notEqual(direccion, original);
+        assert.equal(original.comuna_code, "");
+        assert.equal(direccion.comuna, "Providencia");
+        assert.equal(direccion.region_code, "13");
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { cargarScripts } = require("./entorno.js");
+
+const { parsearComplemento, describirPartesComplemento } = cargarScripts(["complemento.js"]);
+
+describe("parsearComplemento", () => {
+    it("separa depto, torre y block con sus abreviaciones", () => {
+        assert.deepEqual(parsearComplemento("Depto 501 Torre A"), { partes: { depto: "501", torre: "A" }, resto: "" });
+        assert.deepEqual(parsearComplemento("dpto. 12-B, blk 3"), { partes: { depto: "12-B", block: "3" }, resto: "" });
+    });
+
+    it("admite N°, Nro. y # antes del valor", () => {
+        assert.deepEqual(parsearComplemento("Oficina N° 1203").partes, { oficina: "1203" });
+        assert.deepEqual(parsearComplemento("Local Nro. 4A").partes, { local: "4A" });
+        assert.deepEqual(parsearComplemento("Casa #7").partes, { casa: "7" });
+    });
+
+    it("reconoce el piso escrito como ordinal", () => {
+        assert.deepEqual(parsearComplemento("5° piso of 502").partes, { piso: "5", oficina: "502" });
+        assert.deepEqual(parsearComplemento("3er piso").partes, { piso: "3" });
+    });
+
+    it("deja en resto lo que no reconoce", () => {
+        assert.deepEqual(parsearComplemento("Depto 31, timbre malo"), { partes: { depto: "31" }, resto: "timbre malo" });
+    });
+
+    it("no toma palabras como valor", () => {
+        assert.deepEqual(parsearComplemento("Casa Blanca"), { partes: {}, resto: "Casa Blanca" });
+    });
+
+    it("no toma artículos ni preposiciones como valor", () => {
+        assert.deepEqual(parsearComplemento("Torre de Babel"), { partes: {}, resto: "Torre de Babel" });
+        assert.deepEqual(parsearComplemento("Casa El Roble"), { partes: {}, resto: "Casa El Roble" });
+        assert.deepEqual(parsearComplemento("Local de comida 4").partes, {});
+        assert.deepEqual(parsearComplemento("Torre A").partes, { torre: "A" });
+    });
+
+    it("acepta texto vacío", () => {
+        assert.deepEqual(parsearComplemento(""), { partes: {}, resto: "" });
+        assert.deepEqual(parsearComplemento(null), { partes: {}, resto: "" });
+    });
+});
+
+describe("describirPartesComplemento", () => {
+    it("lista las partes en el orden de los campos", () => {
+        assert.equal(describirPartesComplemento({ torre: "A", depto: "501" }), "Depto 501 · Torre A");
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { abrirAplicacion, USUARIO_PRUEBA, escribir, esperar, elegirSugerencia } = require("./entorno.js");
+
+// Si algo de esto llega al DOM como HTML, aparece un <img> y se ejecuta el onerror
+const HOSTIL = `<img src="x" onerror="window.hackeado = true">`;
+const HOSTIL_ATRIBUTO = `" onmouseover="window.hackeado = true`;
+
+/**
+ * El contenido hostil se ve como texto y no creó elementos ni atributos
+ * @param {object} app
+ * @param {HTMLElement} elemento
+ */
+function assertEscapado(app, elemento) {
+    assert.equal(elemento.querySelector("img, [onmouseover]"), null);
+    assert.ok(elemento.textContent.includes(HOSTIL), "el texto hostil no se muestra tal cual");
+    assert.equal(app.window.hackeado, undefined);
+}
+
+describe("Datos hostiles del worker y del proveedor de direcciones", () => {
+    let app;
+
+    afterEach(() => app.cerrar());
+
+    it("escapa las sugerencias del proveedor de direcciones", async () => {
+        app = await abrirAplicacion();
+        const { document } = app;
+
+        app.ejecutar("proveedorDirecciones()").buscar = async () => [{ id: "hostil", descripcion: HOSTIL }];
+        escribir(document.getElementById("direccion"), "Apoquindo");
+        await esperar(400);
+
+        assertEscapado(app, document.querySelector("#direccion + .sugerencias-direccion"));
+    });
+
+    it("escapa las direcciones duplicadas que devuelve el worker", async () => {
+        // A pocos metros de la dirección elegida, así que se muestra como duplicada
+        app = await abrirAplicacion({
+            responder: () => ({
+                status: "ok",
+                direcciones: [{ id: 77, formatted: HOSTIL, street2: HOSTIL, partner_name: HOSTIL, street: HOSTIL, lat: -33.4103, lng: -70.5781 }]
+            })
+        });
+        const { document } = app;
+
+        await elegirSugerencia(document.getElementById("direccion"), "Apoquindo");
+        document.getElementById("btn-crear-direccion").click();
+        await esperar(10);
+
+        assertEscapado(app, document.getElementById("duplicados-lista"));
+    });
+
+    it("escapa los registros de auditoría", async () => {
+        const registro = {
+            id: "a1",
+            accion: HOSTIL,
+            usuario: { nombre: HOSTIL, email: HOSTIL_ATRIBUTO, rol: "vendedor" },
+            fecha: new Date().toISOString(),
+            payload: { street: HOSTIL },
+            resultado: "error",
+            error: HOSTIL,
+            odoo_ids: { [HOSTIL]: 1 }
+        };
+        app = await abrirAplicacion({
+            usuario: { ...USUARIO_PRUEBA, rol: "supervisor" },
+            responder: () => ({ status: "ok", registros: [registro] })
+        });
+        const { document } = app;
+
+        await app.window.buscarAuditoria();
+
+        assertEscapado(app, document.getElementById("auditoria-filas"));
+        assert.equal(document.querySelector("#auditoria-usuarios option").value, HOSTIL_ATRIBUTO);
+    });
+
+    it("escapa el historial y la cola de envíos", async () => {
+        app = await abrirAplicacion();
+        const { document } = app;
+
+        await app.ejecutar("guardarEnHistorial")({
+            accion: "crear_direccion",
+            payload: { formatted: HOSTIL },
+            data: { status: "error", error: HOSTIL }
+        });
+        assertEscapado(app, document.getElementById("historial-lista"));
+
+        await app.ejecutar("encolarEnvio")({ id: HOSTIL_ATRIBUTO, tipo: "direccion", ruta: "/", payload: {}, descripcion: HOSTIL });
+        await app.ejecutar("renderizarCola()");
+        assertEscapado(app, document.getElementById("cola-lista"));
+        assert.equal(document.querySelector("#cola-lista [data-id]").dataset.id, HOSTIL_ATRIBUTO);
+    });
+
+    it("escapa las filas de la carga masiva", async () => {
+        app = await abrirAplicacion();
+        const { document } = app;
+
+        // Entre comillas, como lo exporta Excel, para que el CSV no se coma las del HTML
+        const csv = `direccion;complemento\nAv. Apoquindo 4800;"${HOSTIL.replaceAll('"', '""')}"\n`;
+        await app.window.cargarArchivoDirecciones({ name: "direcciones.csv", text: async () => csv });
+        await esperar(0);
+
+        const complemento = document.querySelector("#carga-masiva-filas td:nth-child(3) input");
+        assert.equal(complemento.value, HOSTIL);
+        assert.equal(document.querySelector("#carga-masiva-filas img"), null);
+        assert.equal(app.window.hackeado, undefined);
+    });
+});
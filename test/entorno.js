@@ -0,0 +1,161 @@
+// ==================== ENTORNO DE PRUEBAS ====================
+//
+// Los archivos de la aplicación son scripts globales del navegador, sin
+// módulos. Las pruebas los cargan de dos formas:
+//   cargarScripts    en el contexto de Node, para las funciones puras
+//   abrirAplicacion  index.html completo en jsdom, con el proveedor de
+//                    direcciones de prueba y el worker simulado en fetch
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const RAIZ_APP = path.resolve(__dirname, "..");
+
+// Los textos se piden por clave: sin catálogo las funciones devuelven claves
+const SCRIPTS_BASE = ["plantillas.js", "i18n.js", "idioma-es.js"];
+
+const USUARIO_PRUEBA = { id: 1, nombre: "vendedor", email: "vendedor@maihue.cl", rol: "vendedor" };
+
+/**
+ * Ejecuta scripts de la aplicación en el contexto global de Node (cada
+ * archivo de prueba corre en su propio proceso)
+ * @param {Array<string>} archivos - Rutas relativas a la raíz, ej: "complemento.js"
+ * @returns {object} Acceso a los globales por nombre: const { parsearComplemento } = cargarScripts(...)
+ */
+function cargarScripts(archivos) {
+    for (const archivo of [...SCRIPTS_BASE, ...archivos]) {
+        vm.runInThisContext(fs.readFileSync(path.join(RAIZ_APP, archivo), "utf8"), { filename: archivo });
+    }
+
+    return new Proxy({}, { get: (_, nombre) => vm.runInThisContext(String(nombre)) });
+}
+
+// Sirve los archivos locales; los scripts externos (SheetJS, mapas) quedan vacíos
+class CargadorLocal extends ResourceLoader {
+    fetch(url) {
+        const { hostname, pathname } = new URL(url);
+        if (hostname !== "localhost") return Promise.resolve(Buffer.from(""));
+
+        return fs.promises.readFile(path.join(RAIZ_APP, pathname));
+    }
+}
+
+/**
+ * Abre index.html en jsdom con una sesión iniciada. Las llamadas al worker
+ * no salen a la red: se registran en `llamadas` y las responde `responder`.
+ * @param {object} opciones - { usuario, responder, parametros }
+ *   responder: (ruta, payload) => cuerpo JSON o Promise; si lanza, es un error de red
+ *   parametros: query string extra, ej: "idioma=en"
+ * @returns {Promise<object>} { window, document, llamadas, ejecutar, esperar, cerrar }
+ *   ejecutar: evalúa una expresión en la página (para los const globales)
+ */
+async function abrirAplicacion({ usuario = USUARIO_PRUEBA, responder = () => ({ status: "ok" }), parametros = "" } = {}) {
+    const llamadas = [];
+    const errores = [];
+
+    const consola = new VirtualConsole();
+    consola.on("jsdomError", e => errores.push(e));
+
+    const dom = new JSDOM(fs.readFileSync(path.join(RAIZ_APP, "index.html"), "utf8"), {
+        url: `http://localhost/?proveedor=fixture&entorno=dev&idioma=es&${parametros}`,
+        runScripts: "dangerously",
+        resources: new CargadorLocal(),
+        pretendToBeVisual: true,
+        virtualConsole: consola,
+        beforeParse(window) {
+            window.indexedDB = new IDBFactory();
+            window.IDBKeyRange = IDBKeyRange;
+            window.confirm = () => true;
+            window.scrollTo = () => {};
+
+            if (usuario) {
+                window.localStorage.setItem("maihue-sesion", JSON.stringify({ token: `token-${usuario.email}`, usuario }));
+            }
+
+            window.fetch = async (url, { body, headers }) => {
+                const ruta = new URL(url).pathname;
+                const payload = JSON.parse(body);
+                llamadas.push({ ruta, payload, headers });
+
+                const cuerpo = await responder(ruta, payload);
+                return {
+                    status: 200,
+                    ok: true,
+                    text: async () => JSON.stringify(cuerpo)
+                };
+            };
+        }
+    });
+
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener("load", resolve));
+    // window.onload carga el proveedor de direcciones
+    await esperar(0);
+
+    if (errores.length) throw errores[0];
+
+    return {
+        window,
+        document: window.document,
+        llamadas,
+        ejecutar: (expresion) => window.eval(expresion),
+        esperar,
+        // Deja terminar lo que quedó en curso (historial, cola) antes de cerrar
+        async cerrar() {
+            await esperar(100);
+            window.close();
+        }
+    };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function esperar(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Escribe en un input como lo haría el usuario
+ * @param {HTMLInputElement|HTMLSelectElement} input
+ * @param {string} valor
+ */
+function escribir(input, valor) {
+    input.value = valor;
+    const evento = input.tagName === "SELECT" ? "change" : "input";
+    input.dispatchEvent(new input.ownerDocument.defaultView.Event(evento, { bubbles: true }));
+}
+
+/**
+ * Busca una dirección en un input conectado al proveedor de prueba y
+ * elige la primera sugerencia
+ * @param {HTMLInputElement} input
+ * @param {string} texto - Ej: "Apoquindo"
+ * @returns {Promise<void>}
+ */
+async function elegirSugerencia(input, texto) {
+    escribir(input, texto);
+    // Espera entre teclas del buscador (SUGERENCIAS_ESPERA_MS)
+    await esperar(400);
+
+    const window = input.ownerDocument.defaultView;
+    const sugerencia = input.parentElement.querySelector(".sugerencias-direccion li");
+    if (!sugerencia) throw new Error(`Sin sugerencias para "${texto}"`);
+
+    sugerencia.dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true }));
+    await esperar(0);
+}
+
+module.exports = {
+    RAIZ_APP,
+    USUARIO_PRUEBA,
+    cargarScripts,
+    abrirAplicacion,
+    esperar,
+    escribir,
+    elegirSugerencia
+};
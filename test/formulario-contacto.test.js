@@ -0,0 +1,261 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { abrirAplicacion, escribir, esperar, elegirSugerencia } = require("./entorno.js");
+
+// Mismo partner que el RUT 15555555-6 de dev/mock-worker.js
+const CONTACTO_EXISTENTE = {
+    rut: "15555555-6",
+    id: 3150,
+    name: "María José Pérez",
+    email: "mjperez@example.cl",
+    telefono: "+56987654321",
+    telefono_secundario: "+56222345678",
+    unidad_negocio_id: 35,
+    direcciones: [],
+    contactos: []
+};
+
+/**
+ * Worker simulado: solo existe CONTACTO_EXISTENTE y la creación responde con IDs fijos
+ */
+function responderContacto(ruta, payload) {
+    if (ruta === "/buscar-contacto") {
+        const partner = payload.rut === CONTACTO_EXISTENTE.rut ? CONTACTO_EXISTENTE : null;
+        return { status: "ok", encontrado: Boolean(partner), partner };
+    }
+    return { status: "ok", contact_id: 812, service_address_ids: [913], child_ids: [], scoring_status: "approved" };
+}
+
+describe("Crear Contacto", () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await abrirAplicacion({ responder: responderContacto });
+    });
+
+    afterEach(() => app.cerrar());
+
+    it("marca el RUT mientras se escribe", async () => {
+        const { document } = app;
+        const rut = document.getElementById("rut");
+
+        escribir(rut, "12345678-9");
+        assert.ok(rut.classList.contains("invalid"));
+        assert.match(document.getElementById("rut-hint").textContent, /✗/);
+
+        escribir(rut, "12.345.678-5");
+        assert.equal(rut.value, "12345678-5");
+        assert.ok(rut.classList.contains("valid"));
+        await esperar(10);
+        assert.deepEqual(app.llamadas.map(l => l.ruta), ["/buscar-contacto"]);
+    });
+
+    it("normaliza el teléfono a E.164 y muestra su tipo", () => {
+        const { document } = app;
+
+        escribir(document.getElementById("telefono"), "+56 9 1234 5678");
+        assert.equal(document.getElementById("telefono").value, "912345678");
+        assert.match(document.getElementById("telefono-hint").textContent, /\+56 9 1234 5678/);
+
+        escribir(document.getElementById("telefono"), "112345678");
+        assert.ok(document.getElementById("telefono").classList.contains("invalid"));
+    });
+
+    it("no envía sin email", async () => {
+        const { document } = app;
+
+        escribir(document.getElementById("rut"), "12345678-5");
+        escribir(document.getElementById("unidad-negocio"), "35");
+        await esperar(10);
+
+        document.getElementById("btn-crear-contacto").click();
+        await esperar(10);
+
+        assert.equal(app.llamadas.some(l => l.ruta === "/crear-contacto"), false);
+        assert.equal(document.activeElement, document.getElementById("email"));
+    });
+
+    it("crea el contacto con sus direcciones y muestra los IDs de Odoo", async () => {
+        const { document } = app;
+
+        escribir(document.getElementById("rut"), "12345678-5");
+        escribir(document.getElementById("unidad-negocio"), "35");
+        escribir(document.getElementById("email"), "cliente@example.cl");
+        escribir(document.getElementById("telefono"), "912345678");
+        await elegirSugerencia(document.querySelector("#direcciones-contacto-lista .direccion-input"), "Providencia 1208");
+        await esperar(10);
+
+        assert.match(document.getElementById("resumen-content").textContent, /cliente@example\.cl/);
+
+        document.getElementById("btn-crear-contacto").click();
+        await esperar(10);
+
+        const { payload } = app.llamadas.find(l => l.ruta === "/crear-contacto");
+        assert.equal(payload.rut, "12345678-5");
+        assert.equal(payload.unidad_negocio_id, 35);
+        assert.equal(payload.telefono, "+56912345678");
+        assert.equal(payload.direcciones.length, 1);
+        assert.equal(payload.direcciones[0].comuna_code, "13123");
+        assert.equal(payload.direccion.label, "main");
+
+        const resultado = document.getElementById("resultado-content").textContent;
+        assert.match(resultado, /#812/);
+        assert.match(resultado, /913/);
+    });
+
+    it("arma el payload con la empresa, las etiquetas y las personas de cada bloque", async () => {
+        const { document } = app;
+
+        escribir(document.getElementById("rut"), "76086428-5");
+        escribir(document.getElementById("unidad-negocio"), "34");
+        escribir(document.getElementById("email"), "compras@aromos.cl");
+        escribir(document.getElementById("telefono"), "912345678");
+        escribir(document.getElementById("razon-social"), "Comercial Los Aromos ");
+        escribir(document.getElementById("giro"), "Restaurante");
+
+        const representante = document.getElementById("rut-representante");
+        escribir(representante, "76086428-5");
+        assert.ok(representante.classList.contains("invalid"));
+        assert.match(document.getElementById("rut-representante-hint").textContent, /persona natural/);
+        escribir(representante, "12345678-5");
+        assert.ok(representante.classList.contains("valid"));
+
+        // El espacio que se está escribiendo queda en el input
+        assert.equal(document.getElementById("razon-social").value, "Comercial Los Aromos ");
+
+        await elegirSugerencia(document.querySelector("#direcciones-contacto-lista .direccion-input"), "Providencia 1208");
+        app.ejecutar("agregarDireccionContacto()");
+        const facturacion = document.querySelectorAll("#direcciones-contacto-lista .direccion-contacto-item")[1];
+        await elegirSugerencia(facturacion.querySelector(".direccion-input"), "Apoquindo");
+        escribir(facturacion.querySelector(".direccion-etiqueta"), "invoice");
+
+        app.ejecutar("agregarPersonaContacto()");
+        const persona = document.querySelector("#personas-contacto-lista .persona-contacto-item");
+        escribir(persona.querySelector(".persona-nombre"), "Carolina Muñoz");
+        escribir(persona.querySelector(".persona-email"), "carolina@");
+        assert.ok(persona.querySelector(".persona-email").classList.contains("invalid"));
+        escribir(persona.querySelector(".persona-email"), "carolina@aromos.cl");
+        escribir(persona.querySelector(".persona-funcion"), "recepcion");
+        assert.equal(persona.querySelector(".persona-direccion-grupo").classList.contains("hidden"), false);
+        const recibeEn = persona.querySelector(".persona-direccion");
+        escribir(recibeEn, recibeEn.options[1].value);
+
+        const resumen = document.getElementById("resumen-content").textContent;
+        assert.match(resumen, /Comercial Los Aromos/);
+        assert.match(resumen, /Carolina Muñoz/);
+
+        document.getElementById("btn-crear-contacto").click();
+        await esperar(10);
+
+        const { payload } = app.llamadas.find(l => l.ruta === "/crear-contacto");
+        assert.equal(payload.razon_social, "Comercial Los Aromos");
+        assert.equal(payload.giro, "Restaurante");
+        assert.deepEqual(payload.direcciones.map(d => d.label), ["main", "invoice"]);
+        assert.equal(payload.contactos[0].email, "carolina@aromos.cl");
+        assert.equal(payload.contactos[0].direccion_index, 1);
+    });
+
+    it("devuelve los campos del usuario al cambiar el RUT de un contacto existente", async () => {
+        const { document } = app;
+        const rut = document.getElementById("rut");
+
+        escribir(document.getElementById("email"), "propio@example.cl");
+        escribir(rut, "15555555-6");
+        await esperar(10);
+
+        assert.equal(document.getElementById("email").value, "mjperez@example.cl");
+        assert.equal(document.getElementById("telefono").value, "987654321");
+        assert.equal(document.getElementById("unidad-negocio").disabled, true);
+
+        escribir(rut, "12345678-5");
+        await esperar(10);
+
+        assert.equal(document.getElementById("email").value, "propio@example.cl");
+        assert.equal(document.getElementById("telefono").value, "");
+        assert.equal(document.getElementById("telefono-secundario").value, "");
+        assert.equal(document.getElementById("unidad-negocio").value, "");
+        assert.equal(document.getElementById("unidad-negocio").disabled, false);
+        assert.ok(document.getElementById("contacto-existente").classList.contains("hidden"));
+    });
+});
+
+describe("Resultado de la creación", () => {
+    let app;
+
+    afterEach(() => app.cerrar());
+
+    /**
+     * Completa el formulario y lo envía; /crear-contacto responde con `respuesta`
+     * @param {object} respuesta - Cuerpo JSON del worker
+     * @returns {Promise<string>} Texto de la pantalla de resultado
+     */
+    async function crearConRespuesta(respuesta) {
+        app = await abrirAplicacion({
+            responder: (ruta, payload) => ruta === "/crear-contacto" ? respuesta : responderContacto(ruta, payload)
+        });
+        const { document } = app;
+
+        escribir(document.getElementById("rut"), "12345678-5");
+        escribir(document.getElementById("unidad-negocio"), "35");
+        escribir(document.getElementById("email"), "cliente@example.cl");
+        escribir(document.getElementById("telefono"), "912345678");
+        await elegirSugerencia(document.querySelector("#direcciones-contacto-lista .direccion-input"), "Providencia 1208");
+        await esperar(10);
+
+        document.getElementById("btn-crear-contacto").click();
+        await esperar(10);
+
+        assert.ok(document.getElementById("form-contacto").classList.contains("hidden"));
+        return document.getElementById("resultado-content").textContent;
+    }
+
+    it("RUT duplicado: muestra el contacto existente y lleva a editarlo", async () => {
+        const resultado = await crearConRespuesta({
+            status: "error",
+            step: "verificando_rut_duplicado",
+            error: "El RUT ya existe",
+            partner_id: 3150,
+            partner_name: "María José Pérez"
+        });
+        const { document } = app;
+
+        assert.match(resultado, /RUT ya registrado/);
+        assert.match(resultado, /María José Pérez/);
+        assert.match(resultado, /#3150/);
+
+        const editar = document.querySelector("#resultado-content [data-rut]");
+        assert.equal(editar.dataset.rut, "12345678-5");
+        editar.click();
+
+        assert.ok(document.getElementById("resultado-contacto").classList.contains("hidden"));
+        assert.equal(document.getElementById("rut").value, "12345678-5");
+    });
+
+    it("Equifax: muestra el estado de la consulta", async () => {
+        const resultado = await crearConRespuesta({
+            status: "error",
+            step: "consultando_equifax",
+            error: "Equifax rechazó la consulta",
+            equifax_status: "Persona Difunta"
+        });
+
+        assert.match(resultado, /RUT no válido para registro/);
+        assert.match(resultado, /RUT consultado:\s*12345678-5/);
+        assert.match(resultado, /Estado Equifax:\s*Persona Difunta/);
+    });
+
+    it("Error de Odoo: muestra el paso y el detalle", async () => {
+        const resultado = await crearConRespuesta({
+            status: "error",
+            step: "creando_contacto",
+            error: "No se pudo crear el partner",
+            odoo_error: { code: 200, message: "ValidationError" }
+        });
+
+        assert.match(resultado, /Error al crear contacto/);
+        assert.match(resultado, /No se pudo crear el partner/);
+        assert.match(resultado, /Paso:\s*creando_contacto/);
+        assert.match(resultado, /ValidationError/);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { abrirAplicacion, escribir, esperar, elegirSugerencia } = require("./entorno.js");
+
+describe("Crear Dirección", () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await abrirAplicacion({
+            responder: (ruta) => ruta === "/buscar-direcciones"
+                ? { status: "ok", direcciones: [] }
+                : { status: "ok", id: 9001 }
+        });
+    });
+
+    afterEach(() => app.cerrar());
+
+    it("crea la dirección elegida con el complemento separado en partes", async () => {
+        const { document } = app;
+
+        await elegirSugerencia(document.getElementById("direccion"), "Apoquindo");
+        assert.equal(document.getElementById("direccion-info").classList.contains("hidden"), false);
+        assert.match(document.getElementById("info-details").textContent, /Las Condes/);
+
+        escribir(document.getElementById("complemento"), "Depto 501 Torre A");
+        assert.match(document.getElementById("complemento-partes").textContent, /Depto\s+501/);
+
+        document.getElementById("btn-crear-direccion").click();
+        await esperar(10);
+
+        const creacion = app.llamadas.find(l => l.ruta === "/");
+        assert.ok(creacion, "no se llamó al worker");
+        assert.equal(creacion.payload.comuna_code, "13114");
+        assert.equal(creacion.payload.street2, "Depto 501 Torre A");
+        assert.deepEqual({ ...creacion.payload.street2_parts }, { depto: "501", torre: "A" });
+        assert.ok(creacion.headers["Idempotency-Key"]);
+        // La auditoría la escribe el worker al crear
+        assert.deepEqual(app.llamadas.map(l => l.ruta), ["/buscar-direcciones", "/"]);
+        assert.match(document.getElementById("msg-direccion").textContent, /9001/);
+    });
+
+    it("pide confirmar el pin de una ubicación aproximada antes de crearla", async () => {
+        const { document } = app;
+
+        await elegirSugerencia(document.getElementById("direccion"), "Camino Lo Barnechea");
+        assert.equal(document.getElementById("confirmar-pin-wrapper").classList.contains("hidden"), false);
+
+        document.getElementById("btn-crear-direccion").click();
+        await esperar(10);
+        assert.equal(app.llamadas.length, 0);
+        assert.equal(document.getElementById("msg-direccion").className, "msg warning");
+
+        const confirmar = document.getElementById("confirmar-pin");
+        confirmar.checked = true;
+        confirmar.dispatchEvent(new app.window.Event("change"));
+
+        document.getElementById("btn-crear-direccion").click();
+        await esperar(10);
+        assert.equal(app.llamadas.find(l => l.ruta === "/")?.payload.pin_confirmed, true);
+    });
+
+    it("descarta la geocodificación inversa de un pin que ya se volvió a mover", async () => {
+        const { document } = app;
+
+        await elegirSugerencia(document.getElementById("direccion"), "Apoquindo");
+        escribir(document.getElementById("complemento"), "Of 1201");
+
+        // La primera respuesta llega después de la segunda
+        const proveedor = app.ejecutar("proveedorDirecciones()");
+        const geocodificarInversa = proveedor.geocodificarInversa;
+        const demoras = [50, 0];
+        proveedor.geocodificarInversa = async (posicion) => {
+            await esperar(demoras.shift());
+            return geocodificarInversa(posicion);
+        };
+
+        const mapa = app.ejecutar("map");
+        const primero = mapa.soltarPin({ lat: -33.4298, lng: -70.6186 });
+        const segundo = mapa.soltarPin({ lat: -33.4445, lng: -70.6571 });
+        await Promise.all([primero, segundo]);
+
+        const { direccion, complemento, pinConfirmado } = app.ejecutar("estadoDireccion.obtener()");
+        assert.equal(direccion.comuna, "Santiago");
+        assert.equal(direccion.lat, -33.4445);
+        assert.match(document.getElementById("direccion").value, /O'Higgins 1449/);
+        assert.match(document.getElementById("info-details").textContent, /Santiago/);
+
+        // Mover el pin corrige la dirección sin perder el complemento
+        assert.equal(complemento, "Of 1201");
+        assert.equal(pinConfirmado, true);
+    });
+
+    it("muestra las direcciones parecidas y guarda la existente que se elige", async () => {
+        await app.cerrar();
+        app = await abrirAplicacion({
+            responder: (ruta) => ({
+                status: "ok",
+                direcciones: [{ id: 77, street: "Avenida Apoquindo", number: "4800", comuna: "Las Condes", street2: "", lat: -33.4103, lng: -70.5781 }]
+            })
+        });
+        const { document } = app;
+
+        await elegirSugerencia(document.getElementById("direccion"), "Apoquindo");
+        document.getElementById("btn-crear-direccion").click();
+        await esperar(10);
+
+        assert.equal(app.llamadas.some(l => l.ruta === "/"), false);
+        assert.equal(document.getElementById("duplicados-direccion").classList.contains("hidden"), false);
+
+        document.querySelector("#duplicados-lista button").click();
+        await esperar(10);
+
+        assert.equal(app.ejecutar("estadoDireccion.obtener().direccionExistenteId"), 77);
+        assert.match(document.getElementById("info-existente").textContent, /#77/);
+        assert.match(document.getElementById("msg-direccion").textContent, /77/);
+
+        const [registro] = app.ejecutar("historialRegistros");
+        assert.equal(registro.accion, "usar_direccion_existente");
+        assert.deepEqual([...registro.service_address_ids], [77]);
+        assert.match(document.getElementById("historial-lista").textContent, /Dirección #77/);
+    });
+});
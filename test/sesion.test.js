@@ -0,0 +1,116 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { abrirAplicacion, USUARIO_PRUEBA, escribir, esperar } = require("./entorno.js");
+
+const OTRO_USUARIO = { id: 2, nombre: "otra", email: "otra@maihue.cl", rol: "vendedor" };
+
+/**
+ * Worker simulado: el login responde con OTRO_USUARIO y ningún RUT existe
+ */
+function responderSesion(ruta) {
+    if (ruta === "/login") return { status: "ok", token: "token-otra", usuario: OTRO_USUARIO };
+    if (ruta === "/buscar-contacto") return { status: "ok", encontrado: false, partner: null };
+    return { status: "ok" };
+}
+
+/**
+ * @param {object} app
+ * @returns {Promise<Array<string>>} Nombres de las bases de IndexedDB
+ */
+async function basesIndexedDb(app) {
+    return (await app.window.indexedDB.databases()).map(db => db.name);
+}
+
+describe("Sesión", () => {
+    let app;
+
+    afterEach(() => app.cerrar());
+
+    it("guarda historial y borradores por usuario y los borra al salir", async () => {
+        app = await abrirAplicacion({ responder: responderSesion });
+        const { document, window } = app;
+
+        escribir(document.getElementById("rut"), "12345678-5");
+        escribir(document.getElementById("email"), "cliente@example.cl");
+        app.ejecutar("guardarBorradorContacto()");
+        await app.ejecutar(`guardarEnHistorial({ accion: "crear_direccion", payload: { formatted: "Av. Apoquindo 4800" }, data: { status: "ok", id: 9001 } })`);
+
+        const claveBorradores = `maihue-borradores:${USUARIO_PRUEBA.email}`;
+        assert.ok(window.localStorage.getItem(claveBorradores));
+        assert.equal(window.localStorage.getItem("maihue-borradores"), null);
+        assert.ok((await basesIndexedDb(app)).includes(`maihue-historial:${USUARIO_PRUEBA.email}`));
+
+        document.getElementById("btn-cerrar-sesion").click();
+        await esperar(10);
+
+        assert.equal(window.localStorage.getItem(claveBorradores), null);
+        assert.equal((await basesIndexedDb(app)).includes(`maihue-historial:${USUARIO_PRUEBA.email}`), false);
+        assert.equal(document.getElementById("rut").value, "");
+        assert.equal(document.getElementById("pantalla-login").classList.contains("hidden"), false);
+    });
+
+    it("al entrar otro usuario no ve lo del anterior", async () => {
+        app = await abrirAplicacion({ responder: responderSesion });
+        const { document } = app;
+
+        await app.ejecutar(`guardarEnHistorial({ accion: "crear_direccion", payload: { formatted: "Av. Apoquindo 4800" }, data: { status: "ok", id: 9001 } })`);
+        assert.equal(app.ejecutar("historialRegistros.length"), 1);
+
+        escribir(document.getElementById("rut"), "12345678-5");
+        app.ejecutar("guardarBorradorContacto()");
+        app.ejecutar("limpiarFormularioContacto()");
+        assert.equal(document.getElementById("borradores-contacto").classList.contains("hidden"), false);
+
+        // Sesión vencida: no se borra nada, pero entra otra persona
+        app.ejecutar(`cerrarSesion("vencida")`);
+        escribir(document.getElementById("login-email"), OTRO_USUARIO.email);
+        escribir(document.getElementById("login-password"), "clave");
+        document.getElementById("form-login").dispatchEvent(new app.window.Event("submit", { cancelable: true }));
+        await esperar(100);
+
+        assert.equal(app.ejecutar("usuarioActual().email"), OTRO_USUARIO.email);
+        assert.equal(app.ejecutar("historialRegistros.length"), 0);
+        assert.doesNotMatch(document.getElementById("historial-lista").textContent, /Apoquindo/);
+        assert.ok(document.getElementById("borradores-contacto").classList.contains("hidden"));
+        assert.ok((await basesIndexedDb(app)).includes(`maihue-historial:${USUARIO_PRUEBA.email}`));
+    });
+
+    it("borrar el historial sin sesión muestra el error en el panel", async () => {
+        app = await abrirAplicacion({ responder: responderSesion });
+
+        app.ejecutar(`cerrarSesion("vencida")`);
+        await app.window.borrarHistorial();
+
+        const msgBox = app.document.getElementById("msg-historial");
+        assert.equal(msgBox.className, "msg error");
+        assert.match(msgBox.textContent, /❌/);
+    });
+
+    it("la cola de un usuario no se envía con la sesión de otro", async () => {
+        app = await abrirAplicacion({ responder: responderSesion });
+        const { document, window } = app;
+
+        let conectado = false;
+        Object.defineProperty(window.navigator, "onLine", { get: () => conectado });
+
+        // Sin conexión el envío queda en la cola de este usuario, listo para reintentar
+        await app.ejecutar(`encolarEnvio({ id: "envio-1", tipo: "direccion", ruta: "/", payload: { formatted: "Av. Apoquindo 4800" }, descripcion: "Av. Apoquindo 4800" })`);
+        await app.ejecutar("reiniciarEsperasCola()");
+        assert.ok((await basesIndexedDb(app)).includes(`maihue-cola:${USUARIO_PRUEBA.email}`));
+
+        document.getElementById("btn-cerrar-sesion").click();
+        await esperar(100);
+        assert.equal((await basesIndexedDb(app)).includes(`maihue-cola:${USUARIO_PRUEBA.email}`), false);
+
+        conectado = true;
+        escribir(document.getElementById("login-email"), OTRO_USUARIO.email);
+        escribir(document.getElementById("login-password"), "clave");
+        document.getElementById("form-login").dispatchEvent(new window.Event("submit", { cancelable: true }));
+        await esperar(100);
+
+        assert.equal(app.ejecutar("usuarioActual().email"), OTRO_USUARIO.email);
+        assert.deepEqual(app.llamadas.map(l => l.ruta), ["/login"]);
+        assert.ok(document.getElementById("btn-cola").classList.contains("hidden"));
+    });
+});
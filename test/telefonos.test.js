@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    detectarPaisTelefono,
+    formatearTelefono,
+    validarTelefono,
+    normalizarTelefonoE164,
+    separarTelefono,
+    mostrarTelefono
+} = require("../telefonos.js");
+
+describe("detectarPaisTelefono", () => {
+    it("reconoce el país por el código después del +", () => {
+        assert.equal(detectarPaisTelefono("+56 9 1234 5678"), "CL");
+        assert.equal(detectarPaisTelefono("+54 9 11 1234 5678"), "AR");
+        assert.equal(detectarPaisTelefono("+591 71234567"), "BO");
+    });
+
+    it("sin + no detecta país", () => {
+        assert.equal(detectarPaisTelefono("56912345678"), null);
+    });
+});
+
+describe("formatearTelefono", () => {
+    it("quita el código de país pegado con el número", () => {
+        assert.equal(formatearTelefono("+56 9 1234 5678"), "912345678");
+        assert.equal(formatearTelefono("56912345678"), "912345678");
+    });
+
+    it("corta al largo máximo del país", () => {
+        assert.equal(formatearTelefono("9123456789"), "912345678");
+    });
+});
+
+describe("validarTelefono", () => {
+    it("distingue celulares y fijos de Chile", () => {
+        assert.deepEqual(validarTelefono("912345678"), { valid: true, error: null, tipo: "movil" });
+        assert.deepEqual(validarTelefono("222345678"), { valid: true, error: null, tipo: "fijo" });
+        assert.deepEqual(validarTelefono("322123456"), { valid: true, error: null, tipo: "fijo" });
+    });
+
+    it("indica cuántos dígitos faltan", () => {
+        assert.deepEqual(validarTelefono("91234"), { valid: false, error: "telefono.faltanDigitos", datos: { n: 4 }, tipo: null });
+    });
+
+    it("rechaza prefijos que no existen en Chile", () => {
+        assert.equal(validarTelefono("112345678").error, "telefono.prefijoChile");
+    });
+
+    it("valida el largo según el país elegido", () => {
+        assert.equal(validarTelefono("1123456789", "AR").valid, true);
+        assert.equal(validarTelefono("112345678901", "AR").error, "telefono.maximoDigitos");
+    });
+
+    it("vacío no es válido pero no muestra error", () => {
+        assert.deepEqual(validarTelefono(""), { valid: false, error: null, tipo: null });
+    });
+});
+
+describe("E.164", () => {
+    it("normaliza con el código del país", () => {
+        assert.equal(normalizarTelefonoE164("9 1234 5678"), "+56912345678");
+        assert.equal(normalizarTelefonoE164("1123456789", "AR"), "+541123456789");
+    });
+
+    it("separa teléfonos guardados en E.164 o con 9 dígitos", () => {
+        assert.deepEqual(separarTelefono("+541123456789"), { pais: "AR", numero: "1123456789" });
+        assert.deepEqual(separarTelefono("912345678"), { pais: "CL", numero: "912345678" });
+        assert.deepEqual(separarTelefono(null), { pais: "CL", numero: "" });
+    });
+
+    it("muestra el número agrupado", () => {
+        assert.equal(mostrarTelefono("+56912345678"), "+56 9 1234 5678");
+        assert.equal(mostrarTelefono("+56322123456"), "+56 32 212 3456");
+        assert.equal(mostrarTelefono("+541123456789"), "+54 1123456789");
+        assert.equal(mostrarTelefono(""), "");
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { formatearRut, validarRut, limpiarRut, esRutEmpresa, validarEmail } = require("../validadores.js");
+
+const VALIDO = { valid: true, error: null };
+
+// [entrada, resultado esperado]
+const CASOS_RUT = [
+    // Dígito verificador 0 y K, que salen de los casos 11 y 10 del módulo 11
+    ["10000004-0", VALIDO],
+    ["5000006-0", VALIDO],
+    ["10.000.004-0", VALIDO],
+    ["10000013-K", VALIDO],
+    ["10000013-k", VALIDO],
+    ["5.000.001-K", VALIDO],
+    ["16666666-K", VALIDO],
+    // Con y sin puntos ni guion
+    ["12.345.678-5", VALIDO],
+    ["12345678-5", VALIDO],
+    ["123456785", VALIDO],
+    [" 12.345.678-5 ", VALIDO],
+    // Dígito verificador incorrecto, incluidos 0 y K donde no corresponden
+    ["12345678-9", { valid: false, error: "rut.digitoVerificador" }],
+    ["12345678-0", { valid: false, error: "rut.digitoVerificador" }],
+    ["12345678-K", { valid: false, error: "rut.digitoVerificador" }],
+    ["10000004-K", { valid: false, error: "rut.digitoVerificador" }],
+    ["10000013-0", { valid: false, error: "rut.digitoVerificador" }],
+    // Vacío o a medio escribir: no válido, pero sin error
+    ["", { valid: false, error: null }],
+    ["1", { valid: false, error: null }],
+    ["-", { valid: false, error: null }],
+    ["abc", { valid: false, error: null }],
+    // Cuerpo con letras
+    ["1234K678-5", { valid: false, error: "rut.soloNumeros" }],
+    ["K2345678-5", { valid: false, error: "rut.soloNumeros" }],
+    // Largo del cuerpo
+    ["123456-0", { valid: false, error: "rut.corto", datos: { n: 7 } }],
+    ["123456789-0", { valid: false, error: "rut.largo", datos: { n: 8 } }],
+    // Dígitos repetidos
+    ["11111111-1", { valid: false, error: "rut.repetido" }],
+    ["7777777-7", { valid: false, error: "rut.repetido" }],
+    ["22.222.222-2", { valid: false, error: "rut.repetido" }]
+];
+
+describe("validarRut", () => {
+    for (const [entrada, esperado] of CASOS_RUT) {
+        it(`"${entrada}"`, () => {
+            assert.deepEqual(validarRut(entrada), esperado);
+        });
+    }
+});
+
+// [entrada, RUT formateado, RUT limpio]
+const CASOS_FORMATO = [
+    ["12.345.678-5", "12345678-5", "123456785"],
+    ["16666666k", "16666666-K", "16666666K"],
+    ["10.000.004-0", "10000004-0", "100000040"],
+    ["1", "1", "1"],
+    ["", "", ""]
+];
+
+describe("formatearRut y limpiarRut", () => {
+    for (const [entrada, formateado, limpio] of CASOS_FORMATO) {
+        it(`"${entrada}"`, () => {
+            assert.equal(formatearRut(entrada), formateado);
+            assert.equal(limpiarRut(entrada), limpio);
+        });
+    }
+});
+
+describe("esRutEmpresa", () => {
+    for (const [entrada, esperado] of [
+        ["76.543.210-3", true],
+        ["50000000-7", true],
+        ["12.345.678-5", false],
+        ["", false]
+    ]) {
+        it(`"${entrada}"`, () => {
+            assert.equal(esRutEmpresa(entrada), esperado);
+        });
+    }
+});
+
+describe("validarEmail", () => {
+    for (const [entrada, esperado] of [
+        [" ana@maihue.cl ", VALIDO],
+        ["", { valid: false, error: null }],
+        ["   ", { valid: false, error: null }],
+        ["ana.maihue.cl", { valid: false, error: "email.faltaArroba" }],
+        ["ana@maihue", { valid: false, error: "email.faltaDominio" }],
+        ["ana@@maihue.cl", { valid: false, error: "email.formato" }]
+    ]) {
+        it(`"${entrada}"`, () => {
+            assert.deepEqual(validarEmail(entrada), esperado);
+        });
+    }
+});
@@ -0,0 +1,155 @@
+// ==================== VALIDADORES ====================
+//
+// Validación y formato de RUT y email (los teléfonos están en telefonos.js).
+// Los errores son claves de los catálogos de idioma (ver i18n.js).
+// No dependen del DOM: en el navegador quedan como funciones globales y
+// en Node se pueden importar con require("./validadores.js").
+
+// ==================== VALIDACIÓN DE RUT ====================
+
+/**
+ * Formatea un RUT chileno al formato XXXXXXXX-X
+ * @param {string} rut - RUT sin formato
+ * @returns {string} RUT formateado
+ */
+function formatearRut(rut) {
+    // Eliminar todo excepto números y K
+    let valor = rut.replace(/[^0-9kK]/g, '').toUpperCase();
+    
+    if (valor.length < 2) return valor;
+    
+    // Separar cuerpo y dígito verificador
+    let cuerpo = valor.slice(0, -1);
+    let dv = valor.slice(-1);
+    
+    // Formatear con guión
+    return `${cuerpo}-${dv}`;
+}
+
+/**
+ * Valida un RUT chileno usando el algoritmo módulo 11
+ * También valida que el cuerpo tenga entre 7 y 8 dígitos
+ * @param {string} rut - RUT a validar (con o sin formato)
+ * @returns {object} { valid: boolean, error: string | null, datos }
+ *   error: clave del mensaje; datos: valores para el mensaje
+ */
+function validarRut(rut) {
+    // Limpiar RUT
+    let valor = rut.replace(/[^0-9kK]/g, '').toUpperCase();
+    
+    if (valor.length < 2) {
+        return { valid: false, error: null }; // Aún escribiendo
+    }
+    
+    let cuerpo = valor.slice(0, -1);
+    let dvIngresado = valor.slice(-1);
+    
+    // Validar que el cuerpo sea numérico
+    if (!/^\d+$/.test(cuerpo)) {
+        return { valid: false, error: "rut.soloNumeros" };
+    }
+    
+    // Validar longitud del cuerpo (7-8 dígitos)
+    if (cuerpo.length < 7) {
+        return { valid: false, error: "rut.corto", datos: { n: 7 } };
+    }
+    
+    if (cuerpo.length > 8) {
+        return { valid: false, error: "rut.largo", datos: { n: 8 } };
+    }
+    
+    // Validar que no sean todos los dígitos iguales (ej: 11111111, 77777777)
+    if (/^(\d)\1+$/.test(cuerpo)) {
+        return { valid: false, error: "rut.repetido" };
+    }
+    
+    // Calcular dígito verificador
+    let suma = 0;
+    let multiplicador = 2;
+    
+    for (let i = cuerpo.length - 1; i >= 0; i--) {
+        suma += parseInt(cuerpo[i]) * multiplicador;
+        multiplicador = multiplicador === 7 ? 2 : multiplicador + 1;
+    }
+    
+    let resto = suma % 11;
+    let dvCalculado = 11 - resto;
+    
+    let dvEsperado;
+    if (dvCalculado === 11) {
+        dvEsperado = '0';
+    } else if (dvCalculado === 10) {
+        dvEsperado = 'K';
+    } else {
+        dvEsperado = dvCalculado.toString();
+    }
+    
+    if (dvIngresado !== dvEsperado) {
+        return { valid: false, error: "rut.digitoVerificador" };
+    }
+    
+    return { valid: true, error: null };
+}
+
+/**
+ * Limpia un RUT dejando solo números y K
+ * @param {string} rut 
+ * @returns {string}
+ */
+function limpiarRut(rut) {
+    return rut.replace(/[^0-9kK]/g, '').toUpperCase();
+}
+
+// Las personas jurídicas tienen RUT desde 50.000.000 (las más recientes, 76.xxx.xxx-x en adelante)
+const RUT_EMPRESA_DESDE = 50000000;
+
+/**
+ * Indica si un RUT corresponde probablemente a una empresa
+ * @param {string} rut - RUT con o sin formato
+ * @returns {boolean}
+ */
+function esRutEmpresa(rut) {
+    const cuerpo = limpiarRut(rut).slice(0, -1);
+    return /^\d+$/.test(cuerpo) && parseInt(cuerpo) >= RUT_EMPRESA_DESDE;
+}
+
+// ==================== VALIDACIÓN DE EMAIL ====================
+
+/**
+ * Valida formato de email
+ * @param {string} email 
+ * @returns {object} { valid: boolean, error: string | null } (error: clave del mensaje)
+ */
+function validarEmail(email) {
+    if (!email || email.trim() === '') {
+        return { valid: false, error: null }; // Vacío, sin error
+    }
+    
+    const emailTrimmed = email.trim();
+    
+    // Regex para validación de email
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    
+    if (!emailRegex.test(emailTrimmed)) {
+        // Dar feedback más específico
+        if (!emailTrimmed.includes('@')) {
+            return { valid: false, error: "email.faltaArroba" };
+        }
+        if (!emailTrimmed.includes('.')) {
+            return { valid: false, error: "email.faltaDominio" };
+        }
+        return { valid: false, error: "email.formato" };
+    }
+    
+    return { valid: true, error: null };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        formatearRut,
+        validarRut,
+        limpiarRut,
+        esRutEmpresa,
+        validarEmail
+    };
+}